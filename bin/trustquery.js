@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// trustquery - command line entry (see src/TrustQueryCli.js)
+
+import TrustQueryCli from '../src/TrustQueryCli.js';
+
+process.exitCode = await new TrustQueryCli().run(process.argv.slice(2));
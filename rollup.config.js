@@ -1,13 +1,27 @@
 import resolve from '@rollup/plugin-node-resolve';
 
-export default {
-  input: 'src/TrustQuery.js',
-  output: {
-    file: 'dist/trustquery.js',
-    format: 'es',
-    sourcemap: true
+export default [
+  {
+    input: 'src/TrustQuery.js',
+    output: {
+      file: 'dist/trustquery.js',
+      format: 'es',
+      sourcemap: true
+    },
+    plugins: [
+      resolve()
+    ]
   },
-  plugins: [
-    resolve()
-  ]
-};
+  {
+    // Headless core (no DOM) for Node and other server runtimes
+    input: 'src/TrustQueryCore.js',
+    output: {
+      file: 'dist/trustquery-core.js',
+      format: 'es',
+      sourcemap: true
+    },
+    plugins: [
+      resolve()
+    ]
+  }
+];
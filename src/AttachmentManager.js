@@ -1,6 +1,8 @@
 // AttachmentManager - Handles CSV file attachments with drag & drop
 // Single responsibility: manage attachment state and file operations
 
+import MessageStateRegistry from './MessageStateRegistry.js';
+
 export default class AttachmentManager {
   /**
    * Create attachment manager
@@ -14,6 +16,7 @@ export default class AttachmentManager {
       commandScanner: options.commandScanner || null, // For scanning CSV columns
       dropdownManager: options.dropdownManager || null, // For showing dropdown on warning click
       csvModalManager: options.csvModalManager || null, // For displaying CSV content in modal
+      messageStates: options.messageStates || null, // Icons per message state (defaults to the scanned map's "$states")
       onAttachmentAdd: options.onAttachmentAdd || null,
       onAttachmentRemove: options.onAttachmentRemove || null,
       debug: options.debug || false,
@@ -180,16 +183,9 @@ export default class AttachmentManager {
       const match = matches[0];
       const messageState = match.intent?.handler?.['message-state'] || 'warning';
 
-      // Map message state to icon filename
-      const iconMap = {
-        'error': 'trustquery-error.svg',
-        'warning': 'trustquery-warning.svg',
-        'info': 'trustquery-info.svg'
-      };
-
       icon = document.createElement('img');
       icon.className = 'tq-attachment-icon';
-      icon.src = `./assets/${iconMap[messageState] || iconMap.warning}`;
+      icon.src = this.getStateIcon(messageState);
       icon.title = `CSV column ${messageState} - click to review`;
 
       // Handle icon click - show dropdown (using mousedown to prevent double-firing)
@@ -341,11 +337,6 @@ export default class AttachmentManager {
         // New matches appeared - add icon and expand placeholder
         const match = newMatches[0];
         const messageState = match.intent?.handler?.['message-state'] || 'warning';
-        const iconMap = {
-          'error': 'trustquery-error.svg',
-          'warning': 'trustquery-warning.svg',
-          'info': 'trustquery-info.svg'
-        };
 
         // Expand the icon placeholder back to normal width
         if (iconPlaceholder) {
@@ -355,7 +346,7 @@ export default class AttachmentManager {
 
         const icon = document.createElement('img');
         icon.className = 'tq-attachment-icon';
-        icon.src = `./assets/${iconMap[messageState] || iconMap.warning}`;
+        icon.src = this.getStateIcon(messageState);
         icon.title = `CSV column ${messageState} - click to review`;
 
         // Handle icon click
@@ -383,6 +374,18 @@ export default class AttachmentManager {
     }
   }
 
+  /**
+   * Get the icon for a message state
+   * Unknown states use the warning icon.
+   * @param {string} messageState - Message state
+   * @returns {string} Icon URL
+   */
+  getStateIcon(messageState) {
+    const messageStates = this.options.messageStates ||
+      new MessageStateRegistry(this.options.commandScanner?.commandMap?.$states);
+    return messageStates.get(messageStates.has(messageState) ? messageState : 'warning').icon;
+  }
+
   /**
    * Handle warning icon click - show dropdown
    * @param {HTMLElement} iconEl - Warning icon element
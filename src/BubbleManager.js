@@ -1,5 +1,8 @@
 // BubbleManager - Handles hover bubble tooltips for matched words
 
+import MessageStateRegistry from './MessageStateRegistry.js';
+import HtmlEscaper from './HtmlEscaper.js';
+
 export default class BubbleManager {
   /**
    * Create bubble manager
@@ -10,13 +13,20 @@ export default class BubbleManager {
       bubbleDelay: options.bubbleDelay || 200,
       styleManager: options.styleManager || null,
       commandHandlers: options.commandHandlers || null,
+      templateResolver: options.templateResolver || null,
       ...options
     };
 
+    // Header icon and label per message state
+    this.messageStates = options.messageStates || new MessageStateRegistry();
+
     this.currentBubble = null;
+    this.activeBubbleMatch = null; // match element the bubble belongs to
     this.hoverTimeout = null;
 
-    console.log('[BubbleManager] Initialized');
+    if (this.options.debug) {
+      console.log('[BubbleManager] Initialized');
+    }
   }
 
   /**
@@ -57,6 +67,7 @@ export default class BubbleManager {
     // Add to document
     document.body.appendChild(bubble);
     this.currentBubble = bubble;
+    this.activeBubbleMatch = matchEl;
 
     // Position bubble relative to match element
     this.positionBubble(bubble, matchEl);
@@ -66,7 +77,9 @@ export default class BubbleManager {
       this.hideBubble();
     });
 
-    console.log('[BubbleManager] Bubble shown for:', matchData.text);
+    if (this.options.debug) {
+      console.log('[BubbleManager] Bubble shown for:', matchData.intent?.handler?.redact ? '(redacted)' : matchData.text);
+    }
   }
 
   /**
@@ -79,20 +92,18 @@ export default class BubbleManager {
     headerContainer.className = 'bubble-header-container';
     headerContainer.setAttribute('data-type', messageState);
 
+    // Icon and label come from the state (built in or declared in "$states")
+    const state = this.messageStates.get(messageState);
+
     // Create image
     const img = document.createElement('img');
-    img.src = `./assets/trustquery-${messageState}.svg`;
+    img.src = state.icon;
     img.style.height = '24px';
     img.style.width = 'auto';
 
     // Create text span
     const span = document.createElement('span');
-    const textMap = {
-      'error': 'TrustQuery Stop',
-      'warning': 'TrustQuery Clarify',
-      'info': 'TrustQuery Quick Link'
-    };
-    span.textContent = textMap[messageState] || 'TrustQuery';
+    span.textContent = state.label;
 
     // Append to header
     headerContainer.appendChild(img);
@@ -114,6 +125,7 @@ export default class BubbleManager {
       this.currentBubble.remove();
       this.currentBubble = null;
     }
+    this.activeBubbleMatch = null;
   }
 
   /**
@@ -122,6 +134,11 @@ export default class BubbleManager {
    * @returns {string|null} HTML content or null
    */
   getBubbleContent(matchData) {
+    // Fuzzy matches that aren't exact suggest the canonical term
+    const suggestion = matchData.canonical && matchData.distance > 0
+      ? `<div class="tq-bubble-suggestion">Did you mean <strong>${this.escapeHtml(matchData.canonical)}</strong>?</div>`
+      : '';
+
     // Check for new simplified format first (intent.handler.message)
     if (matchData.intent && matchData.intent.handler) {
       const handler = matchData.intent.handler;
@@ -129,10 +146,14 @@ export default class BubbleManager {
 
       if (message) {
         // Return just the message text - header is added separately
-        return this.escapeHtml(message);
+        return suggestion + this.escapeHtml(this.resolveTemplate(message, matchData));
       }
     }
 
+    if (suggestion) {
+      return suggestion;
+    }
+
     // Use command handler if available (legacy support)
     if (this.options.commandHandlers && matchData.commandType) {
       const content = this.options.commandHandlers.getBubbleContent(matchData.commandType, matchData);
@@ -159,6 +180,18 @@ export default class BubbleManager {
     return null;
   }
 
+  /**
+   * Resolve {{variables}} in trigger text
+   * @param {string} text - Template text
+   * @param {Object} matchData - Match data
+   * @returns {string} Resolved text
+   */
+  resolveTemplate(text, matchData) {
+    return this.options.templateResolver
+      ? this.options.templateResolver.resolve(text, matchData)
+      : text;
+  }
+
   /**
    * Position bubble relative to match element
    * @param {HTMLElement} bubble - Bubble element
@@ -192,9 +225,7 @@ export default class BubbleManager {
    * @returns {string} Escaped text
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return HtmlEscaper.escape(text);
   }
 
   /**
@@ -214,6 +245,9 @@ export default class BubbleManager {
    */
   destroy() {
     this.cleanup();
-    console.log('[BubbleManager] Destroyed');
+
+    if (this.options.debug) {
+      console.log('[BubbleManager] Destroyed');
+    }
   }
 }
@@ -1,9 +1,40 @@
 // CommandHandlers - Handler registry for different command types
 // Each command type has specific styling and behavior
 
+import MessageStateRegistry from './MessageStateRegistry.js';
+import HtmlEscaper from './HtmlEscaper.js';
+
 export class CommandHandlerRegistry {
-  constructor() {
+  // Look of resolved and dismissed matches, whatever their message state
+  static RESOLUTION_STYLES = {
+    resolved: {
+      backgroundColor: 'rgba(16, 185, 129, 0.08)', // Faint green
+      color: '#065f46',
+      textDecoration: 'none',
+      borderBottom: '1px dashed #10b981',
+      borderRadius: '0',
+      cursor: 'pointer'
+    },
+    dismissed: {
+      backgroundColor: 'transparent',
+      color: 'inherit',
+      textDecoration: 'none',
+      borderBottom: '1px dotted #9ca3af', // Grey
+      borderRadius: '0',
+      cursor: 'pointer'
+    }
+  };
+
+  /**
+   * Create handler registry
+   * @param {Object} options - Configuration
+   * @param {MessageStateRegistry} options.messageStates - Look of each message state
+   * @param {Object} options.resolutionStyles - Overrides for RESOLUTION_STYLES ({ resolved, dismissed })
+   */
+  constructor(options = {}) {
     this.handlers = new Map();
+    this.messageStates = options.messageStates || new MessageStateRegistry();
+    this.resolutionStyles = options.resolutionStyles || {};
     this.registerDefaultHandlers();
   }
 
@@ -62,38 +93,37 @@ export class CommandHandlerRegistry {
 
   /**
    * Get styles based on message-state
-   * @param {string} messageState - Message state (error, warning, info)
+   * @param {string} messageState - Message state (error, warning, info, or one declared in "$states")
    * @returns {Object} Style configuration
    */
   getStylesForMessageState(messageState) {
-    const stateStyles = {
-      'error': {
-        backgroundColor: 'rgba(220, 38, 38, 0.15)', // Red
-        color: '#991b1b',
-        textDecoration: 'none',
-        borderBottom: '2px solid #dc2626',
-        borderRadius: '0',
-        cursor: 'not-allowed'
-      },
-      'warning': {
-        backgroundColor: 'rgba(245, 158, 11, 0.15)', // Orange
-        color: '#92400e',
-        textDecoration: 'none',
-        borderBottom: '2px solid #f59e0b',
-        borderRadius: '0',
-        cursor: 'help'
-      },
-      'info': {
-        backgroundColor: 'rgba(16, 185, 129, 0.15)', // Green
-        color: '#065f46',
-        textDecoration: 'none',
-        borderBottom: '2px solid #10b981',
-        borderRadius: '0',
-        cursor: 'pointer'
-      }
+    if (!this.messageStates.has(messageState)) {
+      return this.getDefaultStyles();
+    }
+
+    // The registry leaves out "$states" values that aren't plain CSS values
+    const state = this.messageStates.get(messageState);
+
+    return {
+      backgroundColor: state.highlight,
+      color: state.color,
+      textDecoration: 'none',
+      borderBottom: state.border ? `2px solid ${state.border}` : 'none',
+      borderRadius: '0',
+      cursor: state.cursor
     };
+  }
 
-    return stateStyles[messageState] || this.getDefaultStyles();
+  /**
+   * Get styles for a resolved or dismissed match
+   * @param {string} status - 'resolved' or 'dismissed'
+   * @returns {Object} Style configuration
+   */
+  getResolutionStyles(status) {
+    return {
+      ...(CommandHandlerRegistry.RESOLUTION_STYLES[status] || this.getDefaultStyles()),
+      ...(this.resolutionStyles[status] || {})
+    };
   }
 
   /**
@@ -135,6 +165,10 @@ class CommandHandler {
   shouldBlockSubmit(matchData) {
     return false;
   }
+
+  escapeHtml(text) {
+    return HtmlEscaper.escape(text);
+  }
 }
 
 /**
@@ -177,12 +211,6 @@ class NotAllowedHandler extends CommandHandler {
     const handler = matchData.intent?.handler || {};
     return handler['block-submit'] === true;
   }
-
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
 }
 
 /**
@@ -225,12 +253,6 @@ class ShowWarningHandler extends CommandHandler {
     const handler = matchData.intent?.handler || {};
     return handler['block-submit'] === true;
   }
-
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
 }
 
 /**
@@ -304,12 +326,6 @@ class ApiJsonTableHandler extends CommandHandler {
       </div>
     `;
   }
-
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
 }
 
 /**
@@ -341,12 +357,6 @@ class ApiMdTableHandler extends CommandHandler {
       </div>
     `;
   }
-
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
 }
 
 /**
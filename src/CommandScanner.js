@@ -1,12 +1,138 @@
 // CommandScanner - Scans text for word matches based on command map
-// Uses simple string matching (not regex) for simplicity and performance
+// String triggers are compiled into one automaton; regexes are compiled once per map;
+// fuzzy triggers compare word windows by edit distance; function triggers call
+// matchers registered with CommandScanner.registerMatcher; entropy triggers flag
+// random-looking tokens (keys, tokens)
+
+import AhoCorasickMatcher from './command-scanner-helpers/AhoCorasickMatcher.js';
 
 export default class CommandScanner {
+  // Regex flags a trigger may set ('g' is always added by the scanner)
+  // Kept on the class so the scanner source stays self-contained for the worker
+  static ALLOWED_FLAGS = ['i', 'm', 's', 'u'];
+
+  // Fuzzy trigger defaults: edits allowed per term, and shortest term matched fuzzily
+  static FUZZY_MAX_DISTANCE = 1;
+  static FUZZY_MIN_TERM_LENGTH = 4;
+
+  // Entropy trigger defaults: candidate tokens, shortest token, Shannon entropy in bits per character
+  static ENTROPY_TOKEN = '[A-Za-z0-9+/_-]+={0,2}';
+  static ENTROPY_MIN_LENGTH = 20;
+  static ENTROPY_MIN_BITS = 4;
+
+  // Default tie-break between overlapping triggers of equal priority
+  static SEVERITY = { error: 3, warning: 2, info: 1 };
+
+  // How a trigger's matches may overlap others: never, when one contains the other, or always
+  static OVERLAP_POLICIES = ['exclusive', 'nest', 'allow'];
+
+  // Matcher functions for "function" triggers, shared by all instances (name -> fn)
+  static matchers = new Map();
+
+  // Default distance (in words) for "near" context conditions
+  static CONTEXT_NEAR_WORDS = 5;
+
+  // Async matcher results kept per scanner, keyed by matcher name and input text
+  static MATCHER_CACHE_SIZE = 500;
+
+  // Milliseconds a trigger's regexes may run in one scan before the trigger is disabled
+  // Checked between executions, so it is no defence against one catastrophic backtrack
+  // (that is what RegexSafety and safe-regex mode are for)
+  static REGEX_BUDGET_MS = 100;
+
+  /**
+   * Register a matcher function for "function" triggers
+   * The function receives the text to check (the line, or each regex pre-filter
+   * match) and { lineIndex, offset, match }, and returns true (the whole input),
+   * false, { data } (the whole input, with extra data), an array of
+   * { start, end, data } spans relative to the input, or a Promise of any of these.
+   * @param {string} name - Name used as the trigger's "validator"
+   * @param {Function} fn - Matcher function
+   */
+  static registerMatcher(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`Matcher "${name}" must be a function`);
+    }
+    CommandScanner.matchers.set(name, fn);
+  }
+
+  /**
+   * Check whether a raw trigger map uses function triggers
+   * @param {Object} commandMap - Trigger map (with or without the "tql-triggers" wrapper)
+   * @returns {boolean} True if any trigger has type "function"
+   */
+  static usesFunctionTriggers(commandMap) {
+    const triggers = commandMap?.['tql-triggers'] || commandMap || {};
+    return Object.keys(triggers).some(state => Array.isArray(triggers[state]) &&
+      triggers[state].some(trigger => trigger && trigger.type === 'function'));
+  }
+
+  /**
+   * Resolve per-trigger matching options
+   * Defaults: regex triggers are case-sensitive and match anywhere; match triggers
+   * are case-insensitive whole words. An explicit caseSensitive wins over the "i" flag.
+   * Word boundaries are Unicode-aware by default; "segmenter" uses Intl.Segmenter
+   * word segmentation for scripts written without spaces (CJK, Thai).
+   * @param {Object} trigger - Trigger definition
+   * Fuzzy triggers allow maxDistance edits per term and skip terms shorter than minTermLength.
+   * Entropy triggers flag tokens of at least minLength (default 20) with minEntropy bits per character.
+   * Overlaps are resolved by priority (default 0) and the overlap policy (default exclusive).
+   * @returns {Object} { flags, caseSensitive, diacriticSensitive, wholeWord, maxDistance, minTermLength, minEntropy, wordBoundary, locale, minLength, maxLength, priority, overlap }
+   */
+  static resolveMatchOptions(trigger) {
+    const isRegex = trigger.type === 'regex';
+    const isFuzzy = trigger.type === 'fuzzy';
+    const isEntropy = trigger.type === 'entropy';
+    const requested = typeof trigger.flags === 'string' ? trigger.flags.split('') : [];
+    const flags = new Set(requested.filter(flag => CommandScanner.ALLOWED_FLAGS.includes(flag)));
+
+    let caseSensitive;
+    if (typeof trigger.caseSensitive === 'boolean') {
+      caseSensitive = trigger.caseSensitive;
+    } else {
+      caseSensitive = isRegex ? !flags.has('i') : false; // Match triggers: case insensitive for natural language
+    }
+
+    if (caseSensitive) {
+      flags.delete('i');
+    } else {
+      flags.add('i');
+    }
+
+    return {
+      flags: 'g' + Array.from(flags).sort().join(''),
+      caseSensitive: caseSensitive,
+      diacriticSensitive: trigger.diacriticSensitive !== false,
+      wholeWord: typeof trigger.wholeWord === 'boolean' ? trigger.wholeWord : !isRegex,
+      maxDistance: Number.isInteger(trigger.maxDistance) ? trigger.maxDistance : CommandScanner.FUZZY_MAX_DISTANCE,
+      minTermLength: Number.isInteger(trigger.minTermLength) ? trigger.minTermLength : (isFuzzy ? CommandScanner.FUZZY_MIN_TERM_LENGTH : 0),
+      wordBoundary: trigger.wordBoundary === 'segmenter' ? 'segmenter' : 'unicode',
+      locale: typeof trigger.locale === 'string' ? trigger.locale : undefined,
+      minEntropy: Number.isFinite(trigger.minEntropy) ? trigger.minEntropy : CommandScanner.ENTROPY_MIN_BITS,
+      minLength: Number.isInteger(trigger.minLength) ? trigger.minLength : (isEntropy ? CommandScanner.ENTROPY_MIN_LENGTH : 0),
+      maxLength: Number.isInteger(trigger.maxLength) ? trigger.maxLength : Infinity,
+      priority: Number.isFinite(trigger.priority) ? trigger.priority : 0,
+      overlap: CommandScanner.OVERLAP_POLICIES.includes(trigger.overlap) ? trigger.overlap : 'exclusive'
+    };
+  }
+
   constructor(options = {}) {
     this.commandMap = null;
     this.commands = [];
+    this.compiled = null;
+    this.segmenters = new Map(); // locale -> Intl.Segmenter
+    this.matcherResults = new Map(); // matcher name + input -> { spans, promise }
+    this.pendingMatchers = []; // async matchers the last scan is waiting on
+    this.allowlist = []; // host-allowed patterns, applied to every trigger
+    this.regexBudget = Number.isFinite(options.regexBudget) ? options.regexBudget : CommandScanner.REGEX_BUDGET_MS; // 0 turns it off
+    this.regexTime = new Map(); // trigger id -> ms its regexes ran in the current scan
+    this.disabledTriggers = new Map(); // trigger id -> { id, pattern, elapsed, budget }
+    this.failedMatchers = new Set(); // matcher names already reported as failing
     this.debug = options.debug || false;
-    console.log('[CommandScanner] Initialized');
+
+    if (this.debug) {
+      console.log('[CommandScanner] Initialized');
+    }
   }
 
   /**
@@ -16,7 +142,69 @@ export default class CommandScanner {
   setCommandMap(commandMap) {
     this.commandMap = commandMap;
     this.commands = this.parseCommandMap(commandMap);
-    console.log('[CommandScanner] Command map set with', this.commands.length, 'commands');
+    this.compiled = this.compileCommands(this.commands);
+    this.disabledTriggers.clear(); // a new map gets a fresh budget
+    this.failedMatchers.clear();
+
+    if (this.debug) {
+      console.log('[CommandScanner] Command map set with', this.commands.length, 'commands');
+    }
+  }
+
+  /**
+   * Set the host allowlist
+   * Matches of any trigger whose text fits one of the patterns are kept as allowed.
+   * @param {Array<string|RegExp|Object>} patterns - Literals, RegExps or { regex, flags }
+   */
+  setAllowlist(patterns) {
+    this.allowlist = this.compileAllowPatterns(patterns);
+  }
+
+  /**
+   * Compile allow patterns ("except" lists and the host allowlist)
+   * Strings match the whole matched text, case-insensitively; regexes are tested
+   * against the matched text (anchor them to match it all).
+   * @param {Array<string|RegExp|Object>} patterns - Literals, RegExps or { regex, flags }
+   * @returns {Array<{literal}|{regex}>} Compiled patterns (invalid ones are skipped)
+   */
+  compileAllowPatterns(patterns) {
+    if (!Array.isArray(patterns)) {
+      return [];
+    }
+
+    return patterns.map(pattern => {
+      if (typeof pattern === 'string') {
+        return pattern.length > 0 ? { literal: pattern.toLowerCase() } : null;
+      }
+      if (pattern instanceof RegExp) {
+        // Drop stateful flags so test() does not depend on earlier calls
+        return { regex: new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')) };
+      }
+      if (pattern && typeof pattern.regex === 'string') {
+        const flags = typeof pattern.flags === 'string' ? pattern.flags.replace(/[^imsu]/g, '') : '';
+        const regex = this.compileRegex(pattern.regex, flags);
+        return regex ? { regex } : null;
+      }
+      return null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Check a matched text against the trigger's "except" list and the host allowlist
+   * @param {string} text - Matched text
+   * @param {Object} command - Matched command
+   * @returns {string|null} 'except', 'allowlist', or null when the match counts
+   */
+  getAllowance(text, command) {
+    const fits = pattern => (pattern.regex ? pattern.regex.test(text) : text.toLowerCase() === pattern.literal);
+
+    if (command.except && command.except.some(fits)) {
+      return 'except';
+    }
+    if (this.allowlist.some(fits)) {
+      return 'allowlist';
+    }
+    return null;
   }
 
   /**
@@ -31,6 +219,9 @@ export default class CommandScanner {
     // Extract tql-triggers
     const triggers = triggerMap['tql-triggers'] || triggerMap;
 
+    // Custom message states may declare how they rank against error/warning/info
+    const declaredStates = triggerMap.$states && typeof triggerMap.$states === 'object' ? triggerMap.$states : {};
+
     if (!triggers || typeof triggers !== 'object') {
       console.warn('[CommandScanner] Invalid trigger map structure');
       return commands;
@@ -65,234 +256,1638 @@ export default class CommandScanner {
           category: category
         };
 
+        // Flags, case sensitivity, whole-word and length guards, priority and overlap policy
+        const matchOptions = CommandScanner.resolveMatchOptions(trigger);
+        const severity = Number.isFinite(declaredStates[messageState]?.severity)
+          ? declaredStates[messageState].severity
+          : CommandScanner.SEVERITY[messageState] || 0;
+
+        // Stable ids come from the trigger (e.g. preset packs); otherwise derived from its position
+        const triggerId = typeof trigger.id === 'string' && trigger.id ? trigger.id : `${messageState}-${category}-${index}`;
+
+        // Context conditions, checked once the trigger has matched
+        const context = this.compileContext(trigger.context);
+
+        // Texts this trigger never flags (reported as allowed)
+        const except = this.compileAllowPatterns(trigger.except);
+
         // Handle regex patterns
-        if (trigger.type === 'regex' && trigger.regex) {
+        if (trigger.type === 'regex' && Array.isArray(trigger.regex)) {
           trigger.regex.forEach(pattern => {
+            // Compile once; invalid patterns are reported by TriggerMapValidator
+            const regex = this.compileRegex(pattern, matchOptions.flags);
+            if (!regex) {
+              return;
+            }
+
             commands.push({
-              id: `${messageState}-${category}-${index}`,
+              id: triggerId,
               match: pattern,
               matchType: 'regex',
+              regex: regex,
               messageState: messageState,
               category: category,
+              commandType: trigger.commandType || null, // CommandHandlers type (version 1 maps)
               intent: intent,
               handler: intent.handler,
-              caseSensitive: true,
-              wholeWord: false
+              scope: trigger.scope === 'document' ? 'document' : 'line', // 'document' lets a regex span lines
+              caseSensitive: matchOptions.caseSensitive,
+              diacriticSensitive: matchOptions.diacriticSensitive,
+              wholeWord: matchOptions.wholeWord,
+              wordBoundary: matchOptions.wordBoundary,
+              locale: matchOptions.locale,
+              minLength: matchOptions.minLength,
+              maxLength: matchOptions.maxLength,
+              priority: matchOptions.priority,
+              severity: severity,
+              overlap: matchOptions.overlap,
+              context: context,
+              except: except
             });
           });
         }
 
         // Handle string matches
-        if (trigger.type === 'match' && trigger.match) {
+        if (trigger.type === 'match' && Array.isArray(trigger.match)) {
           trigger.match.forEach(matchStr => {
+            // Length guards apply to the literal itself
+            if (matchStr.length < matchOptions.minLength || matchStr.length > matchOptions.maxLength) {
+              return;
+            }
+
             commands.push({
-              id: `${messageState}-${category}-${index}`,
+              id: triggerId,
               match: matchStr,
               matchType: 'string',
               messageState: messageState,
               category: category,
+              commandType: trigger.commandType || null, // CommandHandlers type (version 1 maps)
+              intent: intent,
+              handler: intent.handler,
+              scope: 'line',
+              caseSensitive: matchOptions.caseSensitive,
+              diacriticSensitive: matchOptions.diacriticSensitive,
+              wholeWord: matchOptions.wholeWord,
+              wordBoundary: matchOptions.wordBoundary,
+              locale: matchOptions.locale,
+              minLength: matchOptions.minLength,
+              maxLength: matchOptions.maxLength,
+              priority: matchOptions.priority,
+              severity: severity,
+              overlap: matchOptions.overlap,
+              context: context,
+              except: except
+            });
+          });
+        }
+
+        // Handle function triggers (optionally pre-filtered by regex)
+        if (trigger.type === 'function' && typeof trigger.validator === 'string') {
+          const patterns = Array.isArray(trigger.regex) ? trigger.regex : [null];
+
+          patterns.forEach(pattern => {
+            const regex = pattern === null ? null : this.compileRegex(pattern, matchOptions.flags);
+            if (pattern !== null && !regex) {
+              return;
+            }
+
+            commands.push({
+              id: triggerId,
+              match: pattern || trigger.validator,
+              matchType: 'function',
+              validator: trigger.validator,
+              regex: regex,
+              messageState: messageState,
+              category: category,
+              commandType: trigger.commandType || null, // CommandHandlers type (version 1 maps)
+              intent: intent,
+              handler: intent.handler,
+              scope: trigger.scope === 'document' ? 'document' : 'line',
+              caseSensitive: matchOptions.caseSensitive,
+              diacriticSensitive: true,
+              wholeWord: false,
+              wordBoundary: matchOptions.wordBoundary,
+              locale: matchOptions.locale,
+              minLength: matchOptions.minLength,
+              maxLength: matchOptions.maxLength,
+              priority: matchOptions.priority,
+              severity: severity,
+              overlap: matchOptions.overlap,
+              context: context,
+              except: except
+            });
+          });
+        }
+
+        // Handle entropy triggers (candidate tokens from "regex", or the default token pattern)
+        if (trigger.type === 'entropy') {
+          const patterns = Array.isArray(trigger.regex) ? trigger.regex : [CommandScanner.ENTROPY_TOKEN];
+
+          patterns.forEach(pattern => {
+            const regex = this.compileRegex(pattern, matchOptions.flags);
+            if (!regex) {
+              return;
+            }
+
+            commands.push({
+              id: triggerId,
+              match: pattern,
+              matchType: 'entropy',
+              regex: regex,
+              minEntropy: matchOptions.minEntropy,
+              messageState: messageState,
+              category: category,
+              commandType: trigger.commandType || null, // CommandHandlers type (version 1 maps)
+              intent: intent,
+              handler: intent.handler,
+              scope: 'line',
+              caseSensitive: matchOptions.caseSensitive,
+              diacriticSensitive: true,
+              wholeWord: false,
+              wordBoundary: matchOptions.wordBoundary,
+              locale: matchOptions.locale,
+              minLength: matchOptions.minLength,
+              maxLength: matchOptions.maxLength,
+              priority: matchOptions.priority,
+              severity: severity,
+              overlap: matchOptions.overlap,
+              context: context,
+              except: except
+            });
+          });
+        }
+
+        // Handle fuzzy matches (entries are terms or { term, maxDistance })
+        if (trigger.type === 'fuzzy' && Array.isArray(trigger.match)) {
+          trigger.match.forEach(entry => {
+            const term = typeof entry === 'string' ? entry : entry?.term;
+            if (typeof term !== 'string' || term.trim().length < matchOptions.minTermLength) {
+              return;
+            }
+
+            commands.push({
+              id: triggerId,
+              match: term,
+              matchType: 'fuzzy',
+              maxDistance: Number.isInteger(entry?.maxDistance) ? entry.maxDistance : matchOptions.maxDistance,
+              wordCount: term.trim().split(/\s+/).length,
+              messageState: messageState,
+              category: category,
+              commandType: trigger.commandType || null, // CommandHandlers type (version 1 maps)
               intent: intent,
               handler: intent.handler,
-              caseSensitive: false, // Case insensitive for natural language
-              wholeWord: true // Whole word matching
+              scope: 'line',
+              caseSensitive: matchOptions.caseSensitive,
+              diacriticSensitive: matchOptions.diacriticSensitive,
+              wholeWord: true,
+              wordBoundary: matchOptions.wordBoundary,
+              locale: matchOptions.locale,
+              minLength: matchOptions.minLength,
+              maxLength: matchOptions.maxLength,
+              priority: matchOptions.priority,
+              severity: severity,
+              overlap: matchOptions.overlap,
+              context: context,
+              except: except
             });
           });
         }
       });
     });
 
-    // Sort by length (longest first) to match longer patterns first
-    commands.sort((a, b) => b.match.length - a.match.length);
+    // Rank: priority, then severity (error > warning > info), then longest pattern;
+    // exact triggers win over fuzzy ones of the same length
+    commands.sort((a, b) => b.priority - a.priority ||
+      b.severity - a.severity ||
+      b.match.length - a.match.length ||
+      (a.matchType === 'fuzzy') - (b.matchType === 'fuzzy'));
 
     return commands;
   }
 
+  /**
+   * Build the per-map matcher: one automaton per folding mode (case and
+   * diacritics) for string triggers, plus the lists of regex and fuzzy triggers.
+   * Values are command ranks (index in the sorted command list).
+   * @param {Array} commands - Parsed, sorted commands
+   * @returns {Object} { matchers: Array<{lower, strip, matcher}>, regexRanks, fuzzyRanks, functionRanks, entropyRanks, documentRanks, contextual }
+   */
+  compileCommands(commands) {
+    const matchers = new Map(); // folding mode -> { lower, strip, matcher }
+    const regexRanks = [];
+    const fuzzyRanks = [];
+    const functionRanks = [];
+    const entropyRanks = [];
+    const documentRanks = [];
+
+    commands.forEach((command, rank) => {
+      if (command.matchType === 'string') {
+        const lower = !command.caseSensitive;
+        const strip = command.diacriticSensitive === false;
+        const mode = `${lower}:${strip}`;
+
+        if (!matchers.has(mode)) {
+          matchers.set(mode, { lower, strip, matcher: new AhoCorasickMatcher() });
+        }
+        matchers.get(mode).matcher.add(this.foldText(command.match, lower, strip).text, rank);
+      } else if (command.matchType === 'regex') {
+        (command.scope === 'document' ? documentRanks : regexRanks).push(rank);
+      } else if (command.matchType === 'function') {
+        (command.scope === 'document' ? documentRanks : functionRanks).push(rank);
+      } else if (command.matchType === 'fuzzy') {
+        fuzzyRanks.push(rank);
+      } else if (command.matchType === 'entropy') {
+        entropyRanks.push(rank);
+      }
+    });
+
+    matchers.forEach(({ matcher }) => matcher.build());
+
+    // Whether any trigger has conditions on other matches (checked after the whole scan)
+    const contextual = commands.some(command => command.context && command.context.global);
+
+    return { matchers: Array.from(matchers.values()), regexRanks, fuzzyRanks, functionRanks, entropyRanks, documentRanks, contextual };
+  }
+
+  /**
+   * Fold text for comparison: lowercase and/or strip diacritics
+   * Returns position maps back to the original text whenever folding changed
+   * lengths (starts/ends are null when positions are unchanged).
+   * @param {string} text - Original text
+   * @param {boolean} lower - Lowercase
+   * @param {boolean} strip - Remove combining marks after NFD decomposition ("café" -> "cafe")
+   * @returns {Object} { text, starts, ends } where starts[i]/ends[i] give the original range of folded char i
+   */
+  foldText(text, lower, strip) {
+    if (!strip || /^[\x00-\x7f]*$/.test(text)) {
+      const folded = lower ? text.toLowerCase() : text;
+      if (folded.length === text.length) {
+        return { text: folded, starts: null, ends: null };
+      }
+    }
+
+    let folded = '';
+    const starts = [];
+    const ends = [];
+
+    for (let i = 0; i < text.length;) {
+      const char = String.fromCodePoint(text.codePointAt(i));
+      let part = lower ? char.toLowerCase() : char;
+      if (strip) {
+        part = part.normalize('NFD').replace(/\p{M}/gu, '');
+      }
+
+      if (part.length === 0) {
+        // A lone combining mark belongs to the previous character
+        if (ends.length > 0) {
+          ends[ends.length - 1] = i + char.length;
+        }
+      } else {
+        for (let k = 0; k < part.length; k++) {
+          starts.push(i);
+          ends.push(i + char.length);
+        }
+        folded += part;
+      }
+
+      i += char.length;
+    }
+
+    return { text: folded, starts, ends };
+  }
+
+  /**
+   * Compile a regex pattern
+   * @param {string} pattern - Regex source
+   * @param {string} flags - Regex flags (must include 'g')
+   * @returns {RegExp|null} Compiled global regex, or null if invalid
+   */
+  compileRegex(pattern, flags = 'g') {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (e) {
+      if (this.debug) {
+        console.warn('[CommandScanner] Skipping invalid regex pattern:', pattern, e);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Compile a trigger's "context" conditions
+   * before/after entries are words or phrases (compared case-insensitively with the
+   * adjacent words on the same line) or { regex } patterns anchored against the text
+   * right before or after the match. near/notNear look for trigger ids or words within
+   * a number of words; requiresCategory needs another match in one of the categories.
+   * @param {Object} context - Context conditions from the trigger
+   * @returns {Object|null} { before, notBefore, after, notAfter, near, notNear, requiresCategory, local, global } or null
+   */
+  compileContext(context) {
+    if (!context || typeof context !== 'object') {
+      return null;
+    }
+
+    const compileSide = (entries, side) => (Array.isArray(entries) ? entries : []).map(entry => {
+      if (typeof entry === 'string') {
+        const words = entry.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        return words.length > 0 ? { words } : null;
+      }
+      if (entry && typeof entry.regex === 'string') {
+        const flags = typeof entry.flags === 'string' ? entry.flags.replace(/[^imsu]/g, '') : '';
+        const source = side === 'before' ? `(?:${entry.regex})$` : `^(?:${entry.regex})`;
+        const regex = this.compileRegex(source, flags);
+        return regex ? { regex } : null;
+      }
+      return null;
+    }).filter(Boolean);
+
+    const compileNear = near => {
+      if (!near || typeof near !== 'object') {
+        return null;
+      }
+      const ids = Array.isArray(near.ids) ? near.ids.filter(id => typeof id === 'string') : [];
+      const words = (Array.isArray(near.words) ? near.words : [])
+        .filter(word => typeof word === 'string')
+        .map(word => word.trim().toLowerCase().split(/\s+/).filter(Boolean))
+        .filter(phrase => phrase.length > 0);
+      const within = Number.isInteger(near.within) && near.within >= 0 ? near.within : CommandScanner.CONTEXT_NEAR_WORDS;
+      return ids.length > 0 || words.length > 0 ? { ids, words, within } : null;
+    };
+
+    const compiled = {
+      before: compileSide(context.before, 'before'),
+      notBefore: compileSide(context.notBefore, 'before'),
+      after: compileSide(context.after, 'after'),
+      notAfter: compileSide(context.notAfter, 'after'),
+      near: compileNear(context.near),
+      notNear: compileNear(context.notNear),
+      requiresCategory: Array.isArray(context.requiresCategory) ? context.requiresCategory.filter(c => typeof c === 'string') : []
+    };
+
+    // Local conditions only need the line; global ones need the other matches
+    compiled.local = compiled.before.length + compiled.notBefore.length + compiled.after.length + compiled.notAfter.length > 0;
+    compiled.global = compiled.near !== null || compiled.notNear !== null || compiled.requiresCategory.length > 0;
+
+    return compiled.local || compiled.global ? compiled : null;
+  }
+
   /**
    * Scan text for all matches
+   * Document-scope triggers run over the whole text first and take precedence
+   * over overlapping line matches; everything else is matched line by line.
    * @param {string} text - Text to scan
    * @returns {Array} Array of match objects with position info
    */
   scan(text) {
+    this.pendingMatchers = [];
+    this.regexTime.clear();
+
     if (!this.commands || this.commands.length === 0) {
       return [];
     }
 
+    const disabledCount = this.disabledTriggers.size;
     const matches = [];
     const lines = text.split('\n');
+    const lineStarts = this.getLineStarts(lines);
+
+    // Whole-document matches (may span lines)
+    const documentMatches = this.scanDocument(text, lineStarts);
+    matches.push(...documentMatches);
 
-    // Scan each line
+    // Scan each line, skipping ranges already claimed by document matches
     lines.forEach((line, lineIndex) => {
-      const lineMatches = this.scanLine(line, lineIndex);
+      const reserved = this.getReservedRanges(documentMatches, lineIndex, lineStarts[lineIndex], line.length);
+      const lineMatches = this.scanLine(line, lineIndex, lineStarts[lineIndex], reserved);
       matches.push(...lineMatches);
     });
 
+    // Order by absolute position (outer matches before those nested in them)
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    // A trigger disabled part-way through keeps none of its matches, as on the next scan
+    const enabled = this.disabledTriggers.size > disabledCount
+      ? matches.filter(match => !this.disabledTriggers.has(match.command.id))
+      : matches;
+
+    // Drop matches whose near/category conditions are not met by the other matches
+    const result = this.compiled.contextual ? this.applyMatchContext(text, enabled) : enabled;
+
     // Only log when matches are found
-    if (matches.length > 0) {
-      console.log(`[CommandScanner] Found ${matches.length} matches`);
+    if (this.debug && result.length > 0) {
+      console.log(`[CommandScanner] Found ${result.length} matches`);
     }
 
-    return matches;
+    return result;
   }
 
   /**
-   * Scan a single line for matches
-   * @param {string} line - Line text
-   * @param {number} lineIndex - Line number (0-indexed)
-   * @returns {Array} Matches on this line
+   * Rescan only the lines touched by an edit
+   * Matches before the edit are kept, matches after it are shifted, and only the
+   * edited lines are scanned again; the result is identical to scan(text).
+   * Returns null when an incremental scan is not possible (document-scope triggers,
+   * or context conditions that depend on matches elsewhere in the text).
+   * @param {string} prevText - Text of the previous scan
+   * @param {Array} prevMatches - Matches of the previous scan
+   * @param {string} text - New text
+   * @returns {Object|null} { matches, change: { startLine, oldEndLine, newEndLine, lineDelta, offsetDelta } | null }
    */
-  scanLine(line, lineIndex) {
-    const matches = [];
-    const matchedRanges = []; // Track matched positions to avoid overlaps
+  scanIncremental(prevText, prevMatches, text) {
+    if (!this.compiled || this.compiled.documentRanks.length > 0 || this.compiled.contextual) {
+      return null;
+    }
+
+    if (prevText === text) {
+      return { matches: prevMatches, change: null };
+    }
 
-    for (const command of this.commands) {
-      const commandMatches = this.findMatches(line, command, lineIndex);
+    this.pendingMatchers = [];
+    this.regexTime.clear();
 
-      // Filter out overlapping matches
-      for (const match of commandMatches) {
-        if (!this.overlapsExisting(match, matchedRanges)) {
-          matches.push(match);
-          matchedRanges.push({ start: match.col, end: match.col + match.length });
-        }
+    const disabledCount = this.disabledTriggers.size;
+    const change = this.getLineChange(prevText, text);
+    const { before, after } = this.carryOverMatches(prevMatches, change);
+
+    // Rescan edited lines
+    const edited = [];
+    let lineStart = change.startOffset;
+    for (let lineIndex = change.startLine; lineIndex <= change.newEndLine; lineIndex++) {
+      let lineEnd = text.indexOf('\n', lineStart);
+      if (lineEnd === -1) {
+        lineEnd = text.length;
       }
+      edited.push(...this.scanLine(text.substring(lineStart, lineEnd), lineIndex, lineStart));
+      lineStart = lineEnd + 1;
     }
 
-    // Sort matches by column position
-    matches.sort((a, b) => a.col - b.col);
+    // Matches carried over from a trigger disabled just now need a full scan to drop
+    if (this.disabledTriggers.size > disabledCount) {
+      return null;
+    }
 
-    return matches;
+    return {
+      matches: [...before, ...edited, ...after],
+      change
+    };
   }
 
   /**
-   * Find all matches of a command in a line
-   * @param {string} line - Line text
-   * @param {Object} command - Command to search for
-   * @param {number} lineIndex - Line number
-   * @returns {Array} Matches
+   * Work out which lines an edit touched
+   * Uses the common prefix and suffix of the two texts.
+   * @param {string} prevText - Previous text
+   * @param {string} text - New text
+   * @returns {Object} { startLine, oldEndLine, newEndLine, lineDelta, offsetDelta, startOffset }
    */
-  findMatches(line, command, lineIndex) {
-    const matches = [];
-
-    // Handle regex patterns
-    if (command.matchType === 'regex') {
-      try {
-        const regex = new RegExp(command.match, 'g');
-        let match;
-
-        while ((match = regex.exec(line)) !== null) {
-          if (this.debug) {
-            console.log('[CommandScanner] Regex match debug:', {
-              pattern: command.match,
-              line: line,
-              'match[0]': match[0],
-              'match[0].length': match[0].length,
-              index: match.index
-            });
-          }
-
-          matches.push({
-            text: match[0],
-            line: lineIndex,
-            col: match.index,
-            length: match[0].length,
-            command: command
-          });
-        }
-      } catch (e) {
-        console.warn('[CommandScanner] Invalid regex pattern:', command.match, e);
-      }
-
-      return matches;
+  getLineChange(prevText, text) {
+    const minLength = Math.min(prevText.length, text.length);
+    let prefix = 0;
+    while (prefix < minLength && prevText.charCodeAt(prefix) === text.charCodeAt(prefix)) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (
+      suffix < minLength - prefix &&
+      prevText.charCodeAt(prevText.length - 1 - suffix) === text.charCodeAt(text.length - 1 - suffix)
+    ) {
+      suffix++;
     }
 
-    // Handle string patterns (original logic)
-    const searchText = command.caseSensitive ? line : line.toLowerCase();
-    const pattern = command.caseSensitive ? command.match : command.match.toLowerCase();
+    const startLine = this.countNewlines(text, 0, prefix);
+    const oldEndLine = startLine + this.countNewlines(prevText, prefix, prevText.length - suffix);
+    const newEndLine = startLine + this.countNewlines(text, prefix, text.length - suffix);
 
-    let startIndex = 0;
+    return {
+      startLine,
+      oldEndLine,
+      newEndLine,
+      lineDelta: newEndLine - oldEndLine,
+      offsetDelta: text.length - prevText.length,
+      startOffset: prefix === 0 ? 0 : text.lastIndexOf('\n', prefix - 1) + 1 // Offset of startLine in the new text
+    };
+  }
 
-    while (true) {
-      const index = searchText.indexOf(pattern, startIndex);
+  /**
+   * Keep matches outside the edited lines, shifting those after the edit into place
+   * @param {Array} prevMatches - Matches of the previous text
+   * @param {Object} change - Line change from getLineChange
+   * @returns {Object} { before, after } matches on untouched lines
+   */
+  carryOverMatches(prevMatches, change) {
+    const before = [];
+    const after = [];
 
-      if (index === -1) {
-        break; // No more matches
-      }
+    for (const match of prevMatches) {
+      const endLine = match.endLine !== undefined ? match.endLine : match.line;
 
-      // Check if this is a whole word match (if required)
-      if (command.wholeWord && !this.isWholeWordMatch(line, index, pattern.length)) {
-        startIndex = index + 1;
-        continue;
+      if (endLine < change.startLine) {
+        before.push(match);
+      } else if (match.line > change.oldEndLine) {
+        after.push({
+          ...match,
+          line: match.line + change.lineDelta,
+          endLine: endLine + change.lineDelta,
+          start: match.start + change.offsetDelta,
+          end: match.end + change.offsetDelta
+        });
       }
+    }
 
-      // Create match object
-      matches.push({
-        text: line.substring(index, index + pattern.length),
-        line: lineIndex,
-        col: index,
-        length: pattern.length,
-        command: command
-      });
+    return { before, after };
+  }
 
-      startIndex = index + pattern.length;
+  /**
+   * Count newlines in a range of text
+   * @param {string} text - Text
+   * @param {number} from - Range start
+   * @param {number} to - Range end (exclusive)
+   * @returns {number} Newline count
+   */
+  countNewlines(text, from, to) {
+    let count = 0;
+    for (let i = text.indexOf('\n', from); i !== -1 && i < to; i = text.indexOf('\n', i + 1)) {
+      count++;
     }
-
-    return matches;
+    return count;
   }
 
   /**
-   * Check if match is a whole word (not part of a larger word)
-   * @param {string} text - Text to check
-   * @param {number} start - Start index of match
-   * @param {number} length - Length of match
-   * @returns {boolean} True if whole word
+   * Get absolute offset of each line start
+   * @param {Array<string>} lines - Text split on newlines
+   * @returns {Array<number>} Offset of the first character of each line
    */
-  isWholeWordMatch(text, start, length) {
-    const end = start + length;
+  getLineStarts(lines) {
+    const starts = [];
+    let offset = 0;
+    for (const line of lines) {
+      starts.push(offset);
+      offset += line.length + 1; // +1 for newline
+    }
+    return starts;
+  }
 
-    // Check character before
-    if (start > 0) {
-      const before = text[start - 1];
-      if (this.isWordChar(before)) {
-        return false;
+  /**
+   * Convert an absolute offset to a line/column position
+   * @param {number} offset - Absolute offset
+   * @param {Array<number>} lineStarts - Line start offsets
+   * @returns {Object} { line, col }
+   */
+  offsetToPosition(offset, lineStarts) {
+    // Binary search for the last line starting at or before offset
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
       }
     }
+    return { line: low, col: offset - lineStarts[low] };
+  }
 
-    // Check character after - treat "/" as a word boundary (resolved trigger)
-    if (end < text.length) {
-      const after = text[end];
-      if (this.isWordChar(after) || after === '/') {
-        return false;
+  /**
+   * Scan the whole text with document-scope triggers
+   * @param {string} text - Full text
+   * @param {Array<number>} lineStarts - Line start offsets
+   * @returns {Array} Non-overlapping document matches
+   */
+  scanDocument(text, lineStarts) {
+    const matches = [];
+
+    if (!this.compiled) {
+      return matches;
+    }
+
+    let words = null;
+    const getWords = () => (words || (words = this.getWords(text)));
+
+    for (const rank of this.compiled.documentRanks) {
+      const command = this.commands[rank];
+
+      for (const match of this.findMatches(text, command, 0, 0)) {
+        if (command.context && command.context.local && !this.checkLocalContext(text, match.start, match.end, command.context, getWords)) {
+          continue;
+        }
+        if (matches.some(kept => match.start < kept.end && match.end > kept.start && !this.canOverlap(kept, match))) {
+          continue;
+        }
+
+        // Re-anchor line/col to where the match starts and ends
+        const startPos = this.offsetToPosition(match.start, lineStarts);
+        const endPos = this.offsetToPosition(match.end, lineStarts);
+        match.line = startPos.line;
+        match.col = startPos.col;
+        match.endLine = endPos.line;
+        match.endCol = endPos.col;
+
+        matches.push(match);
       }
     }
 
-    return true;
+    return matches;
   }
 
   /**
-   * Check if character is a word character (alphanumeric or underscore)
-   * @param {string} char - Character to check
-   * @returns {boolean} True if word character
+   * Get line-relative ranges covered by document matches
+   * @param {Array} documentMatches - Matches from scanDocument
+   * @param {number} lineIndex - Line number
+   * @param {number} lineStart - Absolute offset of the line
+   * @param {number} lineLength - Line length
+   * @returns {Array} Array of {start, end} column ranges
    */
-  isWordChar(char) {
-    return /[a-zA-Z0-9_]/.test(char);
+  getReservedRanges(documentMatches, lineIndex, lineStart, lineLength) {
+    const ranges = [];
+    for (const match of documentMatches) {
+      if (match.line <= lineIndex && match.endLine >= lineIndex) {
+        ranges.push({
+          start: Math.max(0, match.start - lineStart),
+          end: Math.min(lineLength, match.end - lineStart),
+          command: match.command
+        });
+      }
+    }
+    return ranges;
   }
 
   /**
-   * Check if a match overlaps with existing matches
-   * @param {Object} match - New match to check
-   * @param {Array} existingRanges - Array of {start, end} ranges
-   * @returns {boolean} True if overlaps
+   * Scan a single line for matches (line-scope triggers only)
+   * @param {string} line - Line text
+   * @param {number} lineIndex - Line number (0-indexed)
+   * @param {number} lineStart - Absolute offset of the line in the full text
+   * @param {Array} reservedRanges - Column ranges already taken by other matches
+   * @returns {Array} Matches on this line
    */
-  overlapsExisting(match, existingRanges) {
-    const matchStart = match.col;
-    const matchEnd = match.col + match.length;
+  scanLine(line, lineIndex, lineStart = 0, reservedRanges = []) {
+    if (!this.compiled) {
+      return [];
+    }
 
-    for (const range of existingRanges) {
-      // Check for overlap
-      if (matchStart < range.end && matchEnd > range.start) {
-        return true;
+    // Candidates from every trigger, tagged with the trigger's rank
+    const candidates = [];
+
+    const boundaries = new Map(); // Segmenter word boundaries for this line, per locale
+
+    const addStringMatch = (start, end, rank) => {
+      const command = this.commands[rank];
+      if (command.wholeWord && !this.isWordMatch(line, start, end, command, boundaries)) {
+        return;
+      }
+      candidates.push({ rank, start, end, match: null });
+    };
+
+    for (const { lower, strip, matcher } of this.compiled.matchers) {
+      const folded = this.foldText(line, lower, strip);
+
+      if (!folded.starts) {
+        matcher.search(folded.text, addStringMatch);
+      } else {
+        // Map folded positions back onto the original line
+        matcher.search(folded.text, (start, end, rank) => {
+          addStringMatch(folded.starts[start], folded.ends[end - 1], rank);
+        });
       }
     }
 
-    return false;
-  }
-}
+    const { regexRanks, fuzzyRanks, functionRanks, entropyRanks } = this.compiled;
+    for (const rank of regexRanks.concat(fuzzyRanks, functionRanks, entropyRanks)) {
+      for (const match of this.findMatches(line, this.commands[rank], lineIndex, lineStart)) {
+        candidates.push({ rank, start: match.col, end: match.col + match.length, match });
+      }
+    }
+
+    // Before/after conditions are checked before overlaps are resolved, so a match
+    // that fails them never hides another trigger
+    let words = null;
+    const getWords = () => (words || (words = this.getWords(line)));
+    const eligible = candidates.filter(candidate => {
+      const context = this.commands[candidate.rank].context;
+      return !context || !context.local || this.checkLocalContext(line, candidate.start, candidate.end, context, getWords);
+    });
+
+    if (eligible.length === 0) {
+      return [];
+    }
+
+    // A trigger's own occurrences never overlap (same as scanning left to right)
+    eligible.sort((a, b) => a.rank - b.rank || a.start - b.start);
+
+    const ranked = [];
+    let currentRank = -1;
+    let rankEnd = 0;
+
+    for (const candidate of eligible) {
+      if (candidate.rank !== currentRank) {
+        currentRank = candidate.rank;
+        rankEnd = 0;
+      }
+      if (candidate.start < rankEnd) {
+        continue;
+      }
+      rankEnd = candidate.end;
+      ranked.push(candidate);
+    }
+
+    // Resolve overlaps: priority, then severity, then the longer actual match
+    ranked.sort((a, b) => {
+      const commandA = this.commands[a.rank];
+      const commandB = this.commands[b.rank];
+      return commandB.priority - commandA.priority ||
+        commandB.severity - commandA.severity ||
+        (b.end - b.start) - (a.end - a.start) ||
+        a.rank - b.rank ||
+        a.start - b.start;
+    });
+
+    // Columns already claimed (e.g. by document-scope matches); overlaps are only
+    // checked against kept matches when a candidate touches a claimed column
+    const taken = new Uint8Array(line.length + 1);
+    const kept = [];
+    for (const range of reservedRanges) {
+      taken.fill(1, range.start, range.end);
+      kept.push(range);
+    }
+
+    const matches = [];
+
+    for (const candidate of ranked) {
+      const command = this.commands[candidate.rank];
+
+      if (this.isRangeTaken(taken, candidate.start, candidate.end)) {
+        const range = { start: candidate.start, end: candidate.end, command };
+        if (kept.some(other => range.start < other.end && range.end > other.start && !this.canOverlap(other, range))) {
+          continue;
+        }
+      }
+
+      taken.fill(1, candidate.start, candidate.end);
+      kept.push({ start: candidate.start, end: candidate.end, command });
+
+      matches.push(candidate.match || this.createMatch(line, lineIndex, lineStart, candidate.start, candidate.end, command));
+    }
+
+    // Sort matches by column position (outer matches before those nested in them)
+    matches.sort((a, b) => a.col - b.col || b.length - a.length);
+
+    return matches;
+  }
+
+  /**
+   * Check whether two overlapping matches may both be kept
+   * Either trigger's policy can permit the overlap: "allow" always, "nest" when one
+   * range contains the other. Terms of the same trigger never overlap each other.
+   * @param {Object} a - { start, end, command }
+   * @param {Object} b - { start, end, command }
+   * @returns {boolean} True if both can be kept
+   */
+  canOverlap(a, b) {
+    if (a.command.id === b.command.id) {
+      return false;
+    }
+
+    const policies = [a.command.overlap, b.command.overlap];
+    if (policies.includes('allow')) {
+      return true;
+    }
+
+    const nested = (a.start <= b.start && a.end >= b.end) || (b.start <= a.start && b.end >= a.end);
+    return nested && policies.includes('nest');
+  }
+
+  /**
+   * Check a match's before/after conditions
+   * Every "before"/"after" list needs one entry to hold; no "notBefore"/"notAfter" entry may.
+   * @param {string} line - Line text (or the whole text for document scope)
+   * @param {number} start - Match start in line
+   * @param {number} end - Match end in line (exclusive)
+   * @param {Object} context - Compiled context conditions
+   * @param {Function} getWords - Returns the line's word ranges (computed once per line)
+   * @returns {boolean} True if the conditions hold
+   */
+  checkLocalContext(line, start, end, context, getWords) {
+    const holds = (entries, side) => entries.some(entry => {
+      if (entry.regex) {
+        return entry.regex.test(side === 'before' ? line.substring(0, start) : line.substring(end));
+      }
+
+      const words = getWords();
+      const adjacent = side === 'before'
+        ? words.filter(word => word.end <= start).slice(-entry.words.length)
+        : words.filter(word => word.start >= end).slice(0, entry.words.length);
+
+      return adjacent.length === entry.words.length &&
+        adjacent.every((word, i) => line.substring(word.start, word.end).toLowerCase() === entry.words[i]);
+    });
+
+    return (context.before.length === 0 || holds(context.before, 'before')) &&
+      !holds(context.notBefore, 'before') &&
+      (context.after.length === 0 || holds(context.after, 'after')) &&
+      !holds(context.notAfter, 'after');
+  }
+
+  /**
+   * Drop matches whose near/notNear/requiresCategory conditions fail
+   * Repeats until stable, since removing a match can break another's condition.
+   * @param {string} text - Full text
+   * @param {Array} matches - Matches of the scan
+   * @returns {Array} Matches whose conditions hold
+   */
+  applyMatchContext(text, matches) {
+    const words = this.getWords(text);
+    const wordTexts = words.map(word => text.substring(word.start, word.end).toLowerCase());
+    let current = matches;
+
+    while (true) {
+      const next = current.filter(match => {
+        const context = match.command.context;
+        if (!context || !context.global) {
+          return true;
+        }
+
+        if (context.requiresCategory.length > 0 &&
+            !current.some(other => other !== match && !other.allowed && context.requiresCategory.includes(other.command.category))) {
+          return false;
+        }
+
+        if (context.near && !this.isNear(match, context.near, current, words, wordTexts)) {
+          return false;
+        }
+
+        return !(context.notNear && this.isNear(match, context.notNear, current, words, wordTexts));
+      });
+
+      if (next.length === current.length) {
+        return next;
+      }
+      current = next;
+    }
+  }
+
+  /**
+   * Check whether a listed trigger id or word occurs within N words of a match
+   * @param {Object} match - Match
+   * @param {Object} near - { ids, words: Array<Array<string>>, within }
+   * @param {Array} matches - All current matches
+   * @param {Array} words - Word ranges of the text
+   * @param {Array<string>} wordTexts - Lowercased words of the text
+   * @returns {boolean} True if something listed is close enough
+   */
+  isNear(match, near, matches, words, wordTexts) {
+    const span = this.getWordSpan(match.start, match.end, words);
+    const distance = other => Math.max(0, other.first - span.last, span.first - other.last);
+
+    if (near.ids.length > 0 && matches.some(other => other !== match && !other.allowed &&
+        near.ids.includes(other.command.id) &&
+        distance(this.getWordSpan(other.start, other.end, words)) <= near.within)) {
+      return true;
+    }
+
+    return near.words.some(phrase => {
+      const from = Math.max(0, span.first - near.within - phrase.length + 1);
+      const to = Math.min(words.length - phrase.length, span.last + near.within);
+
+      for (let i = from; i <= to; i++) {
+        const last = i + phrase.length - 1;
+        // The match's own words do not count
+        if (words[i].start < match.end && words[last].end > match.start) {
+          continue;
+        }
+        if (phrase.every((word, j) => wordTexts[i + j] === word) && distance({ first: i, last }) <= near.within) {
+          return true;
+        }
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Get the indexes of the words a range covers
+   * A range between words gets first = last + 1 (the next word).
+   * @param {number} start - Range start
+   * @param {number} end - Range end (exclusive)
+   * @param {Array} words - Word ranges, in order
+   * @returns {Object} { first, last } word indexes
+   */
+  getWordSpan(start, end, words) {
+    // Number of words satisfying a predicate that holds for a prefix of the list
+    const count = predicate => {
+      let low = 0;
+      let high = words.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (predicate(words[mid])) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      return low;
+    };
+
+    return {
+      first: count(word => word.end <= start),
+      last: count(word => word.start < end) - 1
+    };
+  }
+
+  /**
+   * Check whether any column in [start, end) is already claimed
+   * @param {Uint8Array} taken - Claimed columns
+   * @param {number} start - Range start
+   * @param {number} end - Range end (exclusive)
+   * @returns {boolean} True if the range overlaps a claimed column
+   */
+  isRangeTaken(taken, start, end) {
+    for (let i = start; i < end; i++) {
+      if (taken[i]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Create a match object for a line range
+   * @param {string} line - Line text
+   * @param {number} lineIndex - Line number
+   * @param {number} lineStart - Absolute offset of the line
+   * @param {number} start - Start column
+   * @param {number} end - End column (exclusive)
+   * @param {Object} command - Matched command
+   * @returns {Object} Match (with allowed and allowedBy when allowlisted)
+   */
+  createMatch(line, lineIndex, lineStart, start, end, command) {
+    const match = {
+      text: line.substring(start, end),
+      line: lineIndex,
+      col: start,
+      endLine: lineIndex,
+      endCol: end,
+      start: lineStart + start,
+      end: lineStart + end,
+      length: end - start,
+      command: command
+    };
+
+    // Allowed spans stay in the results for auditing; they are not highlighted or counted
+    const allowedBy = this.getAllowance(match.text, command);
+    if (allowedBy) {
+      match.allowed = true;
+      match.allowedBy = allowedBy;
+    }
+
+    return match;
+  }
+
+  /**
+   * Collect a regex match's capture groups
+   * Numbered groups are keyed "1", "2", ...; named groups also by name. Groups that
+   * did not take part in the match are null. Diacritic-insensitive triggers capture
+   * from the folded text (accents removed).
+   * @param {Array} result - RegExp exec result
+   * @returns {Object|null} { 1: ..., name: ... } or null if the pattern has no groups
+   */
+  getGroups(result) {
+    if (result.length <= 1) {
+      return null;
+    }
+
+    const groups = {};
+    for (let i = 1; i < result.length; i++) {
+      groups[i] = result[i] === undefined ? null : result[i];
+    }
+    Object.keys(result.groups || {}).forEach(name => {
+      groups[name] = result.groups[name] === undefined ? null : result.groups[name];
+    });
+
+    return groups;
+  }
+
+  /**
+   * Find all matches of a command in a line
+   * @param {string} line - Line text
+   * @param {Object} command - Command to search for
+   * @param {number} lineIndex - Line number
+   * @param {number} lineStart - Absolute offset of the line in the full text
+   * @returns {Array} Matches
+   */
+  findMatches(line, command, lineIndex, lineStart = 0) {
+    if (this.disabledTriggers.has(command.id)) {
+      return [];
+    }
+
+    if (command.matchType === 'fuzzy') {
+      return this.findFuzzyMatches(line, command, lineIndex, lineStart);
+    }
+
+    if (command.matchType === 'function') {
+      return this.findFunctionMatches(line, command, lineIndex, lineStart);
+    }
+
+    if (command.matchType === 'entropy') {
+      return this.findEntropyMatches(line, command, lineIndex, lineStart);
+    }
+
+    const matches = [];
+    const boundaries = new Map();
+
+    // Diacritic-insensitive triggers match against folded text, mapped back to the line
+    const folded = command.diacriticSensitive === false
+      ? this.foldText(line, command.matchType !== 'regex' && !command.caseSensitive, true)
+      : null;
+    const toStart = index => (folded && folded.starts ? folded.starts[index] : index);
+    const toEnd = index => (folded && folded.ends ? folded.ends[index - 1] : index);
+
+    // Handle regex patterns
+    if (command.matchType === 'regex') {
+      const searchText = folded ? folded.text : line;
+
+      for (const match of this.execAll(command.regex, searchText, command)) {
+        const start = toStart(match.index);
+        const end = toEnd(match.index + match[0].length);
+
+        // Length guards and optional whole-word boundaries
+        if (end - start < command.minLength || end - start > command.maxLength) {
+          continue;
+        }
+        if (command.wholeWord && !this.isWordMatch(line, start, end, command, boundaries)) {
+          continue;
+        }
+
+        if (this.debug) {
+          console.log('[CommandScanner] Regex match debug:', {
+            pattern: command.match,
+            line: line,
+            'match[0]': match[0],
+            'match[0].length': match[0].length,
+            index: match.index
+          });
+        }
+
+        const created = this.createMatch(line, lineIndex, lineStart, start, end, command);
+        const groups = this.getGroups(match);
+        if (groups) {
+          created.groups = groups;
+        }
+        matches.push(created);
+      }
+
+      return matches;
+    }
+
+    // Handle string patterns (original logic)
+    const searchText = folded ? folded.text : (command.caseSensitive ? line : line.toLowerCase());
+    const pattern = folded
+      ? this.foldText(command.match, !command.caseSensitive, true).text
+      : (command.caseSensitive ? command.match : command.match.toLowerCase());
+
+    let startIndex = 0;
+
+    while (true) {
+      const index = searchText.indexOf(pattern, startIndex);
+
+      if (index === -1) {
+        break; // No more matches
+      }
+
+      const start = toStart(index);
+      const end = toEnd(index + pattern.length);
+
+      // Check if this is a whole word match (if required)
+      if (command.wholeWord && !this.isWordMatch(line, start, end, command, boundaries)) {
+        startIndex = index + 1;
+        continue;
+      }
+
+      // Create match object
+      matches.push(this.createMatch(line, lineIndex, lineStart, start, end, command));
+
+      startIndex = index + pattern.length;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find matches reported by a registered matcher function
+   * With a regex pre-filter the matcher sees each regex match; otherwise the line.
+   * @param {string} line - Line text (or the whole text for document scope)
+   * @param {Object} command - Function command
+   * @param {number} lineIndex - Line index
+   * @param {number} lineStart - Absolute offset of the line start
+   * @returns {Array} Matches with the matcher's extra data as match.data
+   */
+  findFunctionMatches(line, command, lineIndex, lineStart = 0) {
+    const inputs = command.regex
+      ? this.execAll(command.regex, line, command)
+      : [{ 0: line, index: 0 }];
+
+    const matches = [];
+
+    for (const input of inputs) {
+      const spans = this.runMatcher(command.validator, input[0], {
+        lineIndex,
+        offset: lineStart + input.index,
+        match: command.regex ? input : null
+      });
+
+      for (const span of spans) {
+        const start = input.index + span.start;
+        const end = input.index + span.end;
+        if (end - start < command.minLength || end - start > command.maxLength) {
+          continue;
+        }
+
+        const match = this.createMatch(line, lineIndex, lineStart, start, end, command);
+        if (span.data !== undefined) {
+          match.data = span.data;
+        }
+        matches.push(match);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find random-looking tokens (API keys, tokens) by Shannon entropy
+   * @param {string} line - Line text
+   * @param {Object} command - Entropy command (regex yields candidate tokens)
+   * @param {number} lineIndex - Line index
+   * @param {number} lineStart - Absolute offset of the line start
+   * @returns {Array} Matches
+   */
+  findEntropyMatches(line, command, lineIndex, lineStart = 0) {
+    const matches = [];
+
+    for (const token of this.execAll(command.regex, line, command)) {
+      const length = token[0].length;
+      if (length < command.minLength || length > command.maxLength) {
+        continue;
+      }
+
+      if (this.shannonEntropy(token[0]) >= command.minEntropy) {
+        matches.push(this.createMatch(line, lineIndex, lineStart, token.index, token.index + length, command));
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Shannon entropy of a string
+   * @param {string} text - Text
+   * @returns {number} Bits per character
+   */
+  shannonEntropy(text) {
+    const counts = new Map();
+    let length = 0;
+    for (const char of text) {
+      counts.set(char, (counts.get(char) || 0) + 1);
+      length++;
+    }
+
+    let entropy = 0;
+    counts.forEach(count => {
+      const p = count / length;
+      entropy -= p * Math.log2(p);
+    });
+
+    return entropy;
+  }
+
+  /**
+   * Collect all non-empty matches of a global regex
+   * With a command, the time spent counts against its trigger's regex budget; a
+   * trigger over budget is disabled and yields nothing. The budget is checked
+   * between executions: a single runaway execution cannot be interrupted.
+   * @param {RegExp} regex - Global regex
+   * @param {string} text - Text to search
+   * @param {Object} command - Command the regex belongs to
+   * @returns {Array} Exec results
+   */
+  execAll(regex, text, command = null) {
+    const results = [];
+    const timed = command !== null && this.regexBudget > 0;
+    const started = timed ? performance.now() : 0;
+    regex.lastIndex = 0;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      // Avoid infinite loops on zero-length matches
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+      } else {
+        results.push(match);
+      }
+
+      if (timed && this.isOverBudget(command, performance.now() - started)) {
+        this.disableTrigger(command, performance.now() - started);
+        return [];
+      }
+    }
+
+    if (timed) {
+      const elapsed = performance.now() - started;
+      if (this.isOverBudget(command, elapsed)) {
+        this.disableTrigger(command, elapsed);
+        return [];
+      }
+      this.regexTime.set(command.id, (this.regexTime.get(command.id) || 0) + elapsed);
+    }
+
+    return results;
+  }
+
+  /**
+   * Check whether a trigger's regexes have run past the budget in this scan
+   * @param {Object} command - Command
+   * @param {number} elapsed - Milliseconds spent in the current execution loop
+   * @returns {boolean} True if over budget
+   */
+  isOverBudget(command, elapsed) {
+    return (this.regexTime.get(command.id) || 0) + elapsed > this.regexBudget;
+  }
+
+  /**
+   * Stop running a trigger whose regexes went over budget (until a new map is set)
+   * @param {Object} command - Command
+   * @param {number} elapsed - Milliseconds spent in the current execution loop
+   */
+  disableTrigger(command, elapsed) {
+    const total = (this.regexTime.get(command.id) || 0) + elapsed;
+    this.disabledTriggers.set(command.id, {
+      id: command.id,
+      pattern: command.regex.source,
+      elapsed: Math.round(total),
+      budget: this.regexBudget
+    });
+    if (this.debug) {
+      console.warn(`[CommandScanner] Disabled trigger "${command.id}": its regex ran ${Math.round(total)}ms in one scan (budget ${this.regexBudget}ms)`);
+    }
+  }
+
+  /**
+   * Get the triggers disabled for going over the regex budget
+   * @returns {Array<Object>} [{ id, pattern, elapsed, budget }]
+   */
+  getDisabledTriggers() {
+    return Array.from(this.disabledTriggers.values());
+  }
+
+  /**
+   * Run a registered matcher on one input
+   * Async results are cached by matcher name and input; until they settle the
+   * input reports no spans and the promise is listed in getPendingMatchers().
+   * @param {string} name - Matcher name
+   * @param {string} input - Text passed to the matcher
+   * @param {Object} info - { lineIndex, offset, match }
+   * @returns {Array<{start, end, data}>} Spans relative to the input
+   */
+  runMatcher(name, input, info) {
+    const fn = CommandScanner.matchers.get(name);
+    if (!fn) {
+      if (this.debug) {
+        console.warn('[CommandScanner] No matcher registered as:', name);
+      }
+      return [];
+    }
+
+    const key = `${name}\u0000${input}`;
+    const cached = this.matcherResults.get(key);
+    if (cached) {
+      if (cached.promise) {
+        this.pendingMatchers.push(cached.promise);
+      }
+      return cached.spans;
+    }
+
+    let result;
+    try {
+      result = fn(input, info);
+    } catch (error) {
+      this.reportMatcherFailure(name, error);
+      return [];
+    }
+
+    if (!result || typeof result.then !== 'function') {
+      return this.normalizeSpans(result, input);
+    }
+
+    // Async matcher: report nothing until it settles, then serve the cached result
+    const entry = { spans: [], promise: null };
+    entry.promise = Promise.resolve(result).then(value => {
+      entry.spans = this.normalizeSpans(value, input);
+    }, error => {
+      this.reportMatcherFailure(name, error);
+    }).then(() => {
+      entry.promise = null;
+    });
+
+    if (this.matcherResults.size >= CommandScanner.MATCHER_CACHE_SIZE) {
+      this.matcherResults.delete(this.matcherResults.keys().next().value);
+    }
+    this.matcherResults.set(key, entry);
+    this.pendingMatchers.push(entry.promise);
+
+    return [];
+  }
+
+  /**
+   * Warn about a matcher that threw or rejected
+   * Only the first failure of each matcher is logged (every one in debug mode),
+   * since a broken matcher fails again on every scan.
+   * @param {string} name - Matcher name
+   * @param {*} error - What it threw or rejected with
+   */
+  reportMatcherFailure(name, error) {
+    if (this.failedMatchers.has(name) && !this.debug) {
+      return;
+    }
+
+    this.failedMatchers.add(name);
+    console.warn('[CommandScanner] Matcher failed:', name, error);
+  }
+
+  /**
+   * Normalize a matcher's return value into spans
+   * @param {*} result - true, false, { data }, or Array<{ start, end, data }>
+   * @param {string} input - Text the matcher received
+   * @returns {Array<{start, end, data}>} Valid spans within the input
+   */
+  normalizeSpans(result, input) {
+    if (!result) {
+      return [];
+    }
+    if (result === true) {
+      return [{ start: 0, end: input.length }];
+    }
+    if (!Array.isArray(result)) {
+      return [{ start: 0, end: input.length, data: result.data }];
+    }
+
+    return result.filter(span => span &&
+      Number.isInteger(span.start) && Number.isInteger(span.end) &&
+      span.start >= 0 && span.end > span.start && span.end <= input.length);
+  }
+
+  /**
+   * Get async matchers the last scan is waiting on
+   * Rescanning once they settle picks up their results.
+   * @returns {Array<Promise>} Pending matcher promises
+   */
+  getPendingMatchers() {
+    return this.pendingMatchers;
+  }
+
+  /**
+   * Find typo-tolerant matches of a fuzzy term
+   * Compares windows of whole words (the term's word count, plus or minus one so
+   * split or merged words still match) by edit distance. Each match carries the
+   * canonical term, its distance and a confidence between 0 and 1.
+   * @param {string} line - Line text
+   * @param {Object} command - Fuzzy command
+   * @param {number} lineIndex - Line index
+   * @param {number} lineStart - Absolute offset of the line start
+   * @returns {Array} Matches, left to right, never overlapping
+   */
+  findFuzzyMatches(line, command, lineIndex, lineStart = 0) {
+    const fold = text => {
+      const spaced = text.replace(/\s+/g, ' ');
+      return command.diacriticSensitive === false
+        ? this.foldText(spaced, !command.caseSensitive, true).text
+        : (command.caseSensitive ? spaced : spaced.toLowerCase());
+    };
+
+    const term = fold(command.match.trim());
+    const words = this.getWords(line);
+    const matches = [];
+    let nextWord = 0;
+
+    for (let first = 0; first < words.length; first++) {
+      if (first < nextWord) {
+        continue;
+      }
+
+      // Best window starting at this word: fewest edits, then longest
+      let best = null;
+      for (let count = Math.max(1, command.wordCount - 1); count <= command.wordCount + 1; count++) {
+        const last = first + count - 1;
+        if (last >= words.length) {
+          break;
+        }
+
+        const start = words[first].start;
+        const end = words[last].end;
+        if (end - start < command.minLength || end - start > command.maxLength) {
+          continue;
+        }
+
+        const candidate = fold(line.substring(start, end));
+        const distance = this.editDistance(candidate, term, command.maxDistance);
+        if (distance <= command.maxDistance && (!best || distance < best.distance || (distance === best.distance && end > best.end))) {
+          best = { start, end, distance, last, length: candidate.length };
+        }
+      }
+
+      if (best) {
+        const match = this.createMatch(line, lineIndex, lineStart, best.start, best.end, command);
+        match.canonical = command.match;
+        match.distance = best.distance;
+        match.confidence = Math.round((1 - best.distance / Math.max(term.length, best.length)) * 100) / 100;
+        matches.push(match);
+        nextWord = best.last + 1;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Split a line into whitespace-separated words, trimmed of surrounding punctuation
+   * @param {string} line - Line text
+   * @returns {Array<{start, end}>} Word ranges
+   */
+  getWords(line) {
+    const words = [];
+    const pattern = /\S+/g;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null) {
+      const token = match[0];
+      const lead = token.length - token.replace(/^[^\p{L}\p{N}]+/u, '').length;
+      const trail = token.length - token.replace(/[^\p{L}\p{N}]+$/u, '').length;
+
+      if (lead + trail < token.length) {
+        words.push({ start: match.index + lead, end: match.index + token.length - trail });
+      }
+    }
+
+    return words;
+  }
+
+  /**
+   * Edit distance with adjacent transpositions (optimal string alignment)
+   * Stops early once every alignment exceeds the limit.
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} limit - Largest distance of interest
+   * @returns {number} Distance, or limit + 1 when it exceeds the limit
+   */
+  editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) {
+      return limit + 1;
+    }
+
+    let previous = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+
+        if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previous[j - 2] + 1);
+        }
+
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > limit) {
+        return limit + 1;
+      }
+
+      previous = row;
+      row = current;
+    }
+
+    return Math.min(row[b.length], limit + 1);
+  }
+
+  /**
+   * Check word boundaries for a match, using the trigger's boundary mode
+   * A "/" right after the match ends the word only for triggers with options, so
+   * "yesterday/UTC" (a resolution) matches but paths and URLs like "acme/foo" don't.
+   * @param {string} text - Text containing the match
+   * @param {number} start - Match start
+   * @param {number} end - Match end (exclusive)
+   * @param {Object} command - Matched command
+   * @param {Map} boundaries - Per-text cache of segmenter boundaries by locale
+   * @returns {boolean} True if the match is a whole word
+   */
+  isWordMatch(text, start, end, command, boundaries) {
+    const options = command.handler?.options;
+    if (text[end] === '/' && !(Array.isArray(options) && options.length > 0)) {
+      return false;
+    }
+
+    if (command.wordBoundary !== 'segmenter') {
+      return this.isWholeWordMatch(text, start, end - start);
+    }
+
+    const segmenter = this.getSegmenter(command.locale);
+    if (!segmenter) {
+      return this.isWholeWordMatch(text, start, end - start);
+    }
+
+    const key = command.locale || '';
+    if (!boundaries.has(key)) {
+      const set = new Set([0, text.length]);
+      for (const segment of segmenter.segment(text)) {
+        set.add(segment.index);
+        set.add(segment.index + segment.segment.length);
+      }
+      boundaries.set(key, set);
+    }
+
+    const wordBoundaries = boundaries.get(key);
+
+    return wordBoundaries.has(start) && wordBoundaries.has(end);
+  }
+
+  /**
+   * Get a cached Intl.Segmenter for word segmentation
+   * @param {string} locale - BCP 47 locale (undefined for the runtime default)
+   * @returns {Intl.Segmenter|null} Segmenter, or null if unsupported
+   */
+  getSegmenter(locale) {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+      return null;
+    }
+
+    const key = locale || '';
+    if (!this.segmenters.has(key)) {
+      try {
+        this.segmenters.set(key, new Intl.Segmenter(locale, { granularity: 'word' }));
+      } catch (e) {
+        console.warn('[CommandScanner] Unsupported segmenter locale:', locale, e);
+        this.segmenters.set(key, null);
+      }
+    }
+
+    return this.segmenters.get(key);
+  }
+
+  /**
+   * Check if match is a whole word (not part of a larger word)
+   * @param {string} text - Text to check
+   * @param {number} start - Start index of match
+   * @param {number} length - Length of match
+   * @returns {boolean} True if whole word
+   */
+  isWholeWordMatch(text, start, length) {
+    const end = start + length;
+
+    // Check character before (whole code point, so astral letters count)
+    if (start > 0) {
+      const before = String.fromCodePoint(this.codePointBefore(text, start));
+      if (this.isWordChar(before)) {
+        return false;
+      }
+    }
+
+    // Check character after ("/" is handled per trigger in isWordMatch)
+    if (end < text.length) {
+      const after = String.fromCodePoint(text.codePointAt(end));
+      if (this.isWordChar(after)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the code point ending just before an index
+   * @param {string} text - Text
+   * @param {number} index - Index (exclusive end of the code point)
+   * @returns {number} Code point
+   */
+  codePointBefore(text, index) {
+    const low = text.charCodeAt(index - 1);
+    if (low >= 0xdc00 && low <= 0xdfff && index >= 2) {
+      const high = text.charCodeAt(index - 2);
+      if (high >= 0xd800 && high <= 0xdbff) {
+        return text.codePointAt(index - 2);
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Check if character is a word character (any script's letters, digits,
+   * combining marks, or underscore)
+   * @param {string} char - Character to check
+   * @returns {boolean} True if word character
+   */
+  isWordChar(char) {
+    return /^[\p{L}\p{N}\p{M}_]$/u.test(char);
+  }
+}
+
+export const ALLOWED_FLAGS = CommandScanner.ALLOWED_FLAGS;
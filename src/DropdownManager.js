@@ -1,6 +1,7 @@
 // DropdownManager - Handles dropdown menus with filtering, keyboard navigation, and selection
 
 import EdgeDetectionHelper from './dropdown-manager-helpers/EdgeDetectionHelper.js';
+import MessageStateRegistry from './MessageStateRegistry.js';
 
 export default class DropdownManager {
   /**
@@ -11,11 +12,19 @@ export default class DropdownManager {
     this.options = {
       styleManager: options.styleManager || null,
       textarea: options.textarea || null,
+      templateResolver: options.templateResolver || null,
       onWordClick: options.onWordClick || null,
+      onResolve: options.onResolve || null, // (matchData, { option, value, written }) when an option is chosen
       dropdownOffset: options.dropdownOffset || 10, // Configurable offset from trigger word
       ...options
     };
 
+    // How a chosen value shows in the text ('suffix' or 'none')
+    this.options.resolution = options.resolution || 'suffix';
+
+    // Header icon and label per message state
+    this.messageStates = options.messageStates || new MessageStateRegistry();
+
     this.activeDropdown = null;
     this.activeDropdownMatch = null;
     this.dropdownOptions = null;
@@ -40,7 +49,12 @@ export default class DropdownManager {
     const command = matchData.command;
 
     // Get dropdown options - check intent.handler.options first (new format)
-    const options = matchData.intent?.handler?.options || command.options || command.dropdownOptions || [];
+    let options = matchData.intent?.handler?.options || command.options || command.dropdownOptions || [];
+
+    // Misspelled fuzzy matches offer the correction first
+    if (options.length > 0 && matchData.canonical && matchData.distance > 0) {
+      options = [this.createCorrectionOption(matchData), ...options];
+    }
 
     if (options.length === 0) {
       console.warn('[DropdownManager] No dropdown options for:', matchData.text);
@@ -68,7 +82,7 @@ export default class DropdownManager {
     // Add description row if message exists
     const message = matchData.intent?.handler?.message;
     if (message) {
-      this.createDescriptionRow(dropdown, message, messageState);
+      this.createDescriptionRow(dropdown, this.resolveTemplate(message, matchData), messageState);
     }
 
     // Check if filter is enabled
@@ -113,6 +127,22 @@ export default class DropdownManager {
     }
   }
 
+  /**
+   * Create the "Did you mean" option for a fuzzy match
+   * @param {Object} matchData - Match data (with canonical term)
+   * @returns {Object} Option replacing the matched text with the canonical term
+   */
+  createCorrectionOption(matchData) {
+    return {
+      label: `Did you mean ${matchData.canonical}?`,
+      correction: true,
+      custom: true, // Canonical terms are never interpolated
+      'on-select': {
+        replace: matchData.canonical
+      }
+    };
+  }
+
   /**
    * Create header container for dropdown
    * @param {HTMLElement} dropdown - Dropdown element
@@ -123,20 +153,18 @@ export default class DropdownManager {
     headerContainer.className = 'bubble-header-container';
     headerContainer.setAttribute('data-type', messageState);
 
+    // Icon and label come from the state (built in or declared in "$states")
+    const state = this.messageStates.get(messageState);
+
     // Create image
     const img = document.createElement('img');
-    img.src = `./assets/trustquery-${messageState}.svg`;
+    img.src = state.icon;
     img.style.height = '24px';
     img.style.width = 'auto';
 
     // Create text span
     const span = document.createElement('span');
-    const textMap = {
-      'error': 'TrustQuery Stop',
-      'warning': 'TrustQuery Clarify',
-      'info': 'TrustQuery Quick Link'
-    };
-    span.textContent = textMap[messageState] || 'TrustQuery';
+    span.textContent = state.label;
 
     // Append to header
     headerContainer.appendChild(img);
@@ -258,7 +286,7 @@ export default class DropdownManager {
       item.className = 'tq-dropdown-item';
 
       // Create label text
-      const labelText = typeof option === 'string' ? option : option.label || option.value;
+      const labelText = this.resolveTemplate(typeof option === 'string' ? option : option.label || option.value, matchData);
 
       // If display-menu-with-uri and option has uri, create label + link icon
       if (hasUriSupport && typeof option === 'object' && option.uri) {
@@ -382,6 +410,7 @@ export default class DropdownManager {
       if (value) {
         const customOption = {
           label: value,
+          custom: true, // User-typed text is never interpolated
           'on-select': {
             display: value
           }
@@ -463,10 +492,12 @@ export default class DropdownManager {
 
     const dropdownRect = dropdown.getBoundingClientRect();
 
-    console.log('[DropdownManager] Positioning Debug:');
-    console.log('  Trigger position (x, y):', matchRect.left, matchRect.top);
-    console.log('  Dropdown width:', dropdownRect.width);
-    console.log('  Viewport width:', window.innerWidth);
+    if (this.options.debug) {
+      console.log('[DropdownManager] Positioning Debug:');
+      console.log('  Trigger position (x, y):', matchRect.left, matchRect.top);
+      console.log('  Dropdown width:', dropdownRect.width);
+      console.log('  Viewport width:', window.innerWidth);
+    }
 
     // Use EdgeDetectionHelper to calculate optimal position
     // Increased padding to account for body margins/transforms and ensure visible clearance
@@ -477,27 +508,31 @@ export default class DropdownManager {
       padding: 35
     });
 
-    console.log('  Calculated dropdown position (x, y):', position.left, position.top);
+    if (this.options.debug) {
+      console.log('  Calculated dropdown position (x, y):', position.left, position.top);
+    }
 
     dropdown.style.top = `${position.top}px`;
     dropdown.style.left = `${position.left}px`;
 
     // Verify the position was actually applied
-    const computedStyle = window.getComputedStyle(dropdown);
-    const actualRect = dropdown.getBoundingClientRect();
-    console.log('  Verified applied styles:');
-    console.log('    styleTop:', dropdown.style.top);
-    console.log('    styleLeft:', dropdown.style.left);
-    console.log('    computedPosition:', computedStyle.position);
-    console.log('    actualBoundingRect:', JSON.stringify({
-      left: actualRect.left,
-      top: actualRect.top,
-      right: actualRect.right,
-      bottom: actualRect.bottom,
-      width: actualRect.width,
-      height: actualRect.height
-    }));
-    console.log('  Dropdown right edge:', actualRect.left + actualRect.width, 'vs viewport width:', window.innerWidth);
+    if (this.options.debug) {
+      const computedStyle = window.getComputedStyle(dropdown);
+      const actualRect = dropdown.getBoundingClientRect();
+      console.log('  Verified applied styles:');
+      console.log('    styleTop:', dropdown.style.top);
+      console.log('    styleLeft:', dropdown.style.left);
+      console.log('    computedPosition:', computedStyle.position);
+      console.log('    actualBoundingRect:', JSON.stringify({
+        left: actualRect.left,
+        top: actualRect.top,
+        right: actualRect.right,
+        bottom: actualRect.bottom,
+        width: actualRect.width,
+        height: actualRect.height
+      }));
+      console.log('  Dropdown right edge:', actualRect.left + actualRect.width, 'vs viewport width:', window.innerWidth);
+    }
   }
 
   /**
@@ -650,32 +685,59 @@ export default class DropdownManager {
       console.log('[DropdownManager] Dropdown option selected:', option, 'for:', matchData.text);
     }
 
-    // Check if option has on-select.display
-    if (option['on-select'] && option['on-select'].display && this.options.textarea) {
-      const displayText = option['on-select'].display;
+    // Check if option has on-select.display (the resolved value) or on-select.replace (replaces the trigger text)
+    const onSelect = option['on-select'];
+    const replace = !!onSelect && !onSelect.display && !!onSelect.replace;
+
+    // Choosing an option resolves the match; replacing the trigger removes it instead
+    if (!replace) {
+      const value = onSelect && onSelect.display
+        ? (option.custom ? onSelect.display : this.resolveTemplate(onSelect.display, matchData))
+        : (typeof option === 'string' ? option : option.label || option.value || null);
+      const written = !!(onSelect && onSelect.display) && this.options.resolution === 'suffix' && !!this.options.textarea;
+
+      if (this.options.onResolve) {
+        this.options.onResolve(matchData, { option, value, written });
+      }
+    }
+
+    if (onSelect && (onSelect.display || onSelect.replace) && this.options.textarea && (replace || this.options.resolution === 'suffix')) {
+      const value = replace ? onSelect.replace : onSelect.display;
+      const displayText = option.custom ? value : this.resolveTemplate(value, matchData);
       const textarea = this.options.textarea;
       const text = textarea.value;
 
-      // Find the trigger text position
-      const lines = text.split('\n');
-      const line = lines[matchData.line];
+      // Find the trigger text position (absolute offsets, falling back to line/col)
+      let start = Number.isInteger(matchData.start) ? matchData.start : null;
+      if (start === null && Number.isInteger(matchData.line)) {
+        const lines = text.split('\n');
+        if (lines[matchData.line]) {
+          start = lines.slice(0, matchData.line).reduce((sum, l) => sum + l.length + 1, 0) + matchData.col;
+        }
+      }
+
+      if (start !== null && text.substring(start, start + matchData.text.length) === matchData.text) {
+        // Append to trigger text with "/" separator ("suffix" resolution), or replace it outright
+        // Choosing again on a resolved match swaps its suffix rather than adding another
+        const previous = matchData.resolution?.status === 'resolved' && matchData.resolution.value
+          ? '/' + matchData.resolution.value
+          : '';
+        const end = start + matchData.text.length;
+        const suffixLength = previous && text.substring(end, end + previous.length) === previous ? previous.length : 0;
 
-      if (line) {
-        // Append to trigger text with "/" separator
-        const before = line.substring(0, matchData.col);
-        const after = line.substring(matchData.col + matchData.text.length);
-        const newText = matchData.text + '/' + displayText;
-        lines[matchData.line] = before + newText + after;
+        const before = text.substring(0, start);
+        const after = text.substring(end + suffixLength);
+        const newText = replace ? displayText : matchData.text + '/' + displayText;
 
         // Update textarea
-        textarea.value = lines.join('\n');
+        textarea.value = before + newText + after;
 
         // Trigger input event to re-render
         const inputEvent = new Event('input', { bubbles: true });
         textarea.dispatchEvent(inputEvent);
 
         if (this.options.debug) {
-          console.log('[DropdownManager] Appended to', matchData.text, '→', newText);
+          console.log('[DropdownManager]', replace ? 'Replaced' : 'Appended to', matchData.text, '→', newText);
         }
       }
     }
@@ -689,6 +751,18 @@ export default class DropdownManager {
     }
   }
 
+  /**
+   * Resolve {{variables}} in trigger text
+   * @param {string} text - Template text
+   * @param {Object} matchData - Match data
+   * @returns {string} Resolved text
+   */
+  resolveTemplate(text, matchData) {
+    return this.options.templateResolver
+      ? this.options.templateResolver.resolve(text, matchData)
+      : text;
+  }
+
   /**
    * Cleanup
    */
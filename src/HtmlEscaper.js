@@ -0,0 +1,25 @@
+// HtmlEscaper - Escapes text for HTML content and attributes
+// Pure string logic, so rendering helpers work without a DOM (e.g. in Node).
+
+export default class HtmlEscaper {
+  // Characters that must not reach markup unescaped
+  static ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  };
+
+  /**
+   * Escape text for use as HTML content or a quoted attribute value
+   * @param {*} text - Text to escape (null and undefined become "")
+   * @returns {string} Escaped text
+   */
+  static escape(text) {
+    if (text === null || text === undefined) {
+      return '';
+    }
+    return String(text).replace(/[&<>"']/g, char => HtmlEscaper.ENTITIES[char]);
+  }
+}
@@ -18,6 +18,7 @@ export default class InteractionHandler {
       onWordHover: options.onWordHover || null,
       styleManager: options.styleManager || null,
       commandHandlers: options.commandHandlers || null,
+      templateResolver: options.templateResolver || null,
       textarea: options.textarea || null,
       ...options
     };
@@ -29,14 +30,20 @@ export default class InteractionHandler {
       bubbleDelay: this.options.bubbleDelay,
       styleManager: this.options.styleManager,
       commandHandlers: this.options.commandHandlers,
+      templateResolver: this.options.templateResolver,
+      messageStates: this.options.messageStates,
       debug: this.options.debug
     });
 
     this.dropdownManager = new DropdownManager({
       styleManager: this.options.styleManager,
       textarea: this.options.textarea,
+      templateResolver: this.options.templateResolver,
       onWordClick: this.options.onWordClick,
+      onResolve: this.options.onResolve,
+      resolution: this.options.resolution,
       dropdownOffset: this.options.dropdownOffset,
+      messageStates: this.options.messageStates,
       debug: this.options.debug
     });
 
@@ -48,13 +55,26 @@ export default class InteractionHandler {
   /**
    * Update handlers after overlay re-render
    * Attach event listeners to all .tq-match elements
+   * Renders while typing (incremental, or just some elements) keep the open
+   * dropdown/bubble too, but still auto-show dropdowns for what they rendered.
+   * @param {Object} options - Update options
+   * @param {boolean} options.preserveUI - Keep open dropdown/bubble and rebind them to the new elements
+   * @param {boolean} options.incremental - Render after an edit (keeps open UI, unlike a plain render)
+   * @param {Array<HTMLElement>} options.elements - Only these (newly rendered) elements need listeners
    */
-  update() {
-    // Remove old handlers (if any)
-    this.cleanup();
+  update(options = {}) {
+    const preserveUI = options.preserveUI === true;
+
+    if (preserveUI || options.incremental || options.elements) {
+      // Keep open UI, but point it at the freshly rendered match elements
+      this.rebindActiveMatch();
+    } else {
+      // Remove old handlers (if any)
+      this.cleanup();
+    }
 
-    // Find all match elements
-    const matches = this.overlay.querySelectorAll('.tq-match');
+    // Find match elements (all of them, or just those from an incremental render)
+    const matches = options.elements || this.overlay.querySelectorAll('.tq-match');
 
     matches.forEach(matchEl => {
       const behavior = matchEl.getAttribute('data-behavior');
@@ -69,8 +89,9 @@ export default class InteractionHandler {
       // Add hover class for CSS styling
       matchEl.classList.add('tq-hoverable');
 
-      // Auto-show dropdown for dropdown-behavior matches
-      if (behavior === 'dropdown') {
+      // Auto-show dropdown for dropdown-behavior matches (not on background refreshes)
+      // Multi-line matches only open once, from their first segment
+      if (behavior === 'dropdown' && !preserveUI && this.getPrimaryElement(matchEl) === matchEl) {
         const matchData = this.getMatchData(matchEl);
         // Only show if this isn't the currently active dropdown match
         if (!this.dropdownManager.activeDropdownMatch ||
@@ -85,14 +106,98 @@ export default class InteractionHandler {
     }
   }
 
+  /**
+   * Re-attach the open dropdown and bubble to the re-rendered elements for the same match
+   * Each is hidden if its match no longer exists or no longer shows that kind of UI
+   */
+  rebindActiveMatch() {
+    const activeMatch = this.dropdownManager.activeDropdownMatch;
+    if (activeMatch) {
+      const candidate = this.findRenderedMatch(activeMatch);
+
+      if (!candidate || candidate.getAttribute('data-behavior') !== 'dropdown') {
+        this.dropdownManager.hideDropdown();
+      } else {
+        this.dropdownManager.activeDropdownMatch = candidate;
+        if (this.dropdownManager.dropdownMatchData) {
+          this.dropdownManager.dropdownMatchData.element = candidate;
+        }
+      }
+    }
+
+    // A pending hover points at an element that may be gone
+    if (this.hoverTimeout) {
+      clearTimeout(this.hoverTimeout);
+      this.hoverTimeout = null;
+    }
+
+    const bubbleMatch = this.bubbleManager.activeBubbleMatch;
+    if (bubbleMatch) {
+      const candidate = this.findRenderedMatch(bubbleMatch);
+      const behavior = candidate && candidate.getAttribute('data-behavior');
+
+      if (behavior === 'bubble' || behavior === 'hover') {
+        // Rebuilt so the message reflects the current trigger map
+        this.bubbleManager.showBubble(candidate, this.getMatchData(candidate));
+      } else {
+        this.bubbleManager.hideBubble();
+      }
+    }
+  }
+
+  /**
+   * Find the rendered element for the same match as an element from an earlier render
+   * @param {HTMLElement} matchEl - Element from an earlier render (or still in the overlay)
+   * @returns {HTMLElement|null} First span of the match in the overlay, or null if it is gone
+   */
+  findRenderedMatch(matchEl) {
+    const key = matchEl.getAttribute('data-match-key');
+    const text = matchEl.getAttribute('data-match-text');
+
+    return Array.from(this.overlay.querySelectorAll('.tq-match')).find(el =>
+      el.getAttribute('data-match-key') === key &&
+      el.getAttribute('data-match-text') === text &&
+      this.getPrimaryElement(el) === el
+    ) || null;
+  }
+
+  /**
+   * Get all rendered spans belonging to the same match
+   * Single-line matches have one span; multi-line matches have one per line.
+   * @param {HTMLElement} matchEl - Any span of the match
+   * @returns {Array<HTMLElement>} Spans in document order
+   */
+  getMatchGroup(matchEl) {
+    if (!matchEl.hasAttribute('data-segment-count') && !matchEl.hasAttribute('data-split')) {
+      return [matchEl];
+    }
+
+    const key = matchEl.getAttribute('data-match-key');
+    return Array.from(this.overlay.querySelectorAll('.tq-match'))
+      .filter(el => el.getAttribute('data-match-key') === key);
+  }
+
+  /**
+   * Get the span that represents a match for bubbles and dropdowns (its first segment)
+   * @param {HTMLElement} matchEl - Any span of the match
+   * @returns {HTMLElement} First span of the match
+   */
+  getPrimaryElement(matchEl) {
+    return this.getMatchGroup(matchEl)[0] || matchEl;
+  }
+
   /**
    * Handle mouse enter on a match
    * @param {Event} e - Mouse event
-   * @param {HTMLElement} matchEl - Match element
+   * @param {HTMLElement} segmentEl - Match element (or one segment of a multi-line match)
    */
-  handleMouseEnter(e, matchEl) {
+  handleMouseEnter(e, segmentEl) {
+    const matchEl = this.getPrimaryElement(segmentEl);
     const behavior = matchEl.getAttribute('data-behavior');
 
+    // Highlight all linked segments together
+    this.getMatchGroup(segmentEl).forEach(el => el.classList.add('tq-match-active'));
+
     // Only show bubble if behavior is 'bubble' or 'hover'
     if (behavior === 'bubble' || behavior === 'hover') {
       // Clear any existing timeout
@@ -120,6 +225,8 @@ export default class InteractionHandler {
    * @param {HTMLElement} matchEl - Match element
    */
   handleMouseLeave(e, matchEl) {
+    this.getMatchGroup(matchEl).forEach(el => el.classList.remove('tq-match-active'));
+
     // Clear hover timeout
     if (this.hoverTimeout) {
       clearTimeout(this.hoverTimeout);
@@ -133,86 +240,96 @@ export default class InteractionHandler {
   /**
    * Handle click on a match
    * @param {Event} e - Click event
-   * @param {HTMLElement} matchEl - Match element
+   * @param {HTMLElement} segmentEl - Match element (or one segment of a multi-line match)
    */
-  handleClick(e, matchEl) {
+  handleClick(e, segmentEl) {
+    const matchEl = this.getPrimaryElement(segmentEl);
     const behavior = matchEl.getAttribute('data-behavior');
     const matchData = this.getMatchData(matchEl);
 
-    console.log('[InteractionHandler] ===== CLICK EVENT START =====');
-    console.log('[InteractionHandler] Click details:', {
-      behavior: behavior,
-      matchText: matchData.text,
-      eventType: e.type,
-      target: e.target.tagName,
-      currentTarget: e.currentTarget.tagName,
-      button: e.button,
-      buttons: e.buttons,
-      clientX: e.clientX,
-      clientY: e.clientY,
-      offsetX: e.offsetX,
-      offsetY: e.offsetY
-    });
-    console.log('[InteractionHandler] Match element:', {
-      textContent: matchEl.textContent,
-      offsetWidth: matchEl.offsetWidth,
-      offsetHeight: matchEl.offsetHeight,
-      attributes: {
-        'data-line': matchEl.getAttribute('data-line'),
-        'data-col': matchEl.getAttribute('data-col'),
-        'data-behavior': behavior
-      }
-    });
-    console.log('[InteractionHandler] Active element before click:', document.activeElement.tagName, document.activeElement.id || '(no id)');
+    if (this.options.debug) {
+      console.log('[InteractionHandler] ===== CLICK EVENT START =====');
+      console.log('[InteractionHandler] Click details:', {
+        behavior: behavior,
+        matchText: matchData.text,
+        eventType: e.type,
+        target: e.target.tagName,
+        currentTarget: e.currentTarget.tagName,
+        button: e.button,
+        buttons: e.buttons,
+        clientX: e.clientX,
+        clientY: e.clientY,
+        offsetX: e.offsetX,
+        offsetY: e.offsetY
+      });
+      console.log('[InteractionHandler] Match element:', {
+        textContent: matchEl.textContent,
+        offsetWidth: matchEl.offsetWidth,
+        offsetHeight: matchEl.offsetHeight,
+        attributes: {
+          'data-line': matchEl.getAttribute('data-line'),
+          'data-col': matchEl.getAttribute('data-col'),
+          'data-behavior': behavior
+        }
+      });
+      console.log('[InteractionHandler] Active element before click:', document.activeElement.tagName, document.activeElement.id || '(no id)');
+    }
 
     // For non-interactive elements (bubbles), manually pass click to textarea
     if (behavior !== 'dropdown' && behavior !== 'action') {
-      console.log('[InteractionHandler] Non-interactive match - manually focusing textarea');
+      if (this.options.debug) {
+        console.log('[InteractionHandler] Non-interactive match - manually focusing textarea');
+      }
+
       e.preventDefault();
       e.stopPropagation();
 
       // Focus textarea and position cursor at click location
       if (this.options.textarea) {
         this.options.textarea.focus();
-        console.log('[InteractionHandler] Textarea focused. Active element now:', document.activeElement.tagName, document.activeElement.id || '(no id)');
-
-        // Get the character offset by finding the match position
-        const line = parseInt(matchEl.getAttribute('data-line'));
-        const col = parseInt(matchEl.getAttribute('data-col'));
+        if (this.options.debug) {
+          console.log('[InteractionHandler] Textarea focused. Active element now:', document.activeElement.tagName, document.activeElement.id || '(no id)');
+        }
 
-        // Calculate absolute position in textarea
-        const lines = this.options.textarea.value.split('\n');
-        let offset = 0;
-        for (let i = 0; i < line; i++) {
-          offset += lines[i].length + 1; // +1 for newline
+        // Get the character offset from the clicked span's absolute position
+        const line = parseInt(segmentEl.getAttribute('data-line'));
+        const col = parseInt(segmentEl.getAttribute('data-col'));
+        const spanOffset = parseInt(segmentEl.getAttribute('data-offset'));
+
+        const clickOffsetInMatch = Math.round(e.offsetX / segmentEl.offsetWidth * segmentEl.textContent.length);
+        const offset = spanOffset + clickOffsetInMatch;
+
+        if (this.options.debug) {
+          console.log('[InteractionHandler] Cursor positioning:', {
+            line: line,
+            col: col,
+            clickOffsetInMatch: clickOffsetInMatch,
+            finalOffset: offset,
+            textareaValueLength: this.options.textarea.value.length
+          });
         }
-        const clickOffsetInMatch = (e.offsetX / matchEl.offsetWidth * matchEl.textContent.length);
-        offset += col + clickOffsetInMatch;
-
-        console.log('[InteractionHandler] Cursor positioning:', {
-          line: line,
-          col: col,
-          clickOffsetInMatch: clickOffsetInMatch,
-          finalOffset: offset,
-          textareaValue: this.options.textarea.value,
-          textareaValueLength: this.options.textarea.value.length
-        });
 
         // Set cursor position
         this.options.textarea.setSelectionRange(offset, offset);
 
-        console.log('[InteractionHandler] Selection set:', {
-          selectionStart: this.options.textarea.selectionStart,
-          selectionEnd: this.options.textarea.selectionEnd,
-          selectedText: this.options.textarea.value.substring(this.options.textarea.selectionStart, this.options.textarea.selectionEnd)
-        });
+        if (this.options.debug) {
+          console.log('[InteractionHandler] Selection set:', {
+            selectionStart: this.options.textarea.selectionStart,
+            selectionEnd: this.options.textarea.selectionEnd
+          });
+        }
       }
 
-      console.log('[InteractionHandler] ===== CLICK EVENT END (non-interactive) =====');
+      if (this.options.debug) {
+        console.log('[InteractionHandler] ===== CLICK EVENT END (non-interactive) =====');
+      }
       return; // Don't process further for bubbles
     }
 
-    console.log('[InteractionHandler] Interactive match - handling dropdown/action');
+    if (this.options.debug) {
+      console.log('[InteractionHandler] Interactive match - handling dropdown/action');
+    }
+
     // Prevent default for interactive elements (dropdown/action)
     e.preventDefault();
     e.stopPropagation();
@@ -237,7 +354,9 @@ export default class InteractionHandler {
       this.options.onWordClick(matchData);
     }
 
-    console.log('[InteractionHandler] ===== CLICK EVENT END (interactive) =====');
+    if (this.options.debug) {
+      console.log('[InteractionHandler] ===== CLICK EVENT END (interactive) =====');
+    }
   }
 
   /**
@@ -264,14 +383,56 @@ export default class InteractionHandler {
       }
     }
 
+    // Parse regex capture groups if available
+    let groups = null;
+    const groupsStr = matchEl.getAttribute('data-groups');
+    if (groupsStr) {
+      try {
+        groups = JSON.parse(groupsStr);
+      } catch (e) {
+        console.warn('[InteractionHandler] Failed to parse groups JSON:', e);
+      }
+    }
+
+    // Parse resolution (status and chosen option) if the match is resolved or dismissed
+    let resolution = { status: 'unresolved', option: null, value: null };
+    const resolutionStr = matchEl.getAttribute('data-resolution');
+    if (resolutionStr) {
+      try {
+        resolution = JSON.parse(resolutionStr);
+      } catch (e) {
+        console.warn('[InteractionHandler] Failed to parse resolution JSON:', e);
+      }
+    }
+
+    // Parse matcher function data if available
+    let data = null;
+    const dataStr = matchEl.getAttribute('data-match-data');
+    if (dataStr) {
+      try {
+        data = JSON.parse(dataStr);
+      } catch (e) {
+        console.warn('[InteractionHandler] Failed to parse match data JSON:', e);
+      }
+    }
+
     return {
       text: matchEl.getAttribute('data-match-text'),
       line: parseInt(matchEl.getAttribute('data-line')),
       col: parseInt(matchEl.getAttribute('data-col')),
+      endLine: parseInt(matchEl.getAttribute('data-end-line')),
+      endCol: parseInt(matchEl.getAttribute('data-end-col')),
+      start: parseInt(matchEl.getAttribute('data-start')),
+      end: parseInt(matchEl.getAttribute('data-end')),
+      canonical: matchEl.getAttribute('data-canonical'),
+      distance: matchEl.hasAttribute('data-distance') ? parseInt(matchEl.getAttribute('data-distance')) : null,
+      confidence: matchEl.hasAttribute('data-confidence') ? parseFloat(matchEl.getAttribute('data-confidence')) : null,
       commandType: matchEl.getAttribute('data-command-type'),
-      commandPath: matchEl.getAttribute('data-command-path'),
-      intentPath: matchEl.getAttribute('data-intent-path'),
+      category: matchEl.getAttribute('data-category'),
       intent: intent,
+      data: data,
+      groups: groups,
+      resolution: resolution,
       command: {
         id: matchEl.getAttribute('data-command-id'),
         type: matchEl.getAttribute('data-command-type'),
@@ -301,6 +462,9 @@ export default class InteractionHandler {
     this.cleanup();
     this.bubbleManager.destroy();
     this.dropdownManager.destroy();
-    console.log('[InteractionHandler] Destroyed');
+
+    if (this.options.debug) {
+      console.log('[InteractionHandler] Destroyed');
+    }
   }
 }
@@ -0,0 +1,167 @@
+// MessageStateRegistry - Look of each message state (error, warning, info and custom ones)
+// Pure data: highlight colours, header label and icon, and whether the state blocks submit.
+// Custom states are declared in the trigger map under "$states".
+
+export default class MessageStateRegistry {
+  // Keys a "$states" entry may set
+  static KEYS = ['label', 'icon', 'color', 'background', 'highlight', 'border', 'cursor', 'blockSubmit', 'severity'];
+
+  // Built-in states (blocking is decided per handler with "block-submit")
+  static BUILT_IN = {
+    'error': {
+      label: 'TrustQuery Stop',
+      color: '#991b1b',
+      background: '#fee2e2',
+      highlight: 'rgba(220, 38, 38, 0.15)', // Red
+      border: '#dc2626',
+      cursor: 'not-allowed',
+      blockSubmit: false,
+      severity: 3
+    },
+    'warning': {
+      label: 'TrustQuery Clarify',
+      color: '#92400e',
+      background: '#fef3c7',
+      highlight: 'rgba(245, 158, 11, 0.15)', // Orange
+      border: '#f59e0b',
+      cursor: 'help',
+      blockSubmit: false,
+      severity: 2
+    },
+    'info': {
+      label: 'TrustQuery Quick Link',
+      color: '#065f46',
+      background: '#d1fae5',
+      highlight: 'rgba(16, 185, 129, 0.15)', // Green
+      border: '#10b981',
+      cursor: 'pointer',
+      blockSubmit: false,
+      severity: 1
+    }
+  };
+
+  // Keys that end up in an inline style attribute
+  static CSS_KEYS = ['color', 'background', 'highlight', 'border', 'cursor'];
+
+  // Look of states that are neither built in nor declared
+  static FALLBACK = {
+    label: 'TrustQuery',
+    color: '#2b6cb0',
+    background: '#e0f2fe',
+    highlight: 'rgba(74, 144, 226, 0.15)',
+    border: null,
+    cursor: 'pointer',
+    blockSubmit: false,
+    severity: 0
+  };
+
+  /**
+   * Create registry
+   * @param {Object} states - Declared states ("$states" of a trigger map)
+   */
+  constructor(states = null) {
+    this.declared = {};
+    this.define(states);
+  }
+
+  /**
+   * Replace the declared states
+   * Declared keys override a built-in state's look; custom states start from the fallback.
+   * @param {Object} states - { name: { label, icon, color, background, highlight, border, cursor, blockSubmit, severity } }
+   */
+  define(states) {
+    this.declared = {};
+
+    if (!states || typeof states !== 'object' || Array.isArray(states)) {
+      return;
+    }
+
+    Object.entries(states).forEach(([name, definition]) => {
+      if (definition && typeof definition === 'object' && !Array.isArray(definition)) {
+        // Values that could break out of a style attribute or run script are left out
+        this.declared[name] = Object.fromEntries(Object.entries(definition)
+          .filter(([key, value]) => MessageStateRegistry.checkValue(key, value) === null));
+      }
+    });
+  }
+
+  /**
+   * Check a "$states" value before it reaches the page
+   * Colours, borders and cursors go into inline styles; icons become an img src.
+   * @param {string} key - State key
+   * @param {*} value - Declared value
+   * @returns {string|null} Why the value is rejected, or null if it is safe
+   */
+  static checkValue(key, value) {
+    if (!MessageStateRegistry.CSS_KEYS.includes(key) && key !== 'icon') {
+      return null;
+    }
+    if (typeof value !== 'string') {
+      return `"${key}" must be a string`;
+    }
+
+    if (key === 'icon') {
+      // Relative paths and http(s) URLs only (no javascript: or data: URLs)
+      // (browsers skip whitespace and control characters inside a scheme)
+      const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value.replace(/[\s\u0000-\u001f]/g, ''));
+      return scheme && !['http', 'https'].includes(scheme[1].toLowerCase())
+        ? `"icon" must be a relative path or an http(s) URL`
+        : null;
+    }
+
+    if (key === 'cursor') {
+      return /^[a-z-]+$/.test(value) ? null : '"cursor" must be a CSS cursor keyword such as "pointer"';
+    }
+
+    return /["';<>\\{}]|url\(|expression\(/i.test(value)
+      ? `"${key}" must be a plain CSS value (no quotes, ";", "<", ">", "url(" or "expression(")`
+      : null;
+  }
+
+  /**
+   * Check whether a state is built in or declared
+   * @param {string} name - State name
+   * @returns {boolean} True if known
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(MessageStateRegistry.BUILT_IN, name) ||
+      Object.prototype.hasOwnProperty.call(this.declared, name);
+  }
+
+  /**
+   * Get all known state names (built in first)
+   * @returns {Array<string>} State names
+   */
+  names() {
+    const names = Object.keys(MessageStateRegistry.BUILT_IN);
+    Object.keys(this.declared).forEach(name => {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Get the resolved look of a state
+   * @param {string} name - State name
+   * @returns {Object} { name, label, icon, color, background, highlight, border, cursor, blockSubmit, severity }
+   */
+  get(name) {
+    const base = MessageStateRegistry.BUILT_IN[name] || MessageStateRegistry.FALLBACK;
+    const declared = this.declared[name] || {};
+    const state = { ...base, icon: `./assets/trustquery-${name}.svg` };
+
+    MessageStateRegistry.KEYS.forEach(key => {
+      if (declared[key] !== undefined && declared[key] !== null) {
+        state[key] = declared[key];
+      }
+    });
+
+    state.name = name;
+    state.blockSubmit = state.blockSubmit === true;
+    state.severity = Number.isFinite(state.severity) ? state.severity : base.severity;
+
+    return state;
+  }
+}
@@ -1,6 +1,8 @@
 // OverlayRenderer - Renders text with styled matches in a line-based overlay
 // Much simpler than grid approach - each line is a div, matches are spans
 
+import HtmlEscaper from './HtmlEscaper.js';
+
 export default class OverlayRenderer {
   /**
    * Create a renderer
@@ -31,8 +33,11 @@ export default class OverlayRenderer {
     const lines = text.split('\n');
 
     // Build HTML for each line
+    let lineStart = 0;
     const linesHTML = lines.map((line, lineIndex) => {
-      return this.renderLine(line, lineIndex, matches);
+      const html = this.renderLine(line, lineIndex, matches, lineStart);
+      lineStart += line.length + 1; // +1 for newline
+      return html;
     }).join('');
 
     // Update overlay
@@ -43,14 +48,107 @@ export default class OverlayRenderer {
     }
   }
 
+  /**
+   * Re-render only the lines touched by an edit
+   * Replaces the edited line divs and shifts position attributes on the match
+   * spans of the lines after them. Falls back to a full render when the overlay
+   * is out of sync with the previous text.
+   * @param {string} text - New text content
+   * @param {Array} matches - All matches for the new text
+   * @param {Object} change - { startLine, oldEndLine, newEndLine, lineDelta, offsetDelta } from CommandScanner.scanIncremental
+   * @param {number} prevLineCount - Line count of the previously rendered text
+   * @returns {Array<HTMLElement>|null} Newly created match elements, or null after a full render
+   */
+  renderIncremental(text, matches, change, prevLineCount) {
+    if (this.overlay.children.length !== prevLineCount) {
+      this.render(text, matches);
+      return null;
+    }
+
+    const { startLine, oldEndLine, newEndLine, lineDelta, offsetDelta } = change;
+    const lines = text.split('\n');
+
+    // Absolute offset of the first edited line
+    let lineStart = 0;
+    for (let i = 0; i < startLine; i++) {
+      lineStart += lines[i].length + 1;
+    }
+
+    // Only matches on the edited lines are needed to build them
+    const editedMatches = matches.filter(match => {
+      const endLine = match.endLine !== undefined ? match.endLine : match.line;
+      return endLine >= startLine && match.line <= newEndLine;
+    });
+
+    let html = '';
+    for (let lineIndex = startLine; lineIndex <= newEndLine; lineIndex++) {
+      html += this.renderLine(lines[lineIndex], lineIndex, editedMatches, lineStart);
+      lineStart += lines[lineIndex].length + 1;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const newElements = Array.from(template.content.querySelectorAll('.tq-match'));
+
+    // Swap the edited line divs
+    const children = Array.from(this.overlay.children);
+    const nextSibling = children[oldEndLine + 1] || null;
+    for (let i = startLine; i <= oldEndLine; i++) {
+      children[i].remove();
+    }
+    this.overlay.insertBefore(template.content, nextSibling);
+
+    // Shift positions of matches on the following lines
+    if (lineDelta !== 0 || offsetDelta !== 0) {
+      for (let i = oldEndLine + 1; i < children.length; i++) {
+        children[i].querySelectorAll('.tq-match').forEach(matchEl => {
+          this.shiftMatchAttributes(matchEl, lineDelta, offsetDelta);
+        });
+      }
+    }
+
+    if (this.options.debug) {
+      console.log('[OverlayRenderer] Re-rendered lines', startLine, 'to', newEndLine, 'of', lines.length);
+    }
+
+    return newElements;
+  }
+
+  /**
+   * Shift position attributes of a rendered match
+   * @param {HTMLElement} matchEl - Match element
+   * @param {number} lineDelta - Lines added (negative: removed) before this match
+   * @param {number} offsetDelta - Characters added (negative: removed) before this match
+   */
+  shiftMatchAttributes(matchEl, lineDelta, offsetDelta) {
+    const shift = (name, delta) => {
+      if (delta !== 0 && matchEl.hasAttribute(name)) {
+        matchEl.setAttribute(name, String(parseInt(matchEl.getAttribute(name)) + delta));
+      }
+    };
+
+    shift('data-line', lineDelta);
+    shift('data-end-line', lineDelta);
+    shift('data-start', offsetDelta);
+    shift('data-end', offsetDelta);
+    shift('data-offset', offsetDelta);
+
+    if (offsetDelta !== 0) {
+      matchEl.setAttribute('data-match-key', `${matchEl.getAttribute('data-start')}:${matchEl.getAttribute('data-end')}`);
+    }
+  }
+
   /**
    * Render a single line with matches
+   * Overlapping matches render as nested spans. A match that crosses another
+   * (neither contains the other) is split into fragments that share its key.
    * @param {string} line - Line text
    * @param {number} lineIndex - Line number (0-indexed)
    * @param {Array} matches - All matches from scanner
+   * @param {number} lineStart - Absolute offset of the line in the full text
    * @returns {string} HTML for line
    */
-  renderLine(line, lineIndex, matches) {
+  renderLine(line, lineIndex, matches, lineStart = 0) {
     // Find matches on this line
     const lineMatches = this.getMatchesForLine(line, lineIndex, matches);
 
@@ -59,37 +157,62 @@ export default class OverlayRenderer {
       return `<div class="tq-line">${this.escapeHtml(line) || '&nbsp;'}</div>`;
     }
 
-    // Sort matches by start position
-    lineMatches.sort((a, b) => a.start - b.start);
-
-    // Build HTML with matches as spans
+    // Sort matches by start position, outer (longer) matches first
+    lineMatches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    // Split matches that cross another one (neither contains the other)
+    lineMatches.forEach(match => {
+      match.split = lineMatches.some(other => other !== match &&
+        other.start < match.end && other.end > match.start &&
+        !(other.start <= match.start && other.end >= match.end) &&
+        !(match.start <= other.start && match.end >= other.end));
+    });
+
+    // Positions where the set of covering matches changes
+    const points = new Set([0, line.length]);
+    lineMatches.forEach(match => {
+      points.add(match.start);
+      points.add(match.end);
+    });
+    const boundaries = Array.from(points).sort((a, b) => a - b);
+
+    // Build HTML with matches as spans, reusing open spans across boundaries
     let html = '<div class="tq-line">';
-    let lastIndex = 0;
+    let open = [];
 
-    for (const match of lineMatches) {
-      // Add text before match
-      if (match.start > lastIndex) {
-        html += this.escapeHtml(line.substring(lastIndex, match.start));
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const from = boundaries[i];
+      const to = boundaries[i + 1];
+      const active = lineMatches.filter(match => match.start <= from && match.end >= to);
+
+      // Close spans that don't continue (and everything opened inside them)
+      let keep = 0;
+      while (keep < open.length && keep < active.length && open[keep] === active[keep]) {
+        keep++;
       }
+      html += '</span>'.repeat(open.length - keep);
+      open = open.slice(0, keep);
 
-      // Add match as styled span
-      const matchText = line.substring(match.start, match.end);
-      const classes = this.getMatchClasses(match);
-      const dataAttrs = this.getMatchDataAttributes(match);
-      const inlineStyles = this.getMatchInlineStyles(match);
+      // Open spans that start here (or continue after a split)
+      for (const match of active.slice(keep)) {
+        const classes = this.getMatchClasses(match) + (open.length > 0 ? ' tq-match-nested' : '');
+        const dataAttrs = this.getMatchDataAttributes(match, lineStart + from);
+        const inlineStyles = this.getMatchInlineStyles(match);
 
-      html += `<span class="${classes}" ${dataAttrs} style="${inlineStyles}">${this.escapeHtml(matchText)}</span>`;
+        html += `<span class="${classes}" ${dataAttrs} style="${this.escapeAttr(inlineStyles)}">`;
+        open.push(match);
+      }
 
-      lastIndex = match.end;
+      html += this.escapeHtml(line.substring(from, to));
     }
 
-    // Add remaining text after last match
-    if (lastIndex < line.length) {
-      html += this.escapeHtml(line.substring(lastIndex));
-    }
+    html += '</span>'.repeat(open.length);
 
-    // Handle empty lines
+    // Handle empty lines (keeping empty spans for multi-line matches passing through)
     if (line.length === 0) {
+      for (const match of lineMatches) {
+        html += `<span class="${this.getMatchClasses(match)}" ${this.getMatchDataAttributes(match, lineStart)} style="${this.escapeAttr(this.getMatchInlineStyles(match))}"></span>`;
+      }
       html += '&nbsp;';
     }
 
@@ -100,25 +223,51 @@ export default class OverlayRenderer {
 
   /**
    * Get matches that apply to a specific line
+   * A match spanning several lines yields one segment per line; segments share
+   * the same data-match-key so they act as a single hover/click target.
    * @param {string} line - Line text
    * @param {number} lineIndex - Line number
    * @param {Array} matches - All matches
-   * @returns {Array} Matches for this line with adjusted positions
+   * @returns {Array} Matches for this line with line-relative start/end
    */
   getMatchesForLine(line, lineIndex, matches) {
     const lineMatches = [];
 
-    // Calculate absolute position of this line in the full text
-    // (we'll need to know line starts to filter matches)
-    // For now, matches already have line info from scanner
-
     for (const match of matches) {
-      if (match.line === lineIndex) {
+      // Allowlisted matches are only reported in the validation state
+      if (match.allowed) {
+        continue;
+      }
+
+      const endLine = match.endLine !== undefined ? match.endLine : match.line;
+
+      if (match.line === lineIndex && endLine === lineIndex) {
         lineMatches.push({
           ...match,
+          matchStart: match.start, // Absolute offsets of the whole match
+          matchEnd: match.end,
           start: match.col, // Column position on this line
           end: match.col + match.length
         });
+      } else if (match.line <= lineIndex && endLine >= lineIndex) {
+        // Segment of a multi-line match
+        const segmentStart = match.line === lineIndex ? match.col : 0;
+        const segmentEnd = endLine === lineIndex ? match.endCol : line.length;
+
+        // Nothing to draw for the empty tail of a match ending at column 0
+        if (segmentEnd <= segmentStart && line.length > 0) {
+          continue;
+        }
+
+        lineMatches.push({
+          ...match,
+          matchStart: match.start,
+          matchEnd: match.end,
+          start: segmentStart,
+          end: segmentEnd,
+          segmentIndex: lineIndex - match.line,
+          segmentCount: endLine - match.line + 1
+        });
       }
     }
 
@@ -143,26 +292,46 @@ export default class OverlayRenderer {
       classes.push(`tq-behavior-${match.command.behavior}`);
     }
 
+    // Resolved and dismissed matches have their own look
+    if (match.resolution && match.resolution.status !== 'unresolved') {
+      classes.push(`tq-match-${match.resolution.status}`);
+    }
+
+    // Mark segments of multi-line matches
+    if (match.segmentCount > 1) {
+      classes.push('tq-match-segment');
+    }
+
     return classes.join(' ');
   }
 
   /**
    * Get data attributes for a match
-   * @param {Object} match - Match object
+   * @param {Object} match - Match object (or segment of a multi-line match)
+   * @param {number} offset - Absolute offset where this span starts
    * @returns {string} Data attributes string
    */
-  getMatchDataAttributes(match) {
+  getMatchDataAttributes(match, offset) {
     const attrs = [];
 
     // Store match text
     attrs.push(`data-match-text="${this.escapeAttr(match.text)}"`);
 
+    // Link spans of the same match (segments of a multi-line match share a key)
+    attrs.push(`data-match-key="${match.matchStart}:${match.matchEnd}"`);
+    if (match.segmentCount > 1) {
+      attrs.push(`data-segment-index="${match.segmentIndex}"`);
+      attrs.push(`data-segment-count="${match.segmentCount}"`);
+    }
+    if (match.split) {
+      attrs.push('data-split="true"');
+    }
+
     // Store command info
     if (match.command) {
       attrs.push(`data-command-id="${this.escapeAttr(match.command.id || '')}"`);
       attrs.push(`data-command-type="${this.escapeAttr(match.command.commandType || '')}"`);
-      attrs.push(`data-command-path="${this.escapeAttr(match.command.commandPath || '')}"`);
-      attrs.push(`data-intent-path="${this.escapeAttr(match.command.intentPath || '')}"`);
+      attrs.push(`data-category="${this.escapeAttr(match.command.category || '')}"`);
 
       // Store intent info as JSON for InteractionHandler
       if (match.command.intent) {
@@ -174,21 +343,50 @@ export default class OverlayRenderer {
         const handler = match.command.intent.handler;
         if (handler.options && Array.isArray(handler.options) && handler.options.length > 0) {
           attrs.push(`data-behavior="dropdown"`);
-        } else if (handler.message || handler['message-content'] || match.command.intent.description) {
+        } else if (handler.message || handler['message-content'] || match.command.intent.description || match.distance > 0) {
           attrs.push(`data-behavior="bubble"`);
         }
       }
     }
 
-    // Store position info
+    // Store resolution (chosen option) of resolved and dismissed matches
+    if (match.resolution && match.resolution.status !== 'unresolved') {
+      attrs.push(`data-resolution='${this.escapeAttr(JSON.stringify(match.resolution))}'`);
+    }
+
+    // Store position info (line/col of the match start, absolute offsets of match and span)
     attrs.push(`data-line="${match.line}"`);
     attrs.push(`data-col="${match.col}"`);
+    if (match.endLine !== undefined) {
+      attrs.push(`data-end-line="${match.endLine}"`);
+      attrs.push(`data-end-col="${match.endCol}"`);
+    }
+    attrs.push(`data-start="${match.matchStart}"`);
+    attrs.push(`data-end="${match.matchEnd}"`);
+    attrs.push(`data-offset="${offset}"`);
+
+    // Regex capture groups (numbered and named)
+    if (match.groups) {
+      attrs.push(`data-groups='${this.escapeAttr(JSON.stringify(match.groups))}'`);
+    }
+
+    // Extra data reported by a matcher function
+    if (match.data !== undefined) {
+      attrs.push(`data-match-data='${this.escapeAttr(JSON.stringify(match.data))}'`);
+    }
+
+    // Fuzzy matches: the canonical term and how close the text came to it
+    if (match.canonical !== undefined) {
+      attrs.push(`data-canonical="${this.escapeAttr(match.canonical)}"`);
+      attrs.push(`data-distance="${match.distance}"`);
+      attrs.push(`data-confidence="${match.confidence}"`);
+    }
 
     return attrs.join(' ');
   }
 
   /**
-   * Get inline styles for a match based on command type or message-state
+   * Get inline styles for a match based on command type, message-state or resolution
    * @param {Object} match - Match object
    * @returns {string} Inline style string
    */
@@ -205,7 +403,10 @@ export default class OverlayRenderer {
       commandType: commandType
     };
 
-    const styles = this.options.commandHandlers.getStyles(commandType, matchData);
+    const status = match.resolution ? match.resolution.status : 'unresolved';
+    const styles = status === 'unresolved'
+      ? this.options.commandHandlers.getStyles(commandType, matchData)
+      : this.options.commandHandlers.getResolutionStyles(status);
 
     // Convert style object to CSS string
     const styleStr = Object.entries(styles)
@@ -225,9 +426,7 @@ export default class OverlayRenderer {
    * @returns {string} Escaped text
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return HtmlEscaper.escape(text);
   }
 
   /**
@@ -236,11 +435,6 @@ export default class OverlayRenderer {
    * @returns {string} Escaped text
    */
   escapeAttr(text) {
-    return String(text)
-      .replace(/&/g, '&amp;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
+    return HtmlEscaper.escape(String(text));
   }
 }
@@ -0,0 +1,603 @@
+// RegexSafety - Flags regex shapes that can backtrack catastrophically (ReDoS)
+// Pure logic (no DOM). Patterns are parsed into a small syntax tree and checked for
+// nested unbounded quantifiers, repeated alternatives that can match the same text,
+// and adjacent repetitions of overlapping characters. The "safe" subset also bans
+// backreferences, which no regex engine can match in linear time.
+
+import CommandScanner from './CommandScanner.js';
+
+// Highest code point
+const MAX_CODE_POINT = 0x10FFFF;
+
+// Character sets as sorted [from, to] code point ranges
+const ANY = [[0, MAX_CODE_POINT]];
+const DIGIT = [[48, 57]];
+const WORD = [[48, 57], [65, 90], [95, 95], [97, 122]];
+const SPACE = [[9, 13], [32, 32], [160, 160], [5760, 5760], [8192, 8202], [8232, 8233], [8239, 8239], [8287, 8287], [12288, 12288], [65279, 65279]];
+
+export default class RegexSafety {
+  // Counted repetition above this many is treated like "*" / "+"
+  static REPEAT_LIMIT = 100;
+
+  /**
+   * Analyze a pattern
+   * Patterns that do not compile are reported by TriggerMapValidator, not here.
+   * @param {string} pattern - Regex source
+   * @param {string} flags - Regex flags ('i' widens letters to both cases)
+   * @param {Object} options - Analysis options
+   * @param {boolean} options.safe - Also check the safe-regex subset
+   * @returns {Object} { safe: boolean, problems: Array<{ kind, message }> }
+   */
+  static analyze(pattern, flags = '', options = {}) {
+    let tree;
+    try {
+      new RegExp(pattern, flags);
+      tree = new RegexSafety(pattern, flags).parse();
+    } catch (e) {
+      return { safe: true, problems: [] };
+    }
+
+    const problems = [];
+    RegexSafety.check(tree, pattern, options.safe === true, problems);
+
+    return { safe: problems.length === 0, problems };
+  }
+
+  /**
+   * Skip every trigger that uses a pattern outside the safe subset
+   * Covers trigger patterns (including pre-filters), "except" and context patterns.
+   * The host's map is never modified.
+   * @param {Object} triggerMap - Trigger map (after "$use" expansion)
+   * @returns {Object} { map, skipped: Array<string> } where skipped lists the trigger paths
+   */
+  static restrict(triggerMap) {
+    const hasWrapper = triggerMap && triggerMap['tql-triggers'] !== undefined;
+    const source = hasWrapper ? triggerMap['tql-triggers'] : triggerMap;
+    const skipped = [];
+
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      return { map: triggerMap, skipped };
+    }
+
+    const triggers = {};
+    Object.keys(source).forEach(state => {
+      if (state.startsWith('$') || !Array.isArray(source[state])) {
+        triggers[state] = source[state];
+        return;
+      }
+
+      triggers[state] = source[state].filter((trigger, index) => {
+        const safe = RegexSafety.getPatterns(trigger).every(({ pattern, flags }) =>
+          RegexSafety.analyze(pattern, flags, { safe: true }).safe);
+        if (!safe) {
+          skipped.push(`${hasWrapper ? 'tql-triggers.' : ''}${state}[${index}]`);
+        }
+        return safe;
+      });
+    });
+
+    return { map: hasWrapper ? { ...triggerMap, 'tql-triggers': triggers } : triggers, skipped };
+  }
+
+  /**
+   * List every pattern a trigger runs
+   * @param {Object} trigger - Trigger definition
+   * @returns {Array<{pattern, flags}>} Patterns with the flags they run with
+   */
+  static getPatterns(trigger) {
+    if (!trigger || typeof trigger !== 'object') {
+      return [];
+    }
+
+    const patterns = [];
+    const entryFlags = entry => (typeof entry.flags === 'string' ? entry.flags : '');
+
+    if (Array.isArray(trigger.regex)) {
+      const { flags } = CommandScanner.resolveMatchOptions(trigger);
+      trigger.regex.filter(pattern => typeof pattern === 'string').forEach(pattern => patterns.push({ pattern, flags }));
+    }
+
+    (Array.isArray(trigger.except) ? trigger.except : []).forEach(entry => {
+      if (entry && typeof entry.regex === 'string') {
+        patterns.push({ pattern: entry.regex, flags: entryFlags(entry) });
+      }
+    });
+
+    const context = trigger.context && typeof trigger.context === 'object' ? trigger.context : {};
+    ['before', 'notBefore', 'after', 'notAfter'].forEach(key => {
+      (Array.isArray(context[key]) ? context[key] : []).forEach(entry => {
+        if (entry && typeof entry.regex === 'string') {
+          patterns.push({ pattern: entry.regex, flags: entryFlags(entry) });
+        }
+      });
+    });
+
+    return patterns;
+  }
+
+  /**
+   * Walk the tree and collect problems
+   * @param {Object} node - Alternation node
+   * @param {string} pattern - Source (for quoting parts of it)
+   * @param {boolean} safe - Check the safe subset too
+   * @param {Array} problems - Collected problems
+   */
+  static check(node, pattern, safe, problems) {
+    const report = (kind, term, message) => {
+      const part = pattern.slice(term.from, term.to);
+      if (!problems.some(problem => problem.kind === kind && problem.part === part)) {
+        problems.push({ kind, part, message: `${message}: "${part}"` });
+      }
+    };
+
+    node.alternatives.forEach(terms => {
+      terms.forEach((term, i) => {
+        const { atom } = term;
+        const repeated = RegexSafety.isUnbounded(term);
+
+        if (atom.type === 'group' && repeated && !atom.lookaround) {
+          // An inner repetition that can run into the next iteration splits text many ways
+          if (RegexSafety.hasAmbiguousRepeat(atom.body, RegexSafety.atomFirstSet(atom).set)) {
+            report('nested-quantifier', term, 'Nested quantifiers can backtrack exponentially');
+          } else if (RegexSafety.hasOverlappingAlternatives(atom.body)) {
+            report('overlapping-alternation', term, 'Repeated alternatives that can match the same text can backtrack exponentially');
+          }
+        }
+
+        const next = terms[i + 1];
+        if (repeated && next && RegexSafety.isUnbounded(next) && atom.set && next.atom.set &&
+            RegexSafety.intersects(atom.set, next.atom.set)) {
+          report('overlapping-quantifiers', { from: term.from, to: next.to }, 'Adjacent repetitions of the same characters backtrack polynomially');
+        }
+
+        if (safe && atom.type === 'backreference') {
+          report('backreference', term, 'Backreferences are not allowed in safe-regex mode');
+        }
+
+        if (atom.type === 'group') {
+          RegexSafety.check(atom.body, pattern, safe, problems);
+        }
+      });
+    });
+  }
+
+  /**
+   * Check whether a term repeats without a (small) upper bound
+   * @param {Object} term - { atom, min, max }
+   * @returns {boolean} True for *, +, {n,} and counts above REPEAT_LIMIT
+   */
+  static isUnbounded(term) {
+    return term.max > RegexSafety.REPEAT_LIMIT && RegexSafety.canConsume(term.atom);
+  }
+
+  /**
+   * Check whether an atom can consume characters
+   * @param {Object} atom - Atom
+   * @returns {boolean} False for anchors, lookarounds and groups of only those
+   */
+  static canConsume(atom) {
+    if (atom.type === 'group') {
+      return !atom.lookaround && atom.body.alternatives.some(terms => terms.some(term => term.max > 0 && RegexSafety.canConsume(term.atom)));
+    }
+    return atom.type === 'set' || atom.type === 'backreference';
+  }
+
+  /**
+   * Check whether an unbounded repetition can take characters that could also start what follows it
+   * "(a+)+" and "(\\w+\\s?)*" qualify; "(\\.\\w+)*" does not, as "." separates the iterations.
+   * @param {Object} node - Alternation node
+   * @param {Array} follow - Characters that can come after the node
+   * @returns {boolean} True if a repetition inside is ambiguous
+   */
+  static hasAmbiguousRepeat(node, follow) {
+    return node.alternatives.some(terms => terms.some((term, i) => {
+      const rest = RegexSafety.firstSet(terms.slice(i + 1));
+      const after = rest.nullable ? RegexSafety.union(rest.set, follow) : rest.set;
+
+      if (RegexSafety.isUnbounded(term)) {
+        return RegexSafety.intersects(RegexSafety.charsOf(term.atom), after);
+      }
+      return term.atom.type === 'group' && !term.atom.lookaround && RegexSafety.hasAmbiguousRepeat(term.atom.body, after);
+    }));
+  }
+
+  /**
+   * Every character an atom can consume
+   * @param {Object} atom - Atom
+   * @returns {Array} Character set
+   */
+  static charsOf(atom) {
+    if (atom.type === 'set') {
+      return atom.set;
+    }
+    if (atom.type === 'group' && !atom.lookaround) {
+      return atom.body.alternatives.reduce((all, terms) =>
+        terms.reduce((set, term) => RegexSafety.union(set, RegexSafety.charsOf(term.atom)), all), []);
+    }
+    return atom.type === 'backreference' ? ANY : [];
+  }
+
+  /**
+   * Check whether one alternative is a single character another alternative can be spelled with
+   * ("(a|aa)*", "(\\w|\\d)+", "(.|\\s)*"); alternatives such as "(a|ab)" or "(foo|far)" are not flagged.
+   * @param {Object} node - Alternation node
+   * @returns {boolean} True if the repeated alternation is ambiguous
+   */
+  static hasOverlappingAlternatives(node) {
+    const singles = node.alternatives
+      .filter(terms => terms.length === 1 && terms[0].atom.type === 'set' && terms[0].max === 1)
+      .map(terms => terms[0].atom.set);
+
+    return singles.some(set => node.alternatives.filter(terms => terms.length > 0).some(terms =>
+      !(terms.length === 1 && terms[0].atom.set === set) &&
+      terms.every(term => term.atom.type === 'set' && RegexSafety.intersects(term.atom.set, set))));
+  }
+
+  /**
+   * Characters a sequence of terms can start with
+   * @param {Array} terms - Terms
+   * @returns {Object} { set, nullable } where nullable means it can match the empty string
+   */
+  static firstSet(terms) {
+    let set = [];
+
+    for (const term of terms) {
+      const first = RegexSafety.atomFirstSet(term.atom);
+      set = RegexSafety.union(set, first.set);
+      if (!first.nullable && term.min > 0) {
+        return { set, nullable: false };
+      }
+    }
+
+    return { set, nullable: true };
+  }
+
+  /**
+   * Characters an atom can start with
+   * @param {Object} atom - Atom
+   * @returns {Object} { set, nullable }
+   */
+  static atomFirstSet(atom) {
+    if (atom.type === 'set') {
+      return { set: atom.set, nullable: false };
+    }
+    if (atom.type === 'backreference') {
+      return { set: ANY, nullable: true };
+    }
+    if (atom.type === 'group' && !atom.lookaround) {
+      return atom.body.alternatives
+        .map(terms => RegexSafety.firstSet(terms))
+        .reduce((all, first) => ({ set: RegexSafety.union(all.set, first.set), nullable: all.nullable || first.nullable }), { set: [], nullable: false });
+    }
+    return { set: [], nullable: true };
+  }
+
+  /**
+   * Merge two character sets
+   * @param {Array} a - Ranges
+   * @param {Array} b - Ranges
+   * @returns {Array} Sorted, merged ranges
+   */
+  static union(a, b) {
+    const ranges = [...a, ...b].sort((x, y) => x[0] - y[0]);
+    const merged = [];
+    ranges.forEach(([from, to]) => {
+      const last = merged[merged.length - 1];
+      if (last && from <= last[1] + 1) {
+        last[1] = Math.max(last[1], to);
+      } else {
+        merged.push([from, to]);
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Complement a character set
+   * @param {Array} set - Ranges
+   * @returns {Array} Ranges not in the set
+   */
+  static complement(set) {
+    const result = [];
+    let next = 0;
+    RegexSafety.union(set, []).forEach(([from, to]) => {
+      if (from > next) {
+        result.push([next, from - 1]);
+      }
+      next = to + 1;
+    });
+    if (next <= MAX_CODE_POINT) {
+      result.push([next, MAX_CODE_POINT]);
+    }
+    return result;
+  }
+
+  /**
+   * Check whether two character sets share a character
+   * @param {Array} a - Ranges
+   * @param {Array} b - Ranges
+   * @returns {boolean} True if they overlap
+   */
+  static intersects(a, b) {
+    return a.some(([fromA, toA]) => b.some(([fromB, toB]) => fromA <= toB && fromB <= toA));
+  }
+
+  /**
+   * Create a parser for one pattern
+   * @param {string} pattern - Regex source (known to compile)
+   * @param {string} flags - Regex flags
+   */
+  constructor(pattern, flags = '') {
+    this.pattern = pattern;
+    this.ignoreCase = flags.includes('i');
+    this.index = 0;
+  }
+
+  /**
+   * Parse the whole pattern
+   * Nodes: alternation { alternatives: [[term]] }, term { atom, min, max, from, to },
+   * atom { type: 'set', set } | { type: 'group', lookaround, body } |
+   * { type: 'backreference' } | { type: 'assertion' }.
+   * @returns {Object} Alternation node
+   */
+  parse() {
+    const node = this.parseAlternation();
+    if (this.index < this.pattern.length) {
+      throw new SyntaxError(`Unexpected "${this.pattern[this.index]}"`);
+    }
+    return node;
+  }
+
+  /**
+   * Parse alternatives up to a closing parenthesis or the end
+   * @returns {Object} { alternatives }
+   */
+  parseAlternation() {
+    const alternatives = [[]];
+
+    while (this.index < this.pattern.length && this.pattern[this.index] !== ')') {
+      if (this.pattern[this.index] === '|') {
+        this.index++;
+        alternatives.push([]);
+        continue;
+      }
+      alternatives[alternatives.length - 1].push(this.parseTerm());
+    }
+
+    return { alternatives };
+  }
+
+  /**
+   * Parse an atom and its quantifier
+   * @returns {Object} { atom, min, max, from, to }
+   */
+  parseTerm() {
+    const from = this.index;
+    const atom = this.parseAtom();
+    let min = 1;
+    let max = 1;
+    let quantified = false;
+
+    const char = this.pattern[this.index];
+    if (char === '*' || char === '+' || char === '?') {
+      this.index++;
+      min = char === '+' ? 1 : 0;
+      max = char === '?' ? 1 : Infinity;
+      quantified = true;
+    } else if (char === '{') {
+      const count = /^\{(\d+)(?:(,)(\d*))?\}/.exec(this.pattern.slice(this.index));
+      if (count) {
+        this.index += count[0].length;
+        min = Number(count[1]);
+        max = count[2] ? (count[3] ? Number(count[3]) : Infinity) : min;
+        quantified = true;
+      }
+    }
+
+    // Lazy quantifiers backtrack just the same
+    if (quantified && this.pattern[this.index] === '?') {
+      this.index++;
+    }
+
+    return { atom, min, max, from, to: this.index };
+  }
+
+  /**
+   * Parse one atom
+   * @returns {Object} Atom
+   */
+  parseAtom() {
+    const char = this.pattern[this.index];
+
+    if (char === '(') {
+      return this.parseGroup();
+    }
+    if (char === '[') {
+      return { type: 'set', set: this.parseClass() };
+    }
+    if (char === '.') {
+      this.index++;
+      return { type: 'set', set: ANY };
+    }
+    if (char === '^' || char === '$') {
+      this.index++;
+      return { type: 'assertion' };
+    }
+    if (char === '\\') {
+      return this.parseEscape();
+    }
+
+    const codePoint = this.pattern.codePointAt(this.index);
+    this.index += String.fromCodePoint(codePoint).length;
+    return { type: 'set', set: this.withCase([[codePoint, codePoint]]) };
+  }
+
+  /**
+   * Parse a group, including lookarounds and named groups
+   * @returns {Object} Group atom
+   */
+  parseGroup() {
+    const rest = this.pattern.slice(this.index);
+    const prefix = /^\((?:\?(?::|=|!|<=|<!|<[^>]+>))?/.exec(rest)[0];
+    this.index += prefix.length;
+
+    const body = this.parseAlternation();
+    if (this.pattern[this.index] !== ')') {
+      throw new SyntaxError('Unterminated group');
+    }
+    this.index++;
+
+    return { type: 'group', lookaround: /^\(\?(?:=|!|<=|<!)$/.test(prefix), body };
+  }
+
+  /**
+   * Parse an escape outside a character class
+   * @returns {Object} Atom
+   */
+  parseEscape() {
+    const next = this.pattern[this.index + 1];
+
+    if (next === 'b' || next === 'B') {
+      this.index += 2;
+      return { type: 'assertion' };
+    }
+
+    const backreference = /^\\(?:[1-9]\d*|k<[^>]+>)/.exec(this.pattern.slice(this.index));
+    if (backreference) {
+      this.index += backreference[0].length;
+      return { type: 'backreference' };
+    }
+
+    return { type: 'set', set: this.withCase(this.parseEscapedSet()) };
+  }
+
+  /**
+   * Parse an escape that stands for characters (shared by classes)
+   * @returns {Array} Character set
+   */
+  parseEscapedSet() {
+    const rest = this.pattern.slice(this.index);
+    const classes = { d: DIGIT, w: WORD, s: SPACE };
+    const letter = rest[1];
+
+    if (classes[letter.toLowerCase()]) {
+      this.index += 2;
+      const set = classes[letter.toLowerCase()];
+      return letter === letter.toLowerCase() ? set : RegexSafety.complement(set);
+    }
+
+    // Unicode properties are taken to match anything
+    const property = /^\\[pP]\{[^}]*\}/.exec(rest);
+    if (property) {
+      this.index += property[0].length;
+      return ANY;
+    }
+
+    const hex = /^\\(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|u\{([0-9a-fA-F]+)\})/.exec(rest);
+    if (hex) {
+      this.index += hex[0].length;
+      const codePoint = parseInt(hex[1] || hex[2] || hex[3], 16);
+      return [[codePoint, codePoint]];
+    }
+
+    const control = /^\\c([A-Za-z])/.exec(rest);
+    if (control) {
+      this.index += control[0].length;
+      const codePoint = control[1].charCodeAt(0) % 32;
+      return [[codePoint, codePoint]];
+    }
+
+    const named = { t: 9, n: 10, v: 11, f: 12, r: 13, 0: 0 };
+    this.index += 2;
+    if (named[letter] !== undefined) {
+      return [[named[letter], named[letter]]];
+    }
+
+    const codePoint = letter.codePointAt(0);
+    return [[codePoint, codePoint]];
+  }
+
+  /**
+   * Parse a character class
+   * @returns {Array} Character set
+   */
+  parseClass() {
+    this.index++;
+    const negated = this.pattern[this.index] === '^';
+    if (negated) {
+      this.index++;
+    }
+
+    let set = [];
+
+    while (this.index < this.pattern.length && this.pattern[this.index] !== ']') {
+      const start = this.parseClassItem();
+
+      // A range "a-z" (but not "a-" at the end or a range from a class escape)
+      if (this.pattern[this.index] === '-' && this.pattern[this.index + 1] !== ']' &&
+          this.index + 1 < this.pattern.length && start.single) {
+        this.index++;
+        const end = this.parseClassItem();
+        if (end.single) {
+          set = RegexSafety.union(set, [[start.set[0][0], end.set[0][0]]]);
+          continue;
+        }
+        set = RegexSafety.union(set, RegexSafety.union(start.set, RegexSafety.union([[45, 45]], end.set)));
+        continue;
+      }
+
+      set = RegexSafety.union(set, start.set);
+    }
+
+    if (this.pattern[this.index] !== ']') {
+      throw new SyntaxError('Unterminated character class');
+    }
+    this.index++;
+
+    set = this.withCase(set);
+    return negated ? RegexSafety.complement(set) : set;
+  }
+
+  /**
+   * Parse one item of a character class
+   * @returns {Object} { set, single } where single means one character (usable in a range)
+   */
+  parseClassItem() {
+    if (this.pattern[this.index] === '\\') {
+      if (this.pattern[this.index + 1] === 'b') {
+        this.index += 2;
+        return { set: [[8, 8]], single: true };
+      }
+      const set = this.parseEscapedSet();
+      return { set, single: set.length === 1 && set[0][0] === set[0][1] };
+    }
+
+    const codePoint = this.pattern.codePointAt(this.index);
+    this.index += String.fromCodePoint(codePoint).length;
+    return { set: [[codePoint, codePoint]], single: true };
+  }
+
+  /**
+   * Add the other case of ASCII letters when matching case-insensitively
+   * @param {Array} set - Character set
+   * @returns {Array} Widened set
+   */
+  withCase(set) {
+    if (!this.ignoreCase) {
+      return set;
+    }
+
+    const extra = [];
+    set.forEach(([from, to]) => {
+      [[65, 90, 32], [97, 122, -32]].forEach(([low, high, shift]) => {
+        const a = Math.max(from, low);
+        const b = Math.min(to, high);
+        if (a <= b) {
+          extra.push([a + shift, b + shift]);
+        }
+      });
+    });
+
+    return RegexSafety.union(set, extra);
+  }
+}
@@ -0,0 +1,268 @@
+// ResolutionManager - Tracks whether each match is unresolved, resolved or dismissed
+// Pure logic (no DOM). Resolutions are kept by position and follow edits to the text.
+// How a resolution shows up in the text is configurable: "suffix" writes "/value"
+// after the trigger (and reads such suffixes back, e.g. from pasted text), "none"
+// leaves the text alone and only changes the highlight.
+
+export default class ResolutionManager {
+  // Statuses a match can have
+  static STATUSES = ['unresolved', 'resolved', 'dismissed'];
+
+  // Ways to represent a resolution in the text
+  static REPRESENTATIONS = ['suffix', 'none'];
+
+  // Written between the trigger and the chosen value (CommandScanner treats it as a word boundary)
+  static SEPARATOR = '/';
+
+  /**
+   * Create resolution manager
+   * @param {Object} options - Configuration
+   * @param {string} options.representation - 'suffix' (default) or 'none'
+   * @param {TemplateResolver} options.templateResolver - Resolves {{variables}} in option values
+   */
+  constructor(options = {}) {
+    this.options = {
+      representation: options.representation || 'suffix',
+      templateResolver: options.templateResolver || null,
+      debug: options.debug || false,
+      ...options
+    };
+
+    if (!ResolutionManager.REPRESENTATIONS.includes(this.options.representation)) {
+      console.warn(`[ResolutionManager] Unknown representation "${this.options.representation}", using "suffix"`);
+      this.options.representation = 'suffix';
+    }
+
+    this.entries = []; // { start, end, text, commandId, status, option, value, written }
+    this.text = null;  // text the entries' offsets refer to
+  }
+
+  /**
+   * Get the representation in use
+   * @returns {string} 'suffix' or 'none'
+   */
+  getRepresentation() {
+    return this.options.representation;
+  }
+
+  /**
+   * Record a resolution for a match
+   * @param {Object} match - { start, end, text, command: { id } } (or match data from the overlay)
+   * @param {string} status - 'resolved' or 'dismissed'
+   * @param {Object} details - Resolution details
+   * @param {*} details.option - Chosen option
+   * @param {string} details.value - Value the option stands for
+   * @param {boolean} details.written - The value was written after the trigger as a suffix
+   */
+  set(match, status, details = {}) {
+    if (!ResolutionManager.STATUSES.includes(status)) {
+      throw new TypeError(`Unknown resolution status "${status}" (expected ${ResolutionManager.STATUSES.join(', ')})`);
+    }
+
+    this.clear(match.start);
+
+    if (status === 'unresolved') {
+      return;
+    }
+
+    this.entries.push({
+      start: match.start,
+      end: match.end,
+      text: match.text,
+      commandId: match.command?.id || null,
+      status,
+      option: details.option !== undefined ? details.option : null,
+      value: details.value !== undefined ? details.value : null,
+      written: details.written === true
+    });
+
+    if (this.options.debug) {
+      console.log('[ResolutionManager]', status, match.text, 'at', match.start);
+    }
+  }
+
+  /**
+   * Forget the resolution recorded for the match starting at an offset
+   * @param {number} start - Absolute offset of the match
+   * @returns {boolean} True if one was recorded
+   */
+  clear(start) {
+    const count = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.start !== start);
+    return this.entries.length !== count;
+  }
+
+  /**
+   * Forget every recorded resolution
+   */
+  reset() {
+    this.entries = [];
+  }
+
+  /**
+   * Move recorded resolutions along with an edit
+   * Resolutions before or after the edited range follow it; ones it touches are dropped.
+   * @param {string} text - Current text
+   */
+  track(text) {
+    const previous = this.text;
+    this.text = text;
+
+    if (previous === null || previous === text || this.entries.length === 0) {
+      return;
+    }
+
+    // The edit is whatever lies between the common prefix and suffix
+    const max = Math.min(previous.length, text.length);
+    let prefix = 0;
+    while (prefix < max && previous[prefix] === text[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (suffix < max - prefix && previous[previous.length - 1 - suffix] === text[text.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const editEnd = previous.length - suffix;
+    const delta = text.length - previous.length;
+
+    this.entries = this.entries
+      .filter(entry => entry.end <= prefix || entry.start >= editEnd)
+      .map(entry => entry.start >= editEnd
+        ? { ...entry, start: entry.start + delta, end: entry.end + delta }
+        : entry);
+  }
+
+  /**
+   * Set the resolution of each match in place
+   * @param {string} text - Text the matches were found in
+   * @param {Array} matches - Matches from the scanner
+   * @returns {Array} The same matches, each with a "resolution" ({ status, option, value })
+   */
+  apply(text, matches) {
+    this.track(text);
+
+    matches.forEach(match => {
+      if (!match.allowed) {
+        match.resolution = this.getResolution(text, match);
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Get the resolution of a match
+   * @param {string} text - Full text
+   * @param {Object} match - Match from the scanner
+   * @returns {Object} { status, option, value }
+   */
+  getResolution(text, match) {
+    // Only triggers with options can be resolved by a suffix
+    const options = match.command?.handler?.options;
+    const hasSuffix = this.options.representation === 'suffix' &&
+      Array.isArray(options) && options.length > 0 &&
+      text[match.end] === ResolutionManager.SEPARATOR;
+    const entry = this.entries.find(candidate =>
+      candidate.start === match.start &&
+      candidate.text === match.text &&
+      (!candidate.commandId || candidate.commandId === match.command?.id));
+
+    // A written choice is read back from its suffix below, so one the user has since
+    // edited, or a typed value that isn't an option, doesn't resolve the match. Other
+    // choices must still be one of the trigger's options (as TrustQueryCore requires).
+    const recorded = entry && !entry.written &&
+      (entry.status !== 'resolved' || ResolutionManager.findOption(match, entry.option) !== null);
+    if (recorded) {
+      return { status: entry.status, option: entry.option, value: entry.value };
+    }
+
+    if (hasSuffix) {
+      const suffix = this.readSuffix(text, match);
+      if (suffix) {
+        return { status: 'resolved', ...suffix };
+      }
+    }
+
+    return { status: 'unresolved', option: null, value: null };
+  }
+
+  /**
+   * Read a "/value" suffix written after a match
+   * Only a value equal to one of the trigger's options (its "on-select.display") counts;
+   * anything else typed after the separator leaves the match unresolved.
+   * @param {string} text - Full text
+   * @param {Object} match - Match from the scanner
+   * @returns {Object|null} { option, value } or null if no option follows the separator
+   */
+  readSuffix(text, match) {
+    const rest = text.substring(match.end + ResolutionManager.SEPARATOR.length);
+    const options = match.command?.handler?.options;
+    const matchData = { ...match, intent: match.command?.intent };
+
+    if (!Array.isArray(options)) {
+      return null;
+    }
+
+    for (const option of options) {
+      const display = option && option['on-select'] ? option['on-select'].display : null;
+      const value = display ? this.resolveTemplate(display, matchData) : null;
+      // "acme/Acme Corp" resolves; "acme/Acme Corpx" is a different word
+      if (value && rest.startsWith(value) && !/^[\p{L}\p{N}_]/u.test(rest.substring(value.length))) {
+        return { option, value };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the trigger option equal to a chosen (or reported) one
+   * @param {Object} match - Match from the scanner
+   * @param {*} chosen - Option as chosen or reported (compared by value)
+   * @returns {*} The trigger's own option, or null if it has none equal to the chosen one
+   */
+  static findOption(match, chosen) {
+    const options = match.command?.handler?.options;
+    if (!Array.isArray(options) || chosen === undefined || chosen === null) {
+      return null;
+    }
+
+    const key = JSON.stringify(chosen);
+    const option = options.find(candidate => JSON.stringify(candidate) === key);
+    return option === undefined ? null : option;
+  }
+
+  /**
+   * List the resolution of every highlighted match
+   * @param {Array} matches - Matches with resolutions (see apply)
+   * @returns {Array<Object>} [{ text, start, end, commandId, category, messageState, status, option, value }]
+   */
+  list(matches) {
+    return matches
+      .filter(match => !match.allowed)
+      .map(match => ({
+        text: match.text,
+        start: match.start,
+        end: match.end,
+        commandId: match.command?.id || null,
+        category: match.command?.category || null,
+        messageState: match.command?.messageState || null,
+        status: match.resolution ? match.resolution.status : 'unresolved',
+        option: match.resolution ? match.resolution.option : null,
+        value: match.resolution ? match.resolution.value : null
+      }));
+  }
+
+  /**
+   * Resolve {{variables}} in an option value
+   * @param {string} text - Template text
+   * @param {Object} matchData - Match data
+   * @returns {string} Resolved text
+   */
+  resolveTemplate(text, matchData) {
+    return this.options.templateResolver
+      ? this.options.templateResolver.resolve(text, matchData)
+      : text;
+  }
+}
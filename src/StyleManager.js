@@ -1,6 +1,8 @@
 // StyleManager - Handles all inline styling for textarea, wrapper, and overlay
 // Makes TrustQuery completely self-contained without requiring external CSS
 
+import MessageStateRegistry from './MessageStateRegistry.js';
+
 export default class StyleManager {
   /**
    * Create style manager
@@ -28,6 +30,9 @@ export default class StyleManager {
       ...options
     };
 
+    // Header colours per message state (including states declared in "$states")
+    this.messageStates = options.messageStates || new MessageStateRegistry();
+
     console.log('[StyleManager] Initialized with theme:', this.options);
   }
 
@@ -241,20 +246,7 @@ export default class StyleManager {
    * @param {string} messageState - Message state (error, warning, info)
    */
   applyBubbleHeaderStyles(header, messageState) {
-    const colorMap = {
-      'error': '#991b1b',
-      'warning': '#92400e',
-      'info': '#065f46'
-    };
-
-    const bgColorMap = {
-      'error': '#fee2e2',
-      'warning': '#fef3c7',
-      'info': '#d1fae5'
-    };
-
-    const color = colorMap[messageState] || '#2b6cb0';
-    const bgColor = bgColorMap[messageState] || '#e0f2fe';
+    const { color, background: bgColor } = this.messageStates.get(messageState);
 
     Object.assign(header.style, {
       display: 'flex',
@@ -303,20 +295,7 @@ export default class StyleManager {
    * @param {string} messageState - Message state (error, warning, info)
    */
   applyDropdownHeaderStyles(header, messageState) {
-    const colorMap = {
-      'error': '#991b1b',
-      'warning': '#92400e',
-      'info': '#065f46'
-    };
-
-    const bgColorMap = {
-      'error': '#fee2e2',
-      'warning': '#fef3c7',
-      'info': '#d1fae5'
-    };
-
-    const color = colorMap[messageState] || '#2b6cb0';
-    const bgColor = bgColorMap[messageState] || '#e0f2fe';
+    const { color, background: bgColor } = this.messageStates.get(messageState);
 
     Object.assign(header.style, {
       display: 'flex',
@@ -0,0 +1,181 @@
+// TemplateResolver - Interpolates {{variables}} in trigger messages and options
+// Built-in variables plus host-provided context values (static values or functions)
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+export default class TemplateResolver {
+  /**
+   * Create template resolver
+   * @param {Object} options - Configuration
+   * @param {Object} options.context - Host variables: { name: value | (matchData) => value }
+   */
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      ...options
+    };
+
+    this.variables = new Map();
+    this.context = {};
+
+    this.registerDefaultVariables();
+    this.setContext(options.context || {});
+
+    if (this.options.debug) {
+      console.log('[TemplateResolver] Initialized');
+    }
+  }
+
+  /**
+   * Register built-in variables
+   */
+  registerDefaultVariables() {
+    this.register('user-timezone', () => {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    });
+    this.register('locale', () => this.getLocale());
+    this.register('now', () => new Date().toLocaleString(this.getLocale()));
+    this.register('match', (matchData) => {
+      const text = matchData?.text || '';
+      return matchData?.intent?.handler?.redact ? TemplateResolver.redact(text) : text;
+    });
+    this.register('canonical', (matchData) => {
+      const text = matchData?.canonical || matchData?.text || '';
+      return matchData?.intent?.handler?.redact && text ? TemplateResolver.redact(text) : text;
+    });
+
+    // Regex capture groups, e.g. {{groups.domain}} or {{groups.1}}; groups that did not
+    // take part in the match are empty, and redacted triggers mask them like {{match}}
+    this.register('groups', (matchData) => {
+      const groups = matchData?.groups;
+      if (!groups) {
+        return undefined;
+      }
+      const redact = matchData?.intent?.handler?.redact;
+      const values = {};
+      Object.keys(groups).forEach(name => {
+        const value = groups[name] === null || groups[name] === undefined ? '' : groups[name];
+        values[name] = redact && value ? TemplateResolver.redact(value) : value;
+      });
+      return values;
+    });
+  }
+
+  /**
+   * Mask sensitive text, keeping a short prefix so users can tell which value is meant
+   * @param {string} text - Text to mask
+   * @returns {string} e.g. "AKIA… (20 characters)"
+   */
+  static redact(text) {
+    const keep = Math.min(4, Math.floor(text.length / 5));
+    return `${text.slice(0, keep)}… (${text.length} characters)`;
+  }
+
+  /**
+   * Register a built-in style variable resolver
+   * @param {string} name - Variable name used as {{name}}
+   * @param {Function} resolver - (matchData) => string
+   */
+  register(name, resolver) {
+    this.variables.set(name, resolver);
+  }
+
+  /**
+   * Merge host variables into the context
+   * Host variables take precedence over built-ins with the same name.
+   * @param {Object} context - { name: value | (matchData) => value }
+   */
+  setContext(context = {}) {
+    this.context = { ...this.context, ...context };
+  }
+
+  /**
+   * Get the user's locale
+   * @returns {string} BCP 47 locale tag
+   */
+  getLocale() {
+    if (typeof navigator !== 'undefined' && navigator.language) {
+      return navigator.language;
+    }
+    return Intl.DateTimeFormat().resolvedOptions().locale || 'en-US';
+  }
+
+  /**
+   * Resolve all {{variables}} in a template
+   * Unknown variables are left as-is so authors can spot them.
+   * @param {string} template - Text containing {{variables}}
+   * @param {Object} matchData - Match data for match-dependent variables
+   * @returns {string} Resolved text
+   */
+  resolve(template, matchData = null) {
+    if (typeof template !== 'string' || !template.includes('{{')) {
+      return template;
+    }
+
+    return template.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      const value = this.lookup(name, matchData);
+
+      if (value === undefined || value === null) {
+        if (this.options.debug) {
+          console.warn('[TemplateResolver] Unknown variable:', name);
+        }
+        return placeholder;
+      }
+
+      return String(value);
+    });
+  }
+
+  /**
+   * Look up a variable value (host context first, then built-ins)
+   * Dotted names walk into objects, e.g. {{user.name}}.
+   * @param {string} name - Variable name
+   * @param {Object} matchData - Match data
+   * @returns {*} Value or undefined
+   */
+  lookup(name, matchData) {
+    if (Object.prototype.hasOwnProperty.call(this.context, name)) {
+      return this.evaluate(this.context[name], matchData);
+    }
+
+    if (this.variables.has(name)) {
+      return this.evaluate(this.variables.get(name), matchData);
+    }
+
+    // Walk dotted paths through host context, then built-ins (e.g. {{groups.domain}})
+    const path = name.split('.');
+    const root = Object.prototype.hasOwnProperty.call(this.context, path[0])
+      ? this.context[path[0]]
+      : this.variables.get(path[0]);
+    if (path.length > 1 && root !== undefined) {
+      let value = this.evaluate(root, matchData);
+      for (const key of path.slice(1)) {
+        if (value === null || value === undefined) {
+          return undefined;
+        }
+        value = value[key];
+      }
+      return value;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Evaluate a variable (call functions with match data)
+   * @param {*} value - Value or resolver function
+   * @param {Object} matchData - Match data
+   * @returns {*} Resolved value
+   */
+  evaluate(value, matchData) {
+    if (typeof value === 'function') {
+      try {
+        return value(matchData);
+      } catch (error) {
+        console.warn('[TemplateResolver] Variable resolver failed:', error);
+        return undefined;
+      }
+    }
+    return value;
+  }
+}
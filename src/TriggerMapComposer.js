@@ -0,0 +1,322 @@
+// TriggerMapComposer - Layers trigger maps with "$extends", "$include" and "$disable"
+// Pure logic apart from fetching included URLs; used by TrustQuery.updateCommandMap
+// and TrustQuery.validateTriggerMap. Older map versions are upgraded layer by layer.
+
+import TriggerPresets from './TriggerPresets.js';
+import TriggerMapMigrator from './TriggerMapMigrator.js';
+
+export default class TriggerMapComposer {
+  // Maps that "$extends"/"$include" can reference by name (name -> map)
+  static maps = new Map();
+
+  /**
+   * Register a map under a name
+   * @param {string} name - Name used in "$extends" / "$include"
+   * @param {Object} triggerMap - Trigger map
+   */
+  static register(name, triggerMap) {
+    if (typeof name !== 'string' || name.length === 0 || !triggerMap || typeof triggerMap !== 'object') {
+      throw new TypeError('Registering a trigger map needs a name and a map object');
+    }
+    TriggerMapComposer.maps.set(name, triggerMap);
+  }
+
+  /**
+   * Check whether a map uses composition keys
+   * @param {Object} triggerMap - Trigger map
+   * @returns {boolean} True if it has "$extends", "$include" or "$disable"
+   */
+  static isComposed(triggerMap) {
+    return !!triggerMap && typeof triggerMap === 'object' &&
+      ['$extends', '$include', '$disable'].some(key => triggerMap[key] !== undefined);
+  }
+
+  /**
+   * Create composer
+   * @param {Object} options - Configuration
+   * @param {Function} options.fetchMap - async (url) => map, for "$include"/"$extends" URLs
+   */
+  constructor(options = {}) {
+    this.options = {
+      fetchMap: options.fetchMap || null,
+      debug: options.debug || false,
+      ...options
+    };
+
+    this.fetched = new Map(); // url -> map
+    this.failed = new Map();  // url -> error message
+  }
+
+  /**
+   * Compose layers into one map
+   * Precedence, lowest first: a map's "$extends" parents, its "$include"s in order,
+   * then its own triggers; in an array of maps, later maps win. A trigger whose id
+   * is already defined replaces the inherited one; "$disable" removes inherited ids.
+   * @param {Object|Array<Object>} layers - Map or maps (e.g. [orgMap, teamMap, userMap])
+   * @returns {Object} { map, diagnostics, missing } where missing lists URLs to fetch first (map is null then)
+   */
+  compose(layers) {
+    const list = Array.isArray(layers) ? layers : [layers];
+    const diagnostics = [];
+    const missing = [];
+
+    // A single plain map is used as-is (once upgraded)
+    if (list.length === 1 && !TriggerMapComposer.isComposed(list[0])) {
+      const migrated = TriggerMapMigrator.migrate(list[0]);
+      return { map: migrated.map, diagnostics: migrated.diagnostics, missing };
+    }
+
+    const context = { layers: [], seen: new Set(), diagnostics, missing };
+    list.forEach((layer, i) => {
+      this.flatten(layer, Array.isArray(layers) ? `[${i}]` : '', [], context);
+    });
+
+    if (missing.length > 0) {
+      return { map: null, diagnostics, missing };
+    }
+
+    return { map: this.merge(context.layers), diagnostics, missing };
+  }
+
+  /**
+   * Compose layers, fetching included URLs as they are discovered
+   * @param {Object|Array<Object>} layers - Map or maps
+   * @returns {Promise<Object>} { map, diagnostics }
+   */
+  async composeAsync(layers) {
+    let result = this.compose(layers);
+
+    while (result.missing.length > 0) {
+      await this.fetchMaps(result.missing);
+      result = this.compose(layers);
+    }
+
+    return { map: result.map, diagnostics: result.diagnostics };
+  }
+
+  /**
+   * Fetch included maps (failures are reported by the next compose)
+   * @param {Array<string>} urls - URLs to fetch
+   * @returns {Promise<void>}
+   */
+  async fetchMaps(urls) {
+    await Promise.all(urls.map(async url => {
+      try {
+        if (!this.options.fetchMap) {
+          throw new Error('no loader for included URLs');
+        }
+        this.fetched.set(url, await this.options.fetchMap(url));
+      } catch (error) {
+        this.failed.set(url, error.message);
+      }
+    }));
+  }
+
+  /**
+   * Forget fetched maps so the next compose loads them again
+   */
+  clearCache() {
+    this.fetched.clear();
+    this.failed.clear();
+  }
+
+  /**
+   * Flatten a map and its references into layers, lowest precedence first
+   * A map referenced twice (e.g. two team maps extending one base) is only used
+   * the first time, so it keeps the lowest precedence.
+   * @param {Object} triggerMap - Map to flatten
+   * @param {string} path - Where the map was referenced (for diagnostics)
+   * @param {Array<string>} stack - Names/URLs currently being resolved (cycle detection)
+   * @param {Object} context - { layers, seen, diagnostics, missing } shared by the whole compose
+   */
+  flatten(triggerMap, path, stack, context) {
+    const { diagnostics, missing } = context;
+
+    if (!triggerMap || typeof triggerMap !== 'object' || Array.isArray(triggerMap)) {
+      diagnostics.push({ severity: 'error', code: 'invalid-structure', message: 'Trigger map must be an object', path });
+      return;
+    }
+
+    // Upgrade older shapes before reading composition keys
+    const migrated = TriggerMapMigrator.migrate(triggerMap, path);
+    diagnostics.push(...migrated.diagnostics);
+    triggerMap = migrated.map;
+
+    const where = stack.length > 0 ? ` in "${stack[stack.length - 1]}"` : '';
+
+    ['$extends', '$include'].forEach(key => {
+      const value = triggerMap[key];
+      if (value === undefined) {
+        return;
+      }
+
+      const refs = Array.isArray(value) ? value : [value];
+      refs.forEach((ref, i) => {
+        const refPath = this.joinPath(path, Array.isArray(value) ? `${key}[${i}]` : key);
+
+        if (typeof ref !== 'string' || ref.length === 0) {
+          diagnostics.push({ severity: 'error', code: 'invalid-include', message: `${key} entries must be map names or URLs${where}`, path: refPath });
+          return;
+        }
+
+        if (stack.includes(ref)) {
+          diagnostics.push({ severity: 'error', code: 'include-cycle', message: `Trigger maps include each other: ${[...stack, ref].join(' -> ')}`, path: refPath });
+          return;
+        }
+
+        if (context.seen.has(ref)) {
+          return;
+        }
+
+        const target = this.lookup(ref);
+        if (target) {
+          context.seen.add(ref);
+          this.flatten(target, refPath, [...stack, ref], context);
+        } else if (this.failed.has(ref)) {
+          diagnostics.push({ severity: 'error', code: 'include-failed', message: `Could not load "${ref}"${where}: ${this.failed.get(ref)}`, path: refPath });
+        } else if (this.isUrl(ref)) {
+          if (!missing.includes(ref)) {
+            missing.push(ref);
+          }
+        } else {
+          diagnostics.push({ severity: 'error', code: 'unknown-include', message: `No trigger map registered as "${ref}"${where} (use TrustQuery.registerTriggerMap)`, path: refPath });
+        }
+      });
+    });
+
+    if (triggerMap.$disable !== undefined && (!Array.isArray(triggerMap.$disable) || triggerMap.$disable.some(id => typeof id !== 'string'))) {
+      diagnostics.push({ severity: 'error', code: 'invalid-include', message: `"$disable" must be an array of trigger ids${where}`, path: this.joinPath(path, '$disable') });
+    }
+
+    context.layers.push(triggerMap);
+  }
+
+  /**
+   * Merge flattened layers
+   * @param {Array<Object>} layers - Layers, lowest precedence first
+   * @returns {Object} Map with a "tql-triggers" wrapper and no composition keys
+   */
+  merge(layers) {
+    const entries = []; // { state, trigger } in order of definition
+    const uses = [];    // "$use" entries, one per pack
+    const disabled = new Set();
+    const meta = {};
+    const innerMeta = {};
+
+    layers.forEach(layer => {
+      const hasWrapper = layer['tql-triggers'] !== undefined;
+      const triggers = hasWrapper ? layer['tql-triggers'] : layer;
+
+      // Disable inherited triggers before adding this layer's own
+      const disable = Array.isArray(layer.$disable) ? layer.$disable.filter(id => typeof id === 'string') : [];
+      disable.forEach(id => disabled.add(id));
+      for (let i = entries.length - 1; i >= 0; i--) {
+        if (disable.includes(entries[i].trigger.id)) {
+          entries.splice(i, 1);
+        }
+      }
+
+      Object.keys(layer).forEach(key => {
+        if (key === '$states' && meta.$states && layer.$states && typeof layer.$states === 'object') {
+          // State definitions merge per state
+          meta.$states = { ...meta.$states, ...layer.$states };
+        } else if (key === '$tests' && Array.isArray(meta.$tests) && Array.isArray(layer.$tests)) {
+          // Every layer's test cases run against the composed map
+          meta.$tests = [...meta.$tests, ...layer.$tests];
+        } else if (key.startsWith('$') && !['$extends', '$include', '$disable', '$use'].includes(key)) {
+          meta[key] = layer[key];
+        }
+      });
+
+      (Array.isArray(layer.$use) ? layer.$use : []).forEach(use => {
+        const pack = typeof use === 'string' ? use : use?.pack;
+        const existing = uses.findIndex(entry => (typeof entry === 'string' ? entry : entry?.pack) === pack);
+        if (existing === -1) {
+          uses.push(use);
+        } else {
+          uses[existing] = use;
+        }
+      });
+
+      if (!triggers || typeof triggers !== 'object' || Array.isArray(triggers)) {
+        return;
+      }
+
+      Object.keys(triggers).forEach(state => {
+        if (state.startsWith('$')) {
+          if (hasWrapper) {
+            innerMeta[state] = triggers[state];
+          }
+          return;
+        }
+        if (!Array.isArray(triggers[state])) {
+          return;
+        }
+
+        triggers[state].forEach(trigger => {
+          const id = trigger && typeof trigger.id === 'string' ? trigger.id : null;
+          const existing = id ? entries.findIndex(entry => entry.trigger.id === id) : -1;
+
+          // Overrides keep the inherited trigger's place
+          if (existing === -1) {
+            entries.push({ state, trigger });
+          } else {
+            entries[existing] = { state, trigger };
+          }
+        });
+      });
+    });
+
+    const triggers = { ...innerMeta };
+    entries.forEach(({ state, trigger }) => {
+      if (!triggers[state]) {
+        triggers[state] = [];
+      }
+      triggers[state].push(trigger);
+    });
+
+    const map = { ...meta, 'tql-triggers': triggers };
+    if (uses.length > 0) {
+      // "$disable" also reaches preset detectors, which are expanded later
+      map.$use = uses.map(use => {
+        const entry = typeof use === 'string' ? { pack: use } : { ...use };
+        const pack = TriggerPresets.get(entry.pack);
+        const ids = pack ? pack.triggers.map(trigger => trigger.id).filter(id => disabled.has(id)) : [];
+        if (ids.length > 0) {
+          entry.disable = [...(Array.isArray(entry.disable) ? entry.disable : []), ...ids];
+        }
+        return entry;
+      });
+    }
+
+    return map;
+  }
+
+  /**
+   * Find a referenced map (registered name first, then fetched URL)
+   * @param {string} ref - Name or URL
+   * @returns {Object|null} Map or null
+   */
+  lookup(ref) {
+    return TriggerMapComposer.maps.get(ref) || this.fetched.get(ref) || null;
+  }
+
+  /**
+   * Check whether a reference is a URL (or path) rather than a registered name
+   * @param {string} ref - Reference
+   * @returns {boolean} True for URLs, absolute/relative paths and .json files
+   */
+  isUrl(ref) {
+    return /^(?:[a-z][a-z0-9+.-]*:|\.{0,2}\/)/i.test(ref) || ref.endsWith('.json');
+  }
+
+  /**
+   * Join path segments
+   * @param {string} root - Parent path
+   * @param {string} key - Child key
+   * @returns {string} Joined path
+   */
+  joinPath(root, key) {
+    return root ? `${root}.${key}` : key;
+  }
+}
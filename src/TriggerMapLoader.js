@@ -0,0 +1,140 @@
+// TriggerMapLoader - Fetches trigger maps from a static URL or a host-provided API
+// Single responsibility: resolve the configured source into a trigger map object
+
+export default class TriggerMapLoader {
+  /**
+   * Create trigger map loader
+   * @param {Object} options - Configuration
+   * @param {string} options.source - 'url', 'inline' or 'api'
+   * @param {string} options.url - Trigger map URL (source: 'url')
+   * @param {Function|Object} options.api - Async provider function or endpoint descriptor (source: 'api')
+   */
+  constructor(options = {}) {
+    this.options = {
+      source: options.source || null,
+      url: options.url || null,
+      api: options.api || null,
+      debug: options.debug || false,
+      ...options
+    };
+
+    if (this.options.debug) {
+      console.log('[TriggerMapLoader] Initialized with source:', this.options.source || 'url');
+    }
+  }
+
+  /**
+   * Load trigger map from the configured source
+   * @returns {Promise<Object>} Trigger map
+   */
+  async load() {
+    if (this.options.source === 'api') {
+      return this.loadFromApi(this.options.api);
+    }
+
+    // Default to static file if no URL provided
+    return this.loadFromUrl(this.options.url || '/trustquery/tql-triggers.json');
+  }
+
+  /**
+   * Load trigger map from a static URL
+   * @param {string} url - Trigger map URL
+   * @returns {Promise<Object>} Trigger map
+   */
+  async loadFromUrl(url) {
+    if (this.options.debug) {
+      console.log('[TriggerMapLoader] Loading trigger map from:', url);
+    }
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Load trigger map from an API provider
+   * The provider is either an async function returning the map, or an endpoint
+   * descriptor: { url, method, headers, params, body }
+   * @param {Function|Object} api - Provider function or endpoint descriptor
+   * @returns {Promise<Object>} Trigger map
+   */
+  async loadFromApi(api) {
+    if (!api) {
+      throw new Error('triggerMap.source is "api" but no triggerMap.api provider was given');
+    }
+
+    let data;
+
+    if (typeof api === 'function') {
+      if (this.options.debug) {
+        console.log('[TriggerMapLoader] Loading trigger map from provider function');
+      }
+      data = await api();
+    } else if (typeof api === 'object' && api.url) {
+      const method = (api.method || 'GET').toUpperCase();
+      const url = this.buildUrl(api.url, api.params);
+      const init = {
+        method: method,
+        headers: { ...(api.headers || {}) }
+      };
+
+      if (api.body !== undefined && method !== 'GET' && method !== 'HEAD') {
+        if (typeof api.body === 'string') {
+          init.body = api.body;
+        } else {
+          init.body = JSON.stringify(api.body);
+          if (!Object.keys(init.headers).some(key => key.toLowerCase() === 'content-type')) {
+            init.headers['Content-Type'] = 'application/json';
+          }
+        }
+      }
+
+      if (this.options.debug) {
+        console.log('[TriggerMapLoader] Loading trigger map from API:', method, url);
+      }
+
+      const response = await fetch(url, init);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      data = await response.json();
+    } else {
+      throw new Error('triggerMap.api must be a function or an object with a url');
+    }
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('Trigger map provider did not return an object');
+    }
+
+    return data;
+  }
+
+  /**
+   * Append query params to a URL
+   * @param {string} url - Base URL
+   * @param {Object} params - Query params (values are stringified, null/undefined skipped)
+   * @returns {string} URL with query string
+   */
+  buildUrl(url, params) {
+    if (!params || Object.keys(params).length === 0) {
+      return url;
+    }
+
+    const query = Object.entries(params)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+      .join('&');
+
+    if (!query) {
+      return url;
+    }
+
+    return url + (url.includes('?') ? '&' : '?') + query;
+  }
+}
@@ -0,0 +1,199 @@
+// TriggerMapMigrator - Upgrades older trigger map shapes to the current "$version"
+// Pure logic (no DOM): run on every layer by TriggerMapComposer, so included and
+// extended maps are upgraded too. Each migration step lists what it changed.
+
+export default class TriggerMapMigrator {
+  // Version written by this library
+  static CURRENT_VERSION = 2;
+
+  // Message state (and category) for each command type of the version 1 "commands" map
+  static LEGACY_COMMAND_TYPES = {
+    'not-allowed': 'error',
+    'show-warning': 'warning',
+    'user-select-oneOf-and-warn': 'warning',
+    'user-select-oneOf': 'info',
+    'api-json-table': 'info',
+    'api-md-table': 'info',
+    'display-menu': 'info',
+    'display-menu-with-uri': 'info'
+  };
+
+  // Migration steps, oldest first: migrate(map) => { map, changes }
+  static MIGRATIONS = [
+    {
+      from: 1,
+      to: 2,
+      migrate: map => TriggerMapMigrator.migrateCommands(map)
+    }
+  ];
+
+  /**
+   * Detect the version of a map
+   * Unversioned maps with a "commands" object and no "tql-triggers" are version 1;
+   * anything else unversioned is taken to be current.
+   * @param {Object} triggerMap - Trigger map
+   * @returns {*} Declared "$version", or the detected one
+   */
+  static detectVersion(triggerMap) {
+    if (triggerMap.$version !== undefined) {
+      return triggerMap.$version;
+    }
+
+    const isCommandMap = triggerMap['tql-triggers'] === undefined &&
+      !!triggerMap.commands && typeof triggerMap.commands === 'object' && !Array.isArray(triggerMap.commands);
+
+    return isCommandMap ? 1 : TriggerMapMigrator.CURRENT_VERSION;
+  }
+
+  /**
+   * Check whether a map needs upgrading
+   * @param {Object} triggerMap - Trigger map
+   * @returns {boolean} True if older than the current version
+   */
+  static needsMigration(triggerMap) {
+    if (!triggerMap || typeof triggerMap !== 'object' || Array.isArray(triggerMap)) {
+      return false;
+    }
+    const version = TriggerMapMigrator.detectVersion(triggerMap);
+    return Number.isInteger(version) && version >= 1 && version < TriggerMapMigrator.CURRENT_VERSION;
+  }
+
+  /**
+   * Upgrade a map to the current version
+   * The host's map is never modified. Upgraded maps get "$version" set and a
+   * "migrated" warning listing every change.
+   * @param {Object} triggerMap - Trigger map
+   * @param {string} path - Where the map was referenced (for diagnostics)
+   * @returns {Object} { map, migrated: Array<string>, diagnostics: Array<{severity, code, message, path}> }
+   */
+  static migrate(triggerMap, path = '') {
+    const diagnostics = [];
+    const migrated = [];
+
+    if (!triggerMap || typeof triggerMap !== 'object' || Array.isArray(triggerMap)) {
+      return { map: triggerMap, migrated, diagnostics };
+    }
+
+    const current = TriggerMapMigrator.CURRENT_VERSION;
+    const versionPath = path ? `${path}.$version` : '$version';
+    let version = TriggerMapMigrator.detectVersion(triggerMap);
+
+    if (!Number.isInteger(version) || version < 1) {
+      diagnostics.push({ severity: 'error', code: 'invalid-version', message: `"$version" must be a whole number from 1 to ${current}`, path: versionPath });
+      return { map: triggerMap, migrated, diagnostics };
+    }
+
+    if (version > current) {
+      diagnostics.push({ severity: 'error', code: 'unsupported-version', message: `Trigger map is version ${version}, but this version of TrustQuery only reads up to ${current}`, path: versionPath });
+      return { map: triggerMap, migrated, diagnostics };
+    }
+
+    if (version === current) {
+      return { map: triggerMap, migrated, diagnostics };
+    }
+
+    const from = version;
+    let map = triggerMap;
+
+    TriggerMapMigrator.MIGRATIONS.forEach(step => {
+      if (step.from !== version) {
+        return;
+      }
+      const result = step.migrate(map);
+      map = result.map;
+      migrated.push(...result.changes);
+      version = step.to;
+    });
+
+    map = { ...map, $version: version };
+
+    diagnostics.push({
+      severity: 'warning',
+      code: 'migrated',
+      message: `Trigger map upgraded from version ${from} to ${version}: ${migrated.length > 0 ? migrated.join('; ') : 'no changes'}. Save the upgraded map (TrustQuery.migrateTriggerMap) to stop this warning`,
+      path
+    });
+
+    return { map, migrated, diagnostics };
+  }
+
+  /**
+   * Version 1 -> 2: turn the "commands" map into "tql-triggers"
+   * Field names follow what the version 1 readers used: "commandType", "commandPath",
+   * an "intent" ({ description, handler }), and "content"/"bubbleContent" or
+   * "options"/"dropdownOptions" on the command itself. Each command becomes a trigger
+   * with its path as the id, filed under the message state of its command type. The
+   * type is kept as "commandType" so the matching CommandHandlers handler still applies,
+   * and the first path segment ("pii" in "pii/email") becomes the category. Without
+   * "match" or "regex" the last path segment is the word to match.
+   * @param {Object} triggerMap - Version 1 map
+   * @returns {Object} { map, changes }
+   */
+  static migrateCommands(triggerMap) {
+    const { commands, ...rest } = triggerMap;
+    const triggers = {};
+    const changes = [];
+
+    Object.entries(commands || {}).forEach(([key, command]) => {
+      if (!command || typeof command !== 'object' || Array.isArray(command)) {
+        changes.push(`dropped commands["${key}"] (not an object)`);
+        return;
+      }
+
+      // "intentPath" only pointed at the intent, which the command carries itself
+      const { commandType, commandPath, intentPath, match, regex, description, intent: legacyIntent, handler = {}, ...fields } = command;
+      const intent = legacyIntent && typeof legacyIntent === 'object' ? legacyIntent : {};
+      const path = typeof commandPath === 'string' && commandPath ? commandPath : key;
+      const legacyType = typeof commandType === 'string' && commandType ? commandType : 'show-warning';
+      const known = Object.prototype.hasOwnProperty.call(TriggerMapMigrator.LEGACY_COMMAND_TYPES, legacyType);
+      const state = known ? TriggerMapMigrator.LEGACY_COMMAND_TYPES[legacyType] : 'info';
+      // Handler fields sat on the command, in its intent's handler, or in a "handler" object
+      const source = { ...fields, ...(intent.handler || {}), ...handler };
+      const segments = path.split('/');
+
+      const trigger = {
+        id: path,
+        type: Array.isArray(regex) ? 'regex' : 'match',
+        commandType: legacyType
+      };
+
+      if (segments.length > 1) {
+        trigger.category = segments[0];
+      }
+
+      if (Array.isArray(regex)) {
+        trigger.regex = regex;
+      } else {
+        trigger.match = Array.isArray(match) ? match : [typeof match === 'string' ? match : segments[segments.length - 1]];
+      }
+
+      const text = description || intent.description;
+      if (text) {
+        trigger.description = text;
+      }
+
+      const migratedHandler = {};
+      const message = source.message || source['message-content'] || source.content || source.bubbleContent;
+      if (message) {
+        migratedHandler.message = message;
+      }
+      const options = source.options || source.dropdownOptions;
+      if (Array.isArray(options)) {
+        migratedHandler.options = options;
+      }
+      if (source['block-submit'] !== undefined) {
+        migratedHandler['block-submit'] = source['block-submit'];
+      }
+      trigger.handler = migratedHandler;
+
+      if (!triggers[state]) {
+        triggers[state] = [];
+      }
+      triggers[state].push(trigger);
+
+      changes.push(`commands["${key}"] (${legacyType}) -> tql-triggers.${state}${known ? '' : ' (unknown command type)'}`);
+    });
+
+    return { map: { ...rest, 'tql-triggers': triggers }, changes };
+  }
+}
@@ -0,0 +1,121 @@
+// TriggerMapTester - Runs the "$tests" cases embedded in a trigger map
+// Pure logic (no DOM). Each case is a sample text with the triggers it must flag
+// ("expect") and must not flag ("expectNone"), so a hand-edited pattern that stops
+// matching fails here instead of in production. Cases are checked with TrustQueryCore.
+
+export default class TriggerMapTester {
+  /**
+   * Get the test cases of a map
+   * @param {Object} triggerMap - Trigger map (composed: "$tests" of every layer)
+   * @returns {Array<Object>} Cases as written ({ name, text, expect, expectNone, blocked })
+   */
+  static getCases(triggerMap) {
+    return triggerMap && Array.isArray(triggerMap.$tests)
+      ? triggerMap.$tests.filter(testCase => testCase && typeof testCase === 'object' && typeof testCase.text === 'string')
+      : [];
+  }
+
+  /**
+   * Check whether a match satisfies an expectation
+   * "trigger" names a trigger id or a category; "text" must equal the matched text.
+   * @param {Object} match - Match from the scanner
+   * @param {Object} expectation - { trigger, text }
+   * @returns {boolean} True if it matches
+   */
+  static satisfies(match, expectation) {
+    const command = match.command || {};
+    const triggerOk = expectation.trigger === undefined ||
+      command.id === expectation.trigger || command.category === expectation.trigger;
+    const textOk = expectation.text === undefined || match.text === expectation.text;
+    return triggerOk && textOk;
+  }
+
+  /**
+   * Run every case
+   * @param {TrustQueryCore} core - Core with the map loaded
+   * @param {Array<Object>} cases - Cases (see getCases)
+   * @returns {Promise<Object>} { passed, total, failed, cases: [{ name, text, passed, failures }] }
+   */
+  async run(core, cases) {
+    const results = [];
+
+    for (let index = 0; index < cases.length; index++) {
+      results.push(await this.runCase(core, cases[index], index));
+    }
+
+    const failed = results.filter(result => !result.passed).length;
+    return { passed: failed === 0, total: results.length, failed, cases: results };
+  }
+
+  /**
+   * Run one case
+   * Allowlisted matches are not flagged, so they neither satisfy "expect" nor fail "expectNone".
+   * @param {TrustQueryCore} core - Core with the map loaded
+   * @param {Object} testCase - { name, text, expect, expectNone, blocked }
+   * @param {number} index - Position in "$tests"
+   * @returns {Promise<Object>} { name, text, passed, failures: [{ kind, trigger, text, message }] }
+   */
+  async runCase(core, testCase, index) {
+    const { blocked, matches } = await core.checkSettled(testCase.text);
+    const flagged = matches.filter(match => !match.allowed);
+    const failures = [];
+
+    (Array.isArray(testCase.expect) ? testCase.expect : []).forEach(expectation => {
+      if (!flagged.some(match => TriggerMapTester.satisfies(match, expectation))) {
+        failures.push({
+          kind: 'missing',
+          trigger: expectation.trigger,
+          text: expectation.text,
+          message: `Expected ${this.describe(expectation)} to match; found ${this.describeFound(flagged)}`
+        });
+      }
+    });
+
+    (Array.isArray(testCase.expectNone) ? testCase.expectNone : []).forEach(expectation => {
+      const match = flagged.find(candidate => TriggerMapTester.satisfies(candidate, expectation));
+      if (match) {
+        failures.push({
+          kind: 'unexpected',
+          trigger: expectation.trigger,
+          text: expectation.text,
+          message: `Expected ${this.describe(expectation)} not to match, but ${match.command?.id} matched "${match.text}"`
+        });
+      }
+    });
+
+    if (typeof testCase.blocked === 'boolean' && testCase.blocked !== blocked) {
+      failures.push({
+        kind: 'blocked',
+        message: testCase.blocked ? 'Expected the text to block submit' : 'Expected the text not to block submit'
+      });
+    }
+
+    return {
+      name: typeof testCase.name === 'string' && testCase.name ? testCase.name : `$tests[${index}]`,
+      text: testCase.text,
+      passed: failures.length === 0,
+      failures
+    };
+  }
+
+  /**
+   * Describe an expectation for messages
+   * @param {Object} expectation - { trigger, text }
+   * @returns {string} Description
+   */
+  describe(expectation) {
+    const trigger = expectation.trigger !== undefined ? `"${expectation.trigger}"` : 'any trigger';
+    return expectation.text !== undefined ? `${trigger} on "${expectation.text}"` : trigger;
+  }
+
+  /**
+   * Describe what did match, for "missing" messages
+   * @param {Array} matches - Flagged matches
+   * @returns {string} Description
+   */
+  describeFound(matches) {
+    return matches.length > 0
+      ? matches.map(match => `${match.command?.id} on "${match.text}"`).join(', ')
+      : 'no matches';
+  }
+}
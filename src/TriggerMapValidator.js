@@ -0,0 +1,718 @@
+// TriggerMapValidator - Checks trigger maps and reports structured diagnostics
+// Pure logic (no DOM): used on load and exposed as TrustQuery.validateTriggerMap()
+
+import CommandScanner, { ALLOWED_FLAGS } from './CommandScanner.js';
+import TriggerPresets from './TriggerPresets.js';
+import MessageStateRegistry from './MessageStateRegistry.js';
+import RegexSafety from './RegexSafety.js';
+
+// Trigger types understood by CommandScanner (and AttachmentManager for CSV columns)
+export const KNOWN_TRIGGER_TYPES = ['match', 'regex', 'fuzzy', 'function', 'entropy', 'csv-match-column'];
+
+// Handler keys read by the renderer, bubbles, dropdowns and validation state
+export const KNOWN_HANDLER_KEYS = [
+  'highlight-concept',
+  'block-submit',
+  'message-state',
+  'message',
+  'message-content',
+  'options',
+  'filter',
+  'redact',
+  'resolve-unblocks'
+];
+
+// Keys of a trigger's "context" conditions
+export const KNOWN_CONTEXT_KEYS = ['before', 'notBefore', 'after', 'notAfter', 'near', 'notNear', 'requiresCategory'];
+
+export default class TriggerMapValidator {
+  /**
+   * Create validator
+   * @param {Object} options - Configuration
+   * @param {boolean} options.safeRegex - Patterns outside the safe-regex subset are errors (and skipped) instead of warnings
+   */
+  constructor(options = {}) {
+    this.options = {
+      safeRegex: options.safeRegex || false,
+      ...options
+    };
+  }
+
+  /**
+   * Validate a trigger map
+   * @param {Object} triggerMap - Trigger map (with or without the "tql-triggers" wrapper)
+   * @returns {Object} { valid: boolean, diagnostics: Array<{severity, code, message, path}> }
+   */
+  validate(triggerMap) {
+    const diagnostics = [];
+    const report = (severity, code, message, path) => {
+      diagnostics.push({ severity, code, message, path });
+    };
+
+    if (!triggerMap || typeof triggerMap !== 'object' || Array.isArray(triggerMap)) {
+      report('error', 'invalid-structure', 'Trigger map must be an object', '');
+      return this.result(diagnostics);
+    }
+
+    const hasWrapper = triggerMap['tql-triggers'] !== undefined;
+    const triggers = hasWrapper ? triggerMap['tql-triggers'] : triggerMap;
+    const root = hasWrapper ? 'tql-triggers' : '';
+
+    if (!triggers || typeof triggers !== 'object' || Array.isArray(triggers)) {
+      report('error', 'invalid-structure', '"tql-triggers" must be an object keyed by message state', root);
+      return this.result(diagnostics);
+    }
+
+    this.validateUses(triggerMap, report);
+    this.validateStates(triggerMap, report);
+    this.validateTests(triggerMap, triggers, report);
+
+    const messageStates = new MessageStateRegistry(triggerMap.$states);
+
+    // match string (lowercased) -> first path it was seen at, for duplicate detection
+    const seenMatches = new Map();
+
+    Object.keys(triggers).forEach(messageState => {
+      // Skip metadata fields
+      if (messageState.startsWith('$')) {
+        return;
+      }
+
+      const statePath = this.joinPath(root, messageState);
+      const triggerList = triggers[messageState];
+
+      if (!Array.isArray(triggerList)) {
+        report('error', 'invalid-state', `Message state "${messageState}" must be an array of triggers`, statePath);
+        return;
+      }
+
+      if (!messageStates.has(messageState)) {
+        report('warning', 'undeclared-state', `Message state "${messageState}" is not built in (error, warning, info) or declared in "$states"`, statePath);
+      }
+
+      triggerList.forEach((trigger, index) => {
+        const triggerPath = `${statePath}[${index}]`;
+
+        if (!trigger || typeof trigger !== 'object' || Array.isArray(trigger)) {
+          report('error', 'invalid-trigger', 'Trigger must be an object', triggerPath);
+          return;
+        }
+
+        this.validateTrigger(trigger, triggerPath, messageState, seenMatches, report);
+      });
+    });
+
+    return this.result(diagnostics);
+  }
+
+  /**
+   * Validate "$use" preset entries
+   * @param {Object} triggerMap - Trigger map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateUses(triggerMap, report) {
+    if (triggerMap.$use === undefined) {
+      return;
+    }
+
+    if (!Array.isArray(triggerMap.$use)) {
+      report('error', 'invalid-structure', '"$use" must be an array of preset names', '$use');
+      return;
+    }
+
+    TriggerPresets.getUses(triggerMap).forEach((use, i) => {
+      const path = `$use[${i}]`;
+      const pack = TriggerPresets.get(use.pack);
+
+      if (!pack) {
+        report('error', 'unknown-preset', `Unknown preset pack "${use.pack}" (available: ${Array.from(TriggerPresets.packs.keys()).join(', ')})`, path);
+        return;
+      }
+
+      const ids = pack.triggers.map(trigger => trigger.id);
+      use.disable.forEach((id, j) => {
+        if (!ids.includes(id)) {
+          report('warning', 'unknown-preset-id', `Preset "${use.pack}" has no detector "${id}"`, `${path}.disable[${j}]`);
+        }
+      });
+
+      Object.entries(use.severity).forEach(([id, state]) => {
+        if (!ids.includes(id)) {
+          report('warning', 'unknown-preset-id', `Preset "${use.pack}" has no detector "${id}"`, `${path}.severity.${id}`);
+        } else if (typeof state !== 'string' || state.startsWith('$')) {
+          report('error', 'invalid-option', `Severity of "${id}" must be a message state such as "warning"`, `${path}.severity.${id}`);
+        }
+      });
+
+      Object.entries(use.except).forEach(([id, except]) => {
+        if (!ids.includes(id)) {
+          report('warning', 'unknown-preset-id', `Preset "${use.pack}" has no detector "${id}"`, `${path}.except.${id}`);
+        } else {
+          this.validateExcept(except, `${path}.except.${id}`, report);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validate "$states" declarations
+   * @param {Object} triggerMap - Trigger map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateStates(triggerMap, report) {
+    const states = triggerMap.$states;
+    if (states === undefined) {
+      return;
+    }
+
+    if (!states || typeof states !== 'object' || Array.isArray(states)) {
+      report('error', 'invalid-state', '"$states" must be an object keyed by state name', '$states');
+      return;
+    }
+
+    Object.entries(states).forEach(([name, definition]) => {
+      const path = `$states.${name}`;
+
+      if (name.startsWith('$')) {
+        report('error', 'invalid-state', 'State names cannot start with "$"', path);
+        return;
+      }
+      if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        report('error', 'invalid-state', 'State definition must be an object', path);
+        return;
+      }
+
+      Object.keys(definition).forEach(key => {
+        if (!MessageStateRegistry.KEYS.includes(key)) {
+          report('warning', 'unknown-state-key', `Unknown state key "${key}" (expected ${MessageStateRegistry.KEYS.join(', ')})`, `${path}.${key}`);
+        } else if (key === 'blockSubmit' && typeof definition[key] !== 'boolean') {
+          report('error', 'invalid-state', '"blockSubmit" must be true or false', `${path}.${key}`);
+        } else if (key === 'severity' && !Number.isFinite(definition[key])) {
+          report('error', 'invalid-state', '"severity" must be a number (error 3, warning 2, info 1)', `${path}.${key}`);
+        } else if (key !== 'blockSubmit' && key !== 'severity' && typeof definition[key] !== 'string') {
+          report('error', 'invalid-state', `"${key}" must be a string`, `${path}.${key}`);
+        } else if (MessageStateRegistry.checkValue(key, definition[key]) !== null) {
+          report('error', 'invalid-state', `${MessageStateRegistry.checkValue(key, definition[key])}; the value is ignored`, `${path}.${key}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validate "$tests" cases
+   * Expectations must name a trigger id or category the map defines (its own or from "$use").
+   * @param {Object} triggerMap - Trigger map
+   * @param {Object} triggers - Triggers keyed by message state
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateTests(triggerMap, triggers, report) {
+    const tests = triggerMap.$tests;
+    if (tests === undefined) {
+      return;
+    }
+
+    if (!Array.isArray(tests)) {
+      report('error', 'invalid-test', '"$tests" must be an array of test cases', '$tests');
+      return;
+    }
+
+    // Names an expectation may use
+    const names = new Set();
+    Object.keys(triggers).forEach(messageState => {
+      if (messageState.startsWith('$') || !Array.isArray(triggers[messageState])) {
+        return;
+      }
+      triggers[messageState].forEach((trigger, index) => {
+        const category = trigger?.category || 'general';
+        names.add(typeof trigger?.id === 'string' && trigger.id ? trigger.id : `${messageState}-${category}-${index}`);
+        names.add(category);
+      });
+    });
+    TriggerPresets.getUses(triggerMap).forEach(use => {
+      const pack = TriggerPresets.get(use.pack);
+      (pack ? pack.triggers : []).forEach(trigger => {
+        names.add(trigger.id);
+        names.add(trigger.category || 'general');
+      });
+    });
+
+    tests.forEach((testCase, i) => {
+      const path = `$tests[${i}]`;
+
+      if (!testCase || typeof testCase !== 'object' || Array.isArray(testCase)) {
+        report('error', 'invalid-test', 'Test case must be an object', path);
+        return;
+      }
+      if (typeof testCase.text !== 'string') {
+        report('error', 'invalid-test', 'Test case needs a "text" string', `${path}.text`);
+      }
+      if (testCase.blocked !== undefined && typeof testCase.blocked !== 'boolean') {
+        report('error', 'invalid-test', '"blocked" must be true or false', `${path}.blocked`);
+      }
+
+      ['expect', 'expectNone'].forEach(key => {
+        const expectations = testCase[key];
+        if (expectations === undefined) {
+          return;
+        }
+        if (!Array.isArray(expectations)) {
+          report('error', 'invalid-test', `"${key}" must be an array of { trigger, text }`, `${path}.${key}`);
+          return;
+        }
+
+        expectations.forEach((expectation, j) => {
+          const expectationPath = `${path}.${key}[${j}]`;
+          if (!expectation || typeof expectation !== 'object' || Array.isArray(expectation) ||
+              (expectation.trigger === undefined && expectation.text === undefined)) {
+            report('error', 'invalid-test', 'Expectation must be an object with "trigger" and/or "text"', expectationPath);
+            return;
+          }
+          if (expectation.text !== undefined && typeof expectation.text !== 'string') {
+            report('error', 'invalid-test', '"text" must be a string', `${expectationPath}.text`);
+          }
+          if (expectation.trigger !== undefined && typeof expectation.trigger !== 'string') {
+            report('error', 'invalid-test', '"trigger" must be a trigger id or category', `${expectationPath}.trigger`);
+          } else if (expectation.trigger !== undefined && !names.has(expectation.trigger)) {
+            report('warning', 'unknown-test-trigger', `No trigger with id or category "${expectation.trigger}"`, `${expectationPath}.trigger`);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Validate a single trigger
+   * @param {Object} trigger - Trigger definition
+   * @param {string} path - Path of the trigger in the map
+   * @param {string} messageState - Message state the trigger is listed under
+   * @param {Map} seenMatches - Match strings seen so far
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateTrigger(trigger, path, messageState, seenMatches, report) {
+    if (!KNOWN_TRIGGER_TYPES.includes(trigger.type)) {
+      report('error', 'unknown-type', `Unknown trigger type "${trigger.type}" (expected ${KNOWN_TRIGGER_TYPES.join(', ')})`, `${path}.type`);
+    }
+
+    this.validateMatchOptions(trigger, path, report);
+
+    if (trigger.type === 'function') {
+      if (typeof trigger.validator !== 'string' || trigger.validator.length === 0) {
+        report('error', 'missing-validator', 'Function trigger needs a "validator" name', `${path}.validator`);
+      } else if (!CommandScanner.matchers.has(trigger.validator)) {
+        report('warning', 'unknown-validator', `No matcher registered as "${trigger.validator}" (use TrustQuery.registerMatcher)`, `${path}.validator`);
+      }
+    }
+
+    // Regex triggers need patterns; function and entropy triggers may use them as a pre-filter
+    if (trigger.type === 'regex' || ((trigger.type === 'function' || trigger.type === 'entropy') && trigger.regex !== undefined)) {
+      const { flags } = CommandScanner.resolveMatchOptions(trigger);
+
+      if (!Array.isArray(trigger.regex) || trigger.regex.length === 0) {
+        report('error', 'missing-regex', `${trigger.type === 'regex' ? 'Regex trigger' : 'Pre-filter'} needs a non-empty "regex" array`, `${path}.regex`);
+      } else {
+        trigger.regex.forEach((pattern, i) => {
+          try {
+            new RegExp(pattern, flags);
+          } catch (e) {
+            report('error', 'invalid-regex', `Pattern does not compile: ${e.message}`, `${path}.regex[${i}]`);
+            return;
+          }
+          this.validateRegexSafety(pattern, flags, `${path}.regex[${i}]`, report);
+        });
+      }
+    }
+
+    if (trigger.scope !== undefined && trigger.scope !== 'line' && trigger.scope !== 'document') {
+      report('error', 'invalid-scope', `Unknown scope "${trigger.scope}" (expected line or document)`, `${path}.scope`);
+    } else if (trigger.scope === 'document' && trigger.type !== 'regex' && trigger.type !== 'function') {
+      report('warning', 'invalid-scope', 'Only regex and function triggers can use scope "document"', `${path}.scope`);
+    }
+
+    if (trigger.type === 'match' || trigger.type === 'csv-match-column') {
+      if (!Array.isArray(trigger.match) || trigger.match.length === 0) {
+        report('error', 'missing-match', 'Match trigger needs a non-empty "match" array', `${path}.match`);
+      } else {
+        trigger.match.forEach((matchStr, i) => {
+          const matchPath = `${path}.match[${i}]`;
+
+          if (typeof matchStr !== 'string' || matchStr.length === 0) {
+            report('error', 'invalid-match', 'Match entries must be non-empty strings', matchPath);
+            return;
+          }
+
+          const key = matchStr.toLowerCase();
+          const firstSeen = seenMatches.get(key);
+          if (firstSeen && firstSeen.messageState !== messageState) {
+            report('warning', 'duplicate-match', `"${matchStr}" is also matched by ${firstSeen.path}`, matchPath);
+          } else if (!firstSeen) {
+            seenMatches.set(key, { messageState, path: matchPath });
+          }
+        });
+      }
+    }
+
+    if (trigger.type === 'fuzzy') {
+      this.validateFuzzyTerms(trigger, path, report);
+    }
+
+    if (trigger.context !== undefined) {
+      this.validateContext(trigger.context, `${path}.context`, report);
+    }
+
+    if (trigger.except !== undefined) {
+      this.validateExcept(trigger.except, `${path}.except`, report);
+    }
+
+    this.validateHandler(trigger.handler, `${path}.handler`, report);
+    this.validateGroups(trigger, path, report);
+  }
+
+  /**
+   * Check {{groups.name}} references in a handler against the trigger's patterns
+   * A group counts as defined if any of the trigger's patterns has it.
+   * @param {Object} trigger - Trigger definition
+   * @param {string} path - Path of the trigger in the map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateGroups(trigger, path, report) {
+    const handler = trigger.handler;
+    if (!handler || typeof handler !== 'object' || Array.isArray(handler)) {
+      return;
+    }
+
+    // Templates that are resolved against the match
+    const templates = [[handler.message, `${path}.handler.message`]];
+    (Array.isArray(handler.options) ? handler.options : []).forEach((option, i) => {
+      if (!option || typeof option !== 'object') {
+        return;
+      }
+      const optionPath = `${path}.handler.options[${i}]`;
+      templates.push([option.label, `${optionPath}.label`]);
+      if (option['on-select'] && typeof option['on-select'] === 'object') {
+        templates.push([option['on-select'].display, `${optionPath}.on-select.display`]);
+        templates.push([option['on-select'].replace, `${optionPath}.on-select.replace`]);
+      }
+    });
+
+    const references = [];
+    templates.forEach(([text, where]) => {
+      if (typeof text === 'string') {
+        for (const reference of text.matchAll(/\{\{\s*groups\.([\w-]+)\s*\}\}/g)) {
+          references.push({ name: reference[1], where });
+        }
+      }
+    });
+
+    if (references.length === 0) {
+      return;
+    }
+
+    const defined = new Set();
+    if (trigger.type === 'regex' && Array.isArray(trigger.regex)) {
+      const { flags } = CommandScanner.resolveMatchOptions(trigger);
+      trigger.regex.forEach(pattern => {
+        try {
+          // An empty alternative makes any pattern match "", exposing its group count
+          const count = new RegExp(`${pattern}|`, flags).exec('').length - 1;
+          for (let i = 1; i <= count; i++) {
+            defined.add(String(i));
+          }
+          for (const group of pattern.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)) {
+            defined.add(group[1]);
+          }
+        } catch (e) {
+          // Reported as invalid-regex
+        }
+      });
+    }
+
+    references.forEach(({ name, where }) => {
+      if (!defined.has(name)) {
+        const message = trigger.type === 'regex'
+          ? `No pattern of this trigger has a capture group "${name}"`
+          : `Only regex triggers have capture groups ("${name}")`;
+        report('warning', 'unknown-group', message, where);
+      }
+    });
+  }
+
+  /**
+   * Report regex shapes that can backtrack catastrophically
+   * Warnings normally; in safe-regex mode the trigger is skipped, so they are errors.
+   * @param {string} pattern - Regex source (known to compile)
+   * @param {string} flags - Regex flags
+   * @param {string} path - Path of the pattern in the map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateRegexSafety(pattern, flags, path, report) {
+    const { safeRegex } = this.options;
+    RegexSafety.analyze(pattern, typeof flags === 'string' ? flags : '', { safe: safeRegex }).problems.forEach(problem => {
+      report(safeRegex ? 'error' : 'warning', 'unsafe-regex', safeRegex ? `${problem.message} (trigger skipped in safe-regex mode)` : problem.message, path);
+    });
+  }
+
+  /**
+   * Validate a trigger's "except" list
+   * @param {Array} except - Literals and { regex, flags } entries
+   * @param {string} path - Path of the list in the map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateExcept(except, path, report) {
+    if (!Array.isArray(except)) {
+      report('error', 'invalid-except', '"except" must be an array of strings or { "regex" } entries', path);
+      return;
+    }
+
+    except.forEach((entry, i) => {
+      const entryPath = `${path}[${i}]`;
+      if (typeof entry === 'string') {
+        if (entry.length === 0) {
+          report('error', 'invalid-except', 'Exceptions must be non-empty strings', entryPath);
+        }
+      } else if (entry && typeof entry.regex === 'string') {
+        try {
+          new RegExp(entry.regex, typeof entry.flags === 'string' ? entry.flags : '');
+          this.validateRegexSafety(entry.regex, entry.flags, `${entryPath}.regex`, report);
+        } catch (e) {
+          report('error', 'invalid-regex', `Pattern does not compile: ${e.message}`, `${entryPath}.regex`);
+        }
+      } else {
+        report('error', 'invalid-except', 'Exceptions must be strings or { "regex" } objects', entryPath);
+      }
+    });
+  }
+
+  /**
+   * Validate a trigger's context conditions
+   * @param {Object} context - Context conditions
+   * @param {string} path - Path of the conditions in the map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateContext(context, path, report) {
+    if (!context || typeof context !== 'object' || Array.isArray(context)) {
+      report('error', 'invalid-context', '"context" must be an object', path);
+      return;
+    }
+
+    Object.keys(context).forEach(key => {
+      if (!KNOWN_CONTEXT_KEYS.includes(key)) {
+        report('warning', 'unknown-context-key', `Unknown context condition "${key}" (expected ${KNOWN_CONTEXT_KEYS.join(', ')})`, `${path}.${key}`);
+      }
+    });
+
+    ['before', 'notBefore', 'after', 'notAfter'].forEach(key => {
+      if (context[key] === undefined) {
+        return;
+      }
+      if (!Array.isArray(context[key])) {
+        report('error', 'invalid-context', `"${key}" must be an array of words or { "regex" } entries`, `${path}.${key}`);
+        return;
+      }
+
+      context[key].forEach((entry, i) => {
+        const entryPath = `${path}.${key}[${i}]`;
+        if (typeof entry === 'string') {
+          if (entry.trim().length === 0) {
+            report('error', 'invalid-context', 'Context words must be non-empty', entryPath);
+          }
+        } else if (entry && typeof entry.regex === 'string') {
+          try {
+            new RegExp(entry.regex, typeof entry.flags === 'string' ? entry.flags : '');
+            this.validateRegexSafety(entry.regex, entry.flags, `${entryPath}.regex`, report);
+          } catch (e) {
+            report('error', 'invalid-regex', `Pattern does not compile: ${e.message}`, `${entryPath}.regex`);
+          }
+        } else {
+          report('error', 'invalid-context', 'Context entries must be words or { "regex" } objects', entryPath);
+        }
+      });
+    });
+
+    ['near', 'notNear'].forEach(key => {
+      const near = context[key];
+      if (near === undefined) {
+        return;
+      }
+      if (!near || typeof near !== 'object' || Array.isArray(near)) {
+        report('error', 'invalid-context', `"${key}" must be an object with "ids" and/or "words"`, `${path}.${key}`);
+        return;
+      }
+
+      ['ids', 'words'].forEach(listKey => {
+        if (near[listKey] !== undefined && (!Array.isArray(near[listKey]) || near[listKey].some(item => typeof item !== 'string' || item.trim().length === 0))) {
+          report('error', 'invalid-context', `"${listKey}" must be an array of non-empty strings`, `${path}.${key}.${listKey}`);
+        }
+      });
+
+      if (near.ids === undefined && near.words === undefined) {
+        report('warning', 'invalid-context', `"${key}" lists no "ids" or "words" and is ignored`, `${path}.${key}`);
+      }
+
+      if (near.within !== undefined && (!Number.isInteger(near.within) || near.within < 0)) {
+        report('error', 'invalid-context', '"within" must be a non-negative number of words', `${path}.${key}.within`);
+      }
+    });
+
+    if (context.requiresCategory !== undefined && (!Array.isArray(context.requiresCategory) || context.requiresCategory.some(item => typeof item !== 'string'))) {
+      report('error', 'invalid-context', '"requiresCategory" must be an array of category names', `${path}.requiresCategory`);
+    }
+  }
+
+  /**
+   * Validate fuzzy trigger terms
+   * @param {Object} trigger - Fuzzy trigger definition
+   * @param {string} path - Path of the trigger in the map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateFuzzyTerms(trigger, path, report) {
+    if (!Array.isArray(trigger.match) || trigger.match.length === 0) {
+      report('error', 'missing-match', 'Fuzzy trigger needs a non-empty "match" array', `${path}.match`);
+      return;
+    }
+
+    const { minTermLength } = CommandScanner.resolveMatchOptions(trigger);
+
+    trigger.match.forEach((entry, i) => {
+      const matchPath = `${path}.match[${i}]`;
+      const term = typeof entry === 'string' ? entry : entry?.term;
+
+      if (typeof term !== 'string' || term.trim().length === 0) {
+        report('error', 'invalid-match', 'Fuzzy entries must be non-empty strings or { "term", "maxDistance" } objects', matchPath);
+        return;
+      }
+
+      if (typeof entry === 'object' && entry.maxDistance !== undefined && (!Number.isInteger(entry.maxDistance) || entry.maxDistance < 0)) {
+        report('error', 'invalid-option', '"maxDistance" must be a non-negative integer', `${matchPath}.maxDistance`);
+      }
+
+      if (term.trim().length < minTermLength) {
+        report('warning', 'invalid-match', `"${term}" is shorter than minTermLength (${minTermLength}) and is never matched`, matchPath);
+      }
+    });
+  }
+
+  /**
+   * Validate flags, case/diacritic/word options, locale, length guards, priority and overlap
+   * @param {Object} trigger - Trigger definition
+   * @param {string} path - Path of the trigger in the map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateMatchOptions(trigger, path, report) {
+    if (trigger.flags !== undefined) {
+      if (typeof trigger.flags !== 'string') {
+        report('error', 'invalid-flags', '"flags" must be a string such as "iu"', `${path}.flags`);
+      } else {
+        const seen = new Set();
+        trigger.flags.split('').forEach(flag => {
+          if (!ALLOWED_FLAGS.includes(flag)) {
+            report('error', 'invalid-flags', `Unsupported regex flag "${flag}" (allowed: ${ALLOWED_FLAGS.join(', ')})`, `${path}.flags`);
+          } else if (seen.has(flag)) {
+            report('warning', 'invalid-flags', `Regex flag "${flag}" is repeated`, `${path}.flags`);
+          }
+          seen.add(flag);
+        });
+
+        if (trigger.type === 'match' && trigger.flags.replace('i', '').length > 0) {
+          report('warning', 'invalid-flags', 'Match triggers only use the "i" flag', `${path}.flags`);
+        }
+      }
+    }
+
+    ['caseSensitive', 'diacriticSensitive', 'wholeWord'].forEach(key => {
+      if (trigger[key] !== undefined && typeof trigger[key] !== 'boolean') {
+        report('error', 'invalid-option', `"${key}" must be true or false`, `${path}.${key}`);
+      }
+    });
+
+    if (trigger.minEntropy !== undefined && (!Number.isFinite(trigger.minEntropy) || trigger.minEntropy <= 0)) {
+      report('error', 'invalid-option', '"minEntropy" must be a positive number of bits per character', `${path}.minEntropy`);
+    }
+
+    if (trigger.priority !== undefined && !Number.isFinite(trigger.priority)) {
+      report('error', 'invalid-option', '"priority" must be a number', `${path}.priority`);
+    }
+
+    if (trigger.overlap !== undefined && !CommandScanner.OVERLAP_POLICIES.includes(trigger.overlap)) {
+      report('error', 'invalid-option', `Unknown overlap policy "${trigger.overlap}" (expected ${CommandScanner.OVERLAP_POLICIES.join(', ')})`, `${path}.overlap`);
+    }
+
+    if (trigger.wordBoundary !== undefined && !['unicode', 'segmenter'].includes(trigger.wordBoundary)) {
+      report('error', 'invalid-option', `Unknown wordBoundary "${trigger.wordBoundary}" (expected unicode or segmenter)`, `${path}.wordBoundary`);
+    }
+
+    if (trigger.locale !== undefined && (typeof trigger.locale !== 'string' || trigger.locale.length === 0)) {
+      report('error', 'invalid-option', '"locale" must be a BCP 47 language tag such as "ja"', `${path}.locale`);
+    }
+
+    ['minLength', 'maxLength', 'maxDistance', 'minTermLength'].forEach(key => {
+      if (trigger[key] !== undefined && (!Number.isInteger(trigger[key]) || trigger[key] < 0)) {
+        report('error', 'invalid-option', `"${key}" must be a non-negative integer`, `${path}.${key}`);
+      }
+    });
+
+    if (Number.isInteger(trigger.minLength) && Number.isInteger(trigger.maxLength) && trigger.minLength > trigger.maxLength) {
+      report('error', 'invalid-option', '"minLength" is greater than "maxLength"', `${path}.minLength`);
+    }
+  }
+
+  /**
+   * Validate a trigger handler
+   * @param {Object} handler - Handler definition
+   * @param {string} path - Path of the handler in the map
+   * @param {Function} report - Diagnostic reporter
+   */
+  validateHandler(handler, path, report) {
+    if (handler === undefined) {
+      return;
+    }
+
+    if (!handler || typeof handler !== 'object' || Array.isArray(handler)) {
+      report('error', 'invalid-handler', 'Handler must be an object', path);
+      return;
+    }
+
+    Object.keys(handler).forEach(key => {
+      if (!KNOWN_HANDLER_KEYS.includes(key)) {
+        report('warning', 'unknown-handler-key', `Unknown handler key "${key}"`, `${path}.${key}`);
+      }
+    });
+
+    if (handler.options !== undefined) {
+      if (!Array.isArray(handler.options)) {
+        report('error', 'invalid-options', 'Handler "options" must be an array', `${path}.options`);
+        return;
+      }
+
+      handler.options.forEach((option, i) => {
+        if (typeof option === 'string') {
+          return;
+        }
+        if (!option || typeof option !== 'object' || (!option.label && !option.value)) {
+          report('warning', 'option-missing-label', 'Option has no label', `${path}.options[${i}]`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Build validation result
+   * @param {Array} diagnostics - Collected diagnostics
+   * @returns {Object} { valid, diagnostics }
+   */
+  result(diagnostics) {
+    return {
+      valid: !diagnostics.some(d => d.severity === 'error'),
+      diagnostics
+    };
+  }
+
+  /**
+   * Join path segments
+   * @param {string} root - Parent path
+   * @param {string} key - Child key
+   * @returns {string} Joined path
+   */
+  joinPath(root, key) {
+    return root ? `${root}.${key}` : key;
+  }
+}
@@ -0,0 +1,153 @@
+// TriggerPresets - Named trigger packs that maps pull in with "$use"
+// Packs are plain data (triggers with stable ids, plus sample corpora) and may
+// bring matcher functions for their "function" triggers.
+
+import CommandScanner from './CommandScanner.js';
+import piiPack from './trigger-presets/pii.js';
+import secretsPack from './trigger-presets/secrets.js';
+
+export default class TriggerPresets {
+  // Registered packs (name -> pack)
+  static packs = new Map([piiPack, secretsPack].map(pack => [pack.name, pack]));
+
+  /**
+   * Register a preset pack
+   * @param {Object} pack - { name, description, triggers: [{ id, state, ...trigger, corpus }], matchers }
+   */
+  static register(pack) {
+    if (!pack || typeof pack.name !== 'string' || !Array.isArray(pack.triggers)) {
+      throw new TypeError('Preset pack needs a "name" and a "triggers" array');
+    }
+    TriggerPresets.packs.set(pack.name, pack);
+  }
+
+  /**
+   * Get a registered pack
+   * @param {string} name - Pack name
+   * @returns {Object|null} Pack or null
+   */
+  static get(name) {
+    return TriggerPresets.packs.get(name) || null;
+  }
+
+  /**
+   * Normalize "$use" entries
+   * @param {Object} triggerMap - Trigger map
+   * @returns {Array<{pack, disable, severity, except}>} Entries ("pii" becomes { pack: "pii" })
+   */
+  static getUses(triggerMap) {
+    const uses = triggerMap && Array.isArray(triggerMap.$use) ? triggerMap.$use : [];
+
+    return uses.map(use => {
+      const entry = typeof use === 'string' ? { pack: use } : (use || {});
+      return {
+        pack: entry.pack,
+        disable: Array.isArray(entry.disable) ? entry.disable : [],
+        severity: entry.severity && typeof entry.severity === 'object' ? entry.severity : {},
+        except: entry.except && typeof entry.except === 'object' ? entry.except : {}
+      };
+    });
+  }
+
+  /**
+   * Expand "$use" into plain triggers
+   * Pack triggers are appended to the map's own triggers under their state (or
+   * the state set in "severity"); error-state detectors block submit, other states
+   * follow their "blockSubmit" setting in "$states".
+   * "except" adds allowed texts to a detector (e.g. the company's own inboxes).
+   * Unknown packs are skipped (TriggerMapValidator reports them).
+   * @param {Object} triggerMap - Trigger map (with or without the "tql-triggers" wrapper)
+   * @returns {Object} Trigger map without "$use"
+   */
+  static expand(triggerMap) {
+    const uses = TriggerPresets.getUses(triggerMap);
+    if (uses.length === 0) {
+      return triggerMap;
+    }
+
+    const hasWrapper = triggerMap['tql-triggers'] !== undefined;
+    const { $use, ...rest } = triggerMap;
+    const source = hasWrapper ? rest['tql-triggers'] : rest;
+
+    // Copy state arrays so the host's map is never modified
+    const triggers = {};
+    Object.keys(source || {}).forEach(key => {
+      triggers[key] = Array.isArray(source[key]) ? [...source[key]] : source[key];
+    });
+
+    uses.forEach(use => {
+      const pack = TriggerPresets.get(use.pack);
+      if (!pack) {
+        return;
+      }
+
+      // Make the pack's matcher functions available to its function triggers
+      Object.entries(pack.matchers || {}).forEach(([name, fn]) => {
+        if (!CommandScanner.matchers.has(name)) {
+          CommandScanner.registerMatcher(name, fn);
+        }
+      });
+
+      pack.triggers.forEach(presetTrigger => {
+        if (use.disable.includes(presetTrigger.id)) {
+          return;
+        }
+
+        const { state, corpus, ...trigger } = presetTrigger;
+        const messageState = use.severity[presetTrigger.id] || state;
+        const except = Array.isArray(use.except[presetTrigger.id])
+          ? [...(trigger.except || []), ...use.except[presetTrigger.id]]
+          : trigger.except;
+
+        if (!Array.isArray(triggers[messageState])) {
+          triggers[messageState] = [];
+        }
+        triggers[messageState].push({
+          ...trigger,
+          ...(except ? { except } : {}),
+          handler: {
+            ...trigger.handler,
+            // Other states fall back to their own default ("blockSubmit" in "$states")
+            'block-submit': messageState === 'error' ? true : undefined
+          }
+        });
+      });
+    });
+
+    return hasWrapper ? { ...rest, 'tql-triggers': triggers } : triggers;
+  }
+
+  /**
+   * Check a pack against its own corpus
+   * Every positive must be flagged by its detector; no trap may be.
+   * @param {string} name - Pack name
+   * @returns {Object} { passed: boolean, failures: Array<{id, text, expected: 'match'|'no-match'}> }
+   */
+  static checkCorpus(name) {
+    const pack = TriggerPresets.get(name);
+    if (!pack) {
+      throw new Error(`Unknown preset pack "${name}"`);
+    }
+
+    const scanner = new CommandScanner();
+    scanner.setCommandMap(TriggerPresets.expand({ $use: [name], 'tql-triggers': {} }));
+
+    const failures = [];
+    const flags = (text, id) => scanner.scan(text).some(match => match.command.id === id);
+
+    pack.triggers.forEach(({ id, corpus = {} }) => {
+      (corpus.positives || []).forEach(text => {
+        if (!flags(text, id)) {
+          failures.push({ id, text, expected: 'match' });
+        }
+      });
+      (corpus.traps || []).forEach(text => {
+        if (flags(text, id)) {
+          failures.push({ id, text, expected: 'no-match' });
+        }
+      });
+    });
+
+    return { passed: failures.length === 0, failures };
+  }
+}
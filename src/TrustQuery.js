@@ -3,12 +3,21 @@
 
 import OverlayRenderer from './OverlayRenderer.js';
 import CommandScanner from './CommandScanner.js';
+import WorkerScanner from './WorkerScanner.js';
 import InteractionHandler from './InteractionHandler.js';
 import StyleManager from './StyleManager.js';
 import CommandHandlerRegistry from './CommandHandlers.js';
 import AutoGrow from './AutoGrow.js';
 import ValidationStateManager from './ValidationStateManager.js';
 import MobileKeyboardHandler from './MobileKeyboardHandler.js';
+import TriggerMapLoader from './TriggerMapLoader.js';
+import TemplateResolver from './TemplateResolver.js';
+import TriggerPresets from './TriggerPresets.js';
+import TriggerMapComposer from './TriggerMapComposer.js';
+import MessageStateRegistry from './MessageStateRegistry.js';
+import TriggerMapMigrator from './TriggerMapMigrator.js';
+import ResolutionManager from './ResolutionManager.js';
+import TrustQueryCore from './TrustQueryCore.js';
 
 // Import attachment managers for re-export
 import AttachmentManager from './AttachmentManager.js';
@@ -63,6 +72,63 @@ export default class TrustQuery {
     return TrustQuery.instances.get(textarea) || null;
   }
 
+  /**
+   * Validate a trigger map without creating an instance
+   * Maps are composed first ("$extends"/"$include" of registered maps; URLs are not fetched).
+   * @param {Object|Array<Object>} triggerMap - Trigger map, or maps layered lowest precedence first
+   * @param {Object} options - Validation options
+   * @param {boolean} options.safeRegex - Report patterns outside the safe-regex subset as errors
+   * @returns {Object} { valid: boolean, diagnostics: Array<{severity, code, message, path}> }
+   */
+  static validateTriggerMap(triggerMap, options = {}) {
+    return TrustQueryCore.validateTriggerMap(triggerMap, options);
+  }
+
+  /**
+   * Run the "$tests" cases embedded in a trigger map
+   * @param {string|Object|Array<Object>} triggerMap - URL of a map, a map, or maps to layer
+   * @param {Object} options - TrustQueryCore options (e.g. resolution, context, fetchMap, regexBudget, safeRegex)
+   * @returns {Promise<Object>} { passed, total, failed, cases: [{ name, text, passed, failures }], diagnostics }
+   */
+  static testTriggerMap(triggerMap, options = {}) {
+    return TrustQueryCore.testTriggerMap(triggerMap, options);
+  }
+
+  /**
+   * Upgrade an older trigger map to the current "$version" (e.g. to save it back)
+   * @param {Object} triggerMap - Trigger map
+   * @returns {Object} { map, migrated: Array<string>, diagnostics: Array<{severity, code, message, path}> }
+   */
+  static migrateTriggerMap(triggerMap) {
+    return TriggerMapMigrator.migrate(triggerMap);
+  }
+
+  /**
+   * Register a trigger map that others can reference by name in "$extends" / "$include"
+   * @param {string} name - Map name
+   * @param {Object} triggerMap - Trigger map
+   */
+  static registerTriggerMap(name, triggerMap) {
+    TriggerMapComposer.register(name, triggerMap);
+  }
+
+  /**
+   * Register a matcher function for "function" triggers
+   * @param {string} name - Name referenced by a trigger's "validator"
+   * @param {Function} fn - (input, { lineIndex, offset, match }) => spans | Promise<spans>
+   */
+  static registerMatcher(name, fn) {
+    CommandScanner.registerMatcher(name, fn);
+  }
+
+  /**
+   * Register a preset pack that maps can pull in with "$use"
+   * @param {Object} pack - { name, triggers: [{ id, state, ...trigger }], matchers }
+   */
+  static registerPreset(pack) {
+    TriggerPresets.register(pack);
+  }
+
   /**
    * Create a TrustQuery instance
    * @param {HTMLElement} textarea - Textarea element
@@ -75,11 +141,22 @@ export default class TrustQuery {
     this.options = this.normalizeOptions(options);
 
     this.commandMap = null;
+    this.composedMap = null; // commandMap after "$extends"/"$include" layering
+    this.commandMapRequest = 0; // bumped per updateCommandMap, so late includes don't win
+    this.lastRender = null; // { text, matches } of the last render, for incremental updates
+    this.currentMatches = []; // matches on screen (kept while async matchers are pending)
+    this.scanInWorker = false; // false when there is no worker or the map uses function triggers
+    this.allowlist = []; // host-allowed patterns (see allow)
+    this.triggerMapDiagnostics = [];
     this.isReady = false;
     this.features = {};
+    this.triggerMapRefreshTimer = null;
+    this.pendingTriggerMapLoad = null;
 
     // Initialize components
-    this.init();
+    this.init().catch(error => {
+      console.error('[TrustQuery] Initialization failed:', error);
+    });
   }
 
   /**
@@ -102,10 +179,15 @@ export default class TrustQuery {
       autoLoadCommandMap: options.autoLoadCommandMap !== false,
       triggerMapSource: triggerMap.source || (triggerMap.url ? 'url' : triggerMap.data ? 'inline' : null),
       triggerMapApi: triggerMap.api || null,
+      triggerMapRefreshInterval: triggerMap.refreshInterval || 0,
 
       // Features
       autoGrow: features.autoGrow || false,
       autoGrowMaxHeight: features.maxHeight || 300,
+      worker: features.worker || false,
+      resolution: features.resolution || options.resolution || 'suffix', // how a chosen option shows in the text
+      regexBudget: features.regexBudget, // ms a trigger's regexes may run per scan (CommandScanner.REGEX_BUDGET_MS by default); can't stop one runaway regex
+      safeRegex: features.safeRegex || false, // only run patterns in the safe-regex subset (use for untrusted maps)
       debug: features.debug || false,
 
       // UI settings
@@ -117,6 +199,10 @@ export default class TrustQuery {
       onWordClick: events.onWordClick || options.onWordClick || null,
       onWordHover: events.onWordHover || options.onWordHover || null,
       onValidationChange: events.onValidationChange || options.onValidationChange || null,
+      onTriggerMapError: events.onTriggerMapError || options.onTriggerMapError || null,
+
+      // Template variables ({{name}} in messages, option labels and on-select.display)
+      context: options.context || {},
 
       // Theme/style options (passed to StyleManager)
       backgroundColor: ui.backgroundColor || options.backgroundColor,
@@ -130,6 +216,7 @@ export default class TrustQuery {
       fontFamily: ui.fontFamily || options.fontFamily,
       fontSize: ui.fontSize || options.fontSize,
       lineHeight: ui.lineHeight || options.lineHeight,
+      resolutionStyles: ui.resolutionStyles || options.resolutionStyles || null,
 
       ...options
     };
@@ -141,11 +228,33 @@ export default class TrustQuery {
   async init() {
     console.log('[TrustQuery] Starting initialization...');
 
+    // Look of each message state; "$states" in the trigger map adds custom ones
+    this.messageStates = new MessageStateRegistry();
+
     // Initialize command handler registry
-    this.commandHandlers = new CommandHandlerRegistry();
+    this.commandHandlers = new CommandHandlerRegistry({
+      messageStates: this.messageStates,
+      resolutionStyles: this.options.resolutionStyles
+    });
+
+    // Initialize template resolver ({{variables}} in messages and options)
+    this.templateResolver = new TemplateResolver({
+      context: this.options.context,
+      debug: this.options.debug
+    });
+
+    // Track resolved/dismissed matches across edits
+    this.resolutionManager = new ResolutionManager({
+      representation: this.options.resolution,
+      templateResolver: this.templateResolver,
+      debug: this.options.debug
+    });
 
     // Initialize style manager (handles all inline styling)
-    this.styleManager = new StyleManager(this.options);
+    this.styleManager = new StyleManager({
+      ...this.options,
+      messageStates: this.messageStates
+    });
 
     // Create wrapper and overlay structure
     this.createOverlayStructure();
@@ -157,11 +266,43 @@ export default class TrustQuery {
       debug: this.options.debug // Pass debug flag
     });
 
+    // Initialize trigger map loader (url or api source)
+    this.triggerMapLoader = new TriggerMapLoader({
+      source: this.options.triggerMapSource,
+      url: this.options.commandMapUrl,
+      api: this.options.triggerMapApi,
+      debug: this.options.debug
+    });
+
+    // Layers maps; included URLs are fetched with the loader
+    this.triggerMapComposer = new TriggerMapComposer({
+      fetchMap: url => this.triggerMapLoader.loadFromUrl(url),
+      debug: this.options.debug
+    });
+
     // Initialize scanner (will be configured when command map loads)
     this.scanner = new CommandScanner({
+      regexBudget: this.options.regexBudget,
       debug: this.options.debug
     });
 
+    // Optionally scan off the main thread
+    if (this.options.worker) {
+      try {
+        this.workerScanner = new WorkerScanner({
+          regexBudget: this.options.regexBudget,
+          onError: (error) => this.stopWorkerScanning(error),
+          debug: this.options.debug
+        });
+        if (this.options.debug) {
+          console.log('[TrustQuery] Worker scanning enabled');
+        }
+      } catch (error) {
+        console.warn('[TrustQuery] Could not start scanner worker, scanning on main thread:', error);
+        this.workerScanner = null;
+      }
+    }
+
     // Initialize interaction handler
     this.interactionHandler = new InteractionHandler(this.overlay, {
       bubbleDelay: this.options.bubbleDelay,
@@ -170,13 +311,18 @@ export default class TrustQuery {
       onWordHover: this.options.onWordHover,
       styleManager: this.styleManager, // Pass style manager for bubbles/dropdowns
       commandHandlers: this.commandHandlers, // Pass handlers for bubble content
+      templateResolver: this.templateResolver, // Pass resolver for {{variables}}
       textarea: this.textarea, // Pass textarea for on-select display updates
+      resolution: this.resolutionManager.getRepresentation(), // Pass how chosen options show in the text
+      onResolve: (matchData, details) => this.handleResolve(matchData, details),
+      messageStates: this.messageStates, // Pass states for bubble/dropdown headers
       debug: this.options.debug // Pass debug flag
     });
 
     // Initialize validation state manager
     this.validationStateManager = new ValidationStateManager({
       onValidationChange: this.options.onValidationChange,
+      messageStates: this.messageStates,
       debug: this.options.debug
     });
 
@@ -190,7 +336,17 @@ export default class TrustQuery {
     if (this.options.autoLoadCommandMap) {
       await this.loadCommandMap();
     } else if (this.options.commandMap) {
-      this.updateCommandMap(this.options.commandMap);
+      try {
+        await this.updateCommandMap(this.options.commandMap);
+      } catch (error) {
+        // e.g. an included map that could not be fetched or applied
+        this.reportTriggerMapDiagnostics([{
+          severity: 'error',
+          code: 'load-failed',
+          message: `Failed to load trigger map: ${error.message}`,
+          path: ''
+        }]);
+      }
     }
 
     // Initial render
@@ -198,6 +354,9 @@ export default class TrustQuery {
 
     this.isReady = true;
 
+    // Periodically refresh trigger map from its source
+    this.startTriggerMapRefresh();
+
     // Auto-focus textarea to show cursor
     setTimeout(() => {
       this.textarea.focus();
@@ -293,7 +452,7 @@ export default class TrustQuery {
   setupTextareaListeners() {
     // Input event - re-render on content change
     this.textarea.addEventListener('input', () => {
-      this.render();
+      this.render({ incremental: true });
     });
 
     // Scroll event - sync overlay scroll with textarea
@@ -446,63 +605,492 @@ export default class TrustQuery {
   }
 
   /**
-   * Load command map (static tql-triggers.json or from URL)
+   * Load command map (static tql-triggers.json, URL or API provider)
    */
   async loadCommandMap() {
     try {
-      // Default to static file if no URL provided
-      const url = this.options.commandMapUrl || '/trustquery/tql-triggers.json';
+      const data = await this.triggerMapLoader.load();
+      await this.updateCommandMap(data);
 
-      console.log('[TrustQuery] Loading trigger map from:', url);
-      const response = await fetch(url);
+      console.log('[TrustQuery] Trigger map loaded successfully');
+    } catch (error) {
+      this.reportTriggerMapLoadError(error);
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  /**
+   * Re-fetch the trigger map from its source and swap it in place
+   * The current text and any open dropdown are kept; an unchanged map is a no-op.
+   * @returns {Promise<Object|null>} The active trigger map, or null if the refresh failed
+   */
+  async refreshTriggerMap() {
+    // Share one request between overlapping refreshes
+    if (this.pendingTriggerMapLoad) {
+      return this.pendingTriggerMapLoad;
+    }
+
+    this.pendingTriggerMapLoad = (async () => {
+      try {
+        const data = await this.triggerMapLoader.load();
+
+        // Included maps may have changed even if this one did not
+        this.triggerMapComposer.clearCache();
+        const { map } = await this.triggerMapComposer.composeAsync(data);
+
+        if (this.composedMap && JSON.stringify(map) === JSON.stringify(this.composedMap)) {
+          if (this.options.debug) {
+            console.log('[TrustQuery] Trigger map unchanged after refresh');
+          }
+          return this.commandMap;
+        }
+
+        await this.updateCommandMap(data, { preserveUI: true });
+        if (this.options.debug) {
+          console.log('[TrustQuery] Trigger map refreshed');
+        }
+        return this.commandMap;
+      } catch (error) {
+        // Keep the previous map so highlighting keeps working
+        this.reportTriggerMapLoadError(error);
+        return null;
+      } finally {
+        this.pendingTriggerMapLoad = null;
       }
+    })();
 
-      const data = await response.json();
-      this.updateCommandMap(data);
+    return this.pendingTriggerMapLoad;
+  }
 
-      console.log('[TrustQuery] Trigger map loaded successfully');
-    } catch (error) {
-      console.error('[TrustQuery] Failed to load trigger map:', error);
+  /**
+   * Start periodic trigger map refresh (triggerMap.refreshInterval, in ms)
+   */
+  startTriggerMapRefresh() {
+    this.stopTriggerMapRefresh();
+
+    const interval = this.options.triggerMapRefreshInterval;
+    if (!interval || interval <= 0 || this.options.triggerMapSource === 'inline') {
+      return;
+    }
+
+    this.triggerMapRefreshTimer = setInterval(() => {
+      this.refreshTriggerMap();
+    }, interval);
+
+    if (this.options.debug) {
+      console.log('[TrustQuery] Trigger map refresh every', interval, 'ms');
+    }
+  }
+
+  /**
+   * Stop periodic trigger map refresh
+   */
+  stopTriggerMapRefresh() {
+    if (this.triggerMapRefreshTimer) {
+      clearInterval(this.triggerMapRefreshTimer);
+      this.triggerMapRefreshTimer = null;
     }
   }
 
   /**
    * Update command map
-   * @param {Object} commandMap - New command map
+   * An array of maps is layered lowest precedence first (e.g. [orgMap, teamMap, userMap]).
+   * Maps are applied right away unless they include URLs that still need fetching.
+   * @param {Object|Array<Object>} commandMap - New command map, or maps to layer
+   * @param {Object} options - Render options
+   * @param {boolean} options.preserveUI - Keep open dropdown/bubble across the re-render
+   * @returns {Promise<void>} Resolves once the map is applied
    */
-  updateCommandMap(commandMap) {
+  updateCommandMap(commandMap, options = {}) {
+    const request = ++this.commandMapRequest;
+
+    // Layer "$extends"/"$include" maps; fetch included URLs first if needed
+    const composed = this.triggerMapComposer.compose(commandMap);
+    if (composed.missing.length > 0) {
+      return this.triggerMapComposer.fetchMaps(composed.missing).then(() => {
+        // A newer map was set while fetching
+        if (request === this.commandMapRequest) {
+          return this.updateCommandMap(commandMap, options);
+        }
+      });
+    }
+
     this.commandMap = commandMap;
-    this.scanner.setCommandMap(commandMap);
+    this.composedMap = composed.map;
+
+    // Validate, declare "$states" and pull in "$use" preset packs, as the headless core
+    // does; problems surface once, not on every scan. The raw map stays on this.commandMap
+    const { map: expandedMap, diagnostics } = TrustQueryCore.prepareTriggerMap(composed, this.messageStates, { safeRegex: this.options.safeRegex });
+    this.reportTriggerMapDiagnostics(diagnostics);
+
+    // Matcher functions can't run in the worker; maps using them scan on the main thread
+    this.scanInWorker = !!this.workerScanner && !CommandScanner.usesFunctionTriggers(expandedMap);
+
+    if (this.scanInWorker) {
+      // Parsing happens in the worker; keep the map readable on this.scanner
+      this.workerScanner.setCommandMap(expandedMap);
+      this.scanner.commandMap = expandedMap;
+    } else {
+      this.scanner.setCommandMap(expandedMap);
+    }
     console.log('[TrustQuery] Command map updated');
 
     // Re-render with new command map
     if (this.isReady) {
-      this.render();
+      this.render(options);
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Get diagnostics for the current trigger map
+   * @returns {Array} Diagnostics from the last load or update
+   */
+  getTriggerMapDiagnostics() {
+    return [...this.triggerMapDiagnostics];
+  }
+
+  /**
+   * Store trigger map diagnostics and notify the host
+   * Falls back to a single console warning when no onTriggerMapError handler is set.
+   * @param {Array} diagnostics - Diagnostics from TriggerMapValidator
+   */
+  reportTriggerMapDiagnostics(diagnostics) {
+    this.triggerMapDiagnostics = diagnostics;
+
+    if (diagnostics.length === 0) {
+      return;
+    }
+
+    if (this.options.onTriggerMapError) {
+      this.options.onTriggerMapError(diagnostics);
+    } else {
+      console.warn(`[TrustQuery] Trigger map has ${diagnostics.length} problem(s):`, diagnostics);
+    }
+  }
+
+  /**
+   * Report triggers the scanner newly disabled for going over the regex budget
+   * They are added to getTriggerMapDiagnostics() and passed to onTriggerMapError.
+   * @param {CommandScanner|WorkerScanner} scanner - Scanner that ran the scan
+   */
+  reportDisabledTriggers(scanner) {
+    const reported = new Set(this.triggerMapDiagnostics.filter(d => d.code === 'regex-timeout').map(d => d.trigger));
+    const fresh = scanner.getDisabledTriggers().filter(trigger => !reported.has(trigger.id));
+
+    if (fresh.length === 0) {
+      return;
+    }
+
+    const diagnostics = TrustQueryCore.getTimeoutDiagnostics(fresh);
+    this.triggerMapDiagnostics = [...this.triggerMapDiagnostics, ...diagnostics];
+
+    if (this.options.onTriggerMapError) {
+      this.options.onTriggerMapError(diagnostics);
+    } else {
+      console.warn('[TrustQuery] Disabled slow trigger(s):', diagnostics);
+    }
+  }
+
+  /**
+   * Report a trigger map load failure as a diagnostic
+   * @param {Error} error - Load error
+   */
+  reportTriggerMapLoadError(error) {
+    const diagnostic = {
+      severity: 'error',
+      code: 'load-failed',
+      message: `Failed to load trigger map: ${error.message}`,
+      path: ''
+    };
+
+    if (this.options.onTriggerMapError) {
+      this.options.onTriggerMapError([diagnostic]);
+    } else {
+      console.error('[TrustQuery] Failed to load trigger map:', error);
+    }
+  }
+
+  /**
+   * Set host variables used in {{variable}} templates
+   * Merged into the existing context; values may be functions of the match data.
+   * @param {Object} context - { name: value | (matchData) => value }
+   */
+  setContext(context) {
+    this.templateResolver.setContext(context);
+  }
+
+  /**
+   * Allow a pattern across all triggers
+   * Matches whose text equals the string (case-insensitively) or fits the RegExp are
+   * not highlighted and never block submit; they are listed as "allowed" in the
+   * validation state for auditing.
+   * @param {string|RegExp} pattern - Allowed text or pattern
+   */
+  allow(pattern) {
+    if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+      throw new TypeError('allow() expects a string or a RegExp');
+    }
+
+    this.allowlist.push(pattern);
+    this.scanner.setAllowlist(this.allowlist);
+    if (this.workerScanner) {
+      this.workerScanner.setAllowlist(this.allowlist);
+    }
+
+    // Carried-over matches were judged against the old allowlist
+    if (this.isReady) {
+      this.lastRender = null;
+      this.render({ preserveUI: true });
+    }
+  }
+
+  /**
+   * Record the option chosen for a match (called by the dropdown)
+   * With the "suffix" representation the dropdown then writes "/value" into the
+   * text, which re-renders; otherwise only the highlight changes.
+   * @param {Object} matchData - Match data from the overlay
+   * @param {Object} details - { option, value, written }
+   */
+  handleResolve(matchData, details) {
+    this.resolutionManager.set(matchData, 'resolved', details);
+
+    if (!details.written && this.isReady) {
+      this.lastRender = null;
+      this.render({ preserveUI: true });
     }
   }
 
+  /**
+   * Get the resolution of every highlighted match
+   * @returns {Array<Object>} [{ text, start, end, commandId, category, messageState, status, option, value }]
+   *   where status is 'unresolved', 'resolved' (option holds the chosen option) or 'dismissed'
+   */
+  getResolutions() {
+    return this.resolutionManager.list(this.currentMatches);
+  }
+
+  /**
+   * Dismiss the match starting at an offset
+   * Dismissed matches stop counting as warnings/info; matches that block submit keep blocking.
+   * @param {number} start - Absolute offset of the match (see getResolutions)
+   * @returns {boolean} True if a match starts there
+   */
+  dismiss(start) {
+    const match = this.findMatchAt(start);
+    if (!match) {
+      return false;
+    }
+
+    this.resolutionManager.set(match, 'dismissed');
+    this.lastRender = null;
+    this.render({ preserveUI: true });
+    return true;
+  }
+
+  /**
+   * Make the match starting at an offset unresolved again
+   * A "/value" suffix still in the text keeps resolving it; delete the suffix instead.
+   * @param {number} start - Absolute offset of the match
+   * @returns {boolean} True if a resolution was recorded there
+   */
+  clearResolution(start) {
+    if (!this.resolutionManager.clear(start)) {
+      return false;
+    }
+
+    this.lastRender = null;
+    this.render({ preserveUI: true });
+    return true;
+  }
+
+  /**
+   * Find a highlighted match by its start offset
+   * @param {number} start - Absolute offset
+   * @returns {Object|null} Match from the last render
+   */
+  findMatchAt(start) {
+    return this.currentMatches.find(match => match.start === start && !match.allowed) || null;
+  }
+
   /**
    * Render the overlay with styled text
+   * @param {Object} options - Render options
+   * @param {boolean} options.preserveUI - Keep open dropdown/bubble across the re-render
+   * @param {boolean} options.incremental - Only rescan and re-render the lines touched since the last render
    */
-  render() {
+  render(options = {}) {
     const text = this.textarea.value;
 
+    if (this.scanInWorker) {
+      this.renderWithWorker(options);
+      return;
+    }
+
+    if (options.incremental && this.lastRender && this.renderIncremental(text)) {
+      return;
+    }
+
     // Scan text for matches
-    const matches = this.scanner.scan(text);
+    const matches = this.resolutionManager.apply(text, this.scanner.scan(text));
 
     // Render overlay with matches
     this.renderer.render(text, matches);
 
     // Update interaction handler with new elements
-    this.interactionHandler.update();
+    this.interactionHandler.update(options);
+
+    this.finishRender(text, matches);
+  }
+
+  /**
+   * Update validation state and remember the render
+   * While async matchers are pending the state is marked pending, the next render
+   * is a full one, and the text is rescanned once they settle.
+   * @param {string} text - Rendered text
+   * @param {Array} matches - Rendered matches
+   */
+  finishRender(text, matches) {
+    const pending = this.scanner.getPendingMatchers();
+    this.currentMatches = matches;
+    this.reportDisabledTriggers(this.scanner);
 
-    // Update validation state
     if (this.validationStateManager) {
-      this.validationStateManager.update(matches);
+      this.validationStateManager.update(matches, { pending: pending.length > 0 });
+    }
+
+    if (pending.length === 0) {
+      this.lastRender = { text, matches };
+      return;
     }
+
+    this.lastRender = null;
+    Promise.allSettled(pending).then(() => {
+      // A newer render is already waiting on its own matchers
+      if (this.isReady && this.textarea.value === text) {
+        this.render({ preserveUI: true });
+      }
+    });
+  }
+
+  /**
+   * Wait for async matchers on the current text
+   * Use before submitting when the map has async "function" triggers.
+   * @returns {Promise<Object>} Validation state once nothing is pending
+   */
+  whenValidated() {
+    if (!this.validationStateManager) {
+      return Promise.resolve(null);
+    }
+    return this.validationStateManager.whenSettled();
+  }
+
+  /**
+   * Rescan and re-render only the lines changed since the last render
+   * @param {string} text - Current text
+   * @returns {boolean} False if a full render is needed instead
+   */
+  renderIncremental(text) {
+    const result = this.scanner.scanIncremental(this.lastRender.text, this.lastRender.matches, text);
+    if (!result) {
+      return false;
+    }
+
+    const { matches, change } = result;
+    this.resolutionManager.apply(text, matches);
+
+    if (change) {
+      const prevLineCount = this.lastRender.text.split('\n').length;
+      const elements = this.renderer.renderIncremental(text, matches, change, prevLineCount);
+
+      // A null result means the renderer fell back to a full render
+      this.interactionHandler.update(elements ? { elements } : { incremental: true });
+    }
+
+    this.finishRender(text, matches);
+    return true;
+  }
+
+  /**
+   * Render using the worker scanner
+   * The new text is drawn right away with the last good highlights carried over
+   * (edited lines stay plain); matches and validation update when the worker
+   * answers for the current text. Stale answers are dropped.
+   * @param {Object} options - Render options (see render)
+   */
+  renderWithWorker(options = {}) {
+    const text = this.textarea.value;
+
+    if (!this.lastRender) {
+      this.renderer.render(text, []);
+      this.interactionHandler.update();
+      this.lastRender = { text, matches: [] };
+    } else if (this.lastRender.text !== text) {
+      const change = this.scanner.getLineChange(this.lastRender.text, text);
+      const { before, after } = this.scanner.carryOverMatches(this.lastRender.matches, change);
+      const carried = this.resolutionManager.apply(text, [...before, ...after]);
+      const prevLineCount = this.lastRender.text.split('\n').length;
+
+      const elements = this.renderer.renderIncremental(text, carried, change, prevLineCount);
+      this.interactionHandler.update(elements ? { elements } : { incremental: true });
+      this.lastRender = { text, matches: carried };
+    }
+
+    this.workerScanner.scan(text).then(matches => {
+      // Superseded by a newer scan, or the text moved on
+      if (!matches || text !== this.textarea.value) {
+        return;
+      }
+
+      this.reportDisabledTriggers(this.workerScanner);
+
+      this.resolutionManager.apply(text, matches);
+
+      this.renderer.render(text, matches);
+      this.interactionHandler.update(options);
+
+      if (this.validationStateManager) {
+        this.validationStateManager.update(matches);
+      }
+
+      this.lastRender = { text, matches };
+      this.currentMatches = matches;
+    }, error => this.stopWorkerScanning(error));
+  }
+
+  /**
+   * Scan on the main thread from now on, after the worker failed
+   * Validation must not fail open, so the text is rescanned right away.
+   * @param {Error} error - Worker error
+   */
+  stopWorkerScanning(error) {
+    if (!this.workerScanner) {
+      return;
+    }
+
+    console.warn('[TrustQuery] Scanner worker failed, scanning on main thread:', error.message);
+
+    this.workerScanner.destroy();
+    this.workerScanner = null;
+    this.scanInWorker = false;
+
+    // The worker compiled the map; the main-thread scanner only holds it
+    if (this.scanner.commandMap) {
+      this.scanner.setCommandMap(this.scanner.commandMap);
+    }
+
+    if (this.isReady) {
+      this.lastRender = null;
+      this.render({ preserveUI: true });
+    }
+  }
+
+  /**
+   * Rescan and re-render everything, bypassing incremental updates
+   */
+  forceFullRender() {
+    this.lastRender = null;
+    this.render();
   }
 
   /**
@@ -511,10 +1099,18 @@ export default class TrustQuery {
   destroy() {
     console.log('[TrustQuery] Destroying instance');
 
+    // Stop trigger map refresh
+    this.stopTriggerMapRefresh();
+
     // Remove event listeners
     this.textarea.removeEventListener('input', this.render);
     this.textarea.removeEventListener('scroll', this.syncScroll);
 
+    // Stop scanner worker
+    if (this.workerScanner) {
+      this.workerScanner.destroy();
+    }
+
     // Cleanup interaction handler
     if (this.interactionHandler) {
       this.interactionHandler.destroy();
@@ -557,10 +1153,16 @@ export default class TrustQuery {
   }
 }
 
-// Export attachment managers as named exports
+// Export attachment managers and preset packs as named exports
 export {
   AttachmentManager,
   AttachmentStyleManager,
   CSVModalManager,
-  CSVModalStyleManager
+  CSVModalStyleManager,
+  TriggerPresets,
+  TriggerMapComposer,
+  TriggerMapMigrator,
+  MessageStateRegistry,
+  ResolutionManager,
+  TrustQueryCore
 };
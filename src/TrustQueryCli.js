@@ -0,0 +1,347 @@
+// TrustQueryCli - Node command line for scanning text against trigger maps
+// `trustquery scan <files|-> --triggers map.json` checks each file (or stdin) with
+// TrustQueryCore and prints a table, JSON or SARIF report; `trustquery test` runs the
+// map's "$tests". The exit code tells CI whether anything blocks or failed:
+// 0 clean, 1 blocking matches or failed tests, 2 usage or map errors.
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import TrustQueryCore, { CommandScanner } from './TrustQueryCore.js';
+import ReportFormatter from './trust-query-cli-helpers/ReportFormatter.js';
+
+export default class TrustQueryCli {
+  // Exit codes
+  static EXIT_OK = 0;
+  static EXIT_BLOCKED = 1;
+  static EXIT_ERROR = 2;
+
+  static USAGE = `Usage: trustquery scan <files...|-> --triggers <map.json> [options]
+       trustquery test --triggers <map.json> [options]
+
+Commands:
+  scan    Scan text files (or stdin with "-") against a trigger map
+  test    Run the "$tests" cases embedded in a trigger map
+
+Options:
+  -t, --triggers <file|url>   Trigger map; repeat to layer maps (later wins)
+  -f, --format <format>       table (default), json or sarif (scan only)
+      --lines                 Check every line as a separate prompt (e.g. prompt logs)
+      --resolution <mode>     How resolutions are written: suffix (default) or none
+      --regex-budget <ms>     Time a trigger's regexes may take per scan before it is
+                              disabled (default ${CommandScanner.REGEX_BUDGET_MS}, 0 = no limit)
+                              (checked between runs; can't stop one runaway regex)
+      --safe-regex            Skip triggers with patterns outside the safe-regex subset
+                              (recommended for maps you don't control)
+      --debug                 Turn on library debug logging (printed with the report)
+  -h, --help                  Show this help
+  -v, --version               Show the version
+
+Exit codes: 0 nothing blocks / all tests pass, 1 blocking matches or failed tests,
+2 usage or trigger map errors.
+`;
+
+  /**
+   * Create CLI
+   * @param {Object} io - Streams
+   * @param {Object} io.stdout - Writable for reports
+   * @param {Object} io.stderr - Writable for errors and diagnostics
+   * @param {Object} io.stdin - Readable for "-"
+   */
+  constructor(io = {}) {
+    this.stdout = io.stdout || process.stdout;
+    this.stderr = io.stderr || process.stderr;
+    this.stdin = io.stdin || process.stdin;
+  }
+
+  /**
+   * Run a command
+   * @param {Array<string>} argv - Arguments after the executable (process.argv.slice(2))
+   * @returns {Promise<number>} Exit code
+   */
+  async run(argv) {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+          triggers: { type: 'string', short: 't', multiple: true },
+          format: { type: 'string', short: 'f', default: 'table' },
+          lines: { type: 'boolean', default: false },
+          resolution: { type: 'string', default: 'suffix' },
+          'regex-budget': { type: 'string' },
+          'safe-regex': { type: 'boolean', default: false },
+          debug: { type: 'boolean', default: false },
+          help: { type: 'boolean', short: 'h', default: false },
+          version: { type: 'boolean', short: 'v', default: false }
+        }
+      });
+    } catch (error) {
+      return this.usageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...files] = positionals;
+
+    if (values.version) {
+      this.stdout.write(`${await this.readVersion()}\n`);
+      return TrustQueryCli.EXIT_OK;
+    }
+
+    if (values.help || !command) {
+      (values.help ? this.stdout : this.stderr).write(TrustQueryCli.USAGE);
+      return values.help ? TrustQueryCli.EXIT_OK : TrustQueryCli.EXIT_ERROR;
+    }
+
+    const budget = values['regex-budget'];
+    if (budget !== undefined && !/^\d+$/.test(budget)) {
+      return this.usageError(`--regex-budget must be a number of milliseconds, got "${budget}"`);
+    }
+
+    if (command === 'scan') {
+      return this.scan(files, values);
+    }
+    if (command === 'test') {
+      return this.test(files, values);
+    }
+
+    return this.usageError(`Unknown command "${command}"`);
+  }
+
+  /**
+   * Scan files against the trigger map
+   * @param {Array<string>} files - File paths ("-" for stdin)
+   * @param {Object} values - Parsed options
+   * @returns {Promise<number>} Exit code
+   */
+  async scan(files, values) {
+    if (files.length === 0) {
+      return this.usageError('No files to scan (use "-" for stdin)');
+    }
+    if (!values.triggers || values.triggers.length === 0) {
+      return this.usageError('Missing --triggers <map.json>');
+    }
+    if (!ReportFormatter.FORMATS.includes(values.format)) {
+      return this.usageError(`Unknown format "${values.format}" (expected ${ReportFormatter.FORMATS.join(', ')})`);
+    }
+
+    const core = new TrustQueryCore(this.coreOptions(values));
+
+    let diagnostics;
+    try {
+      diagnostics = await core.loadTriggerMap(await this.readMaps(values.triggers));
+    } catch (error) {
+      this.stderr.write(`trustquery: ${error.message}\n`);
+      return TrustQueryCli.EXIT_ERROR;
+    }
+
+    if (this.hasMapErrors(diagnostics)) {
+      return TrustQueryCli.EXIT_ERROR;
+    }
+
+    const mapDiagnostics = diagnostics.length;
+    const results = [];
+    for (const file of files) {
+      let text;
+      try {
+        text = file === '-' ? await this.readStdin() : await readFile(file, 'utf8');
+      } catch (error) {
+        this.stderr.write(`trustquery: cannot read ${file}: ${error.message}\n`);
+        return TrustQueryCli.EXIT_ERROR;
+      }
+      results.push(await this.checkFile(core, file === '-' ? '<stdin>' : file, text, values.lines));
+    }
+
+    // Triggers disabled for going over the regex budget make the results incomplete
+    const allDiagnostics = core.getTriggerMapDiagnostics();
+    const formatter = new ReportFormatter({ version: await this.readVersion() });
+    this.stdout.write(formatter.format(values.format, results, allDiagnostics));
+
+    if (this.hasMapErrors(allDiagnostics.slice(mapDiagnostics))) {
+      return TrustQueryCli.EXIT_ERROR;
+    }
+
+    return results.some(result => result.blocked) ? TrustQueryCli.EXIT_BLOCKED : TrustQueryCli.EXIT_OK;
+  }
+
+  /**
+   * Run the trigger map's "$tests"
+   * @param {Array<string>} positionals - Extra arguments (none expected)
+   * @param {Object} values - Parsed options
+   * @returns {Promise<number>} Exit code
+   */
+  async test(positionals, values) {
+    if (positionals.length > 0) {
+      return this.usageError(`Unexpected argument "${positionals[0]}" (pass maps with --triggers)`);
+    }
+    if (!values.triggers || values.triggers.length === 0) {
+      return this.usageError('Missing --triggers <map.json>');
+    }
+    if (!ReportFormatter.TEST_FORMATS.includes(values.format)) {
+      return this.usageError(`Unknown format "${values.format}" for test (expected ${ReportFormatter.TEST_FORMATS.join(', ')})`);
+    }
+
+    let result;
+    try {
+      result = await TrustQueryCore.testTriggerMap(await this.readMaps(values.triggers), this.coreOptions(values));
+    } catch (error) {
+      this.stderr.write(`trustquery: ${error.message}\n`);
+      return TrustQueryCli.EXIT_ERROR;
+    }
+
+    // Maps with errors run no cases; triggers disabled while running leave the results incomplete
+    if (result.cases.length > 0 || !result.diagnostics.some(d => d.severity === 'error')) {
+      const formatter = new ReportFormatter({ version: await this.readVersion() });
+      this.stdout.write(formatter.formatTests(values.format, result));
+    }
+
+    if (this.hasMapErrors(result.diagnostics)) {
+      return TrustQueryCli.EXIT_ERROR;
+    }
+
+    return result.passed ? TrustQueryCli.EXIT_OK : TrustQueryCli.EXIT_BLOCKED;
+  }
+
+  /**
+   * Options for the TrustQueryCore a command runs on
+   * @param {Object} values - Parsed options
+   * @returns {Object} TrustQueryCore options
+   */
+  coreOptions(values) {
+    return {
+      resolution: values.resolution,
+      regexBudget: values['regex-budget'] !== undefined ? Number(values['regex-budget']) : undefined,
+      safeRegex: values['safe-regex'],
+      fetchMap: source => this.readMap(source),
+      debug: values.debug
+    };
+  }
+
+  /**
+   * Read the --triggers maps
+   * @param {Array<string>} sources - Paths or URLs
+   * @returns {Promise<Object|Array<Object>>} The map, or maps to layer
+   */
+  async readMaps(sources) {
+    const maps = await Promise.all(sources.map(source => this.readMap(source)));
+    return maps.length === 1 ? maps[0] : maps;
+  }
+
+  /**
+   * Print map diagnostics and check them for errors
+   * @param {Array<Object>} diagnostics - Trigger map diagnostics
+   * @returns {boolean} True if the map has errors (and cannot be used)
+   */
+  hasMapErrors(diagnostics) {
+    this.printDiagnostics(diagnostics);
+    if (diagnostics.some(d => d.severity === 'error')) {
+      this.stderr.write('trustquery: the trigger map has errors\n');
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check one file
+   * @param {TrustQueryCore} core - Core with the map loaded
+   * @param {string} file - Name to report
+   * @param {string} text - File contents
+   * @param {boolean} byLine - Check every line as a separate prompt
+   * @returns {Promise<Object>} { file, blocked, matches }
+   */
+  async checkFile(core, file, text, byLine) {
+    const prompts = byLine ? text.split(/\r?\n/) : [text];
+    const matches = [];
+    let blocked = false;
+
+    for (let index = 0; index < prompts.length; index++) {
+      const result = await core.checkSettled(prompts[index]);
+      const lineOffset = byLine ? index : 0;
+
+      blocked = blocked || result.blocked;
+      result.matches
+        .filter(match => !match.allowed)
+        .forEach(match => {
+          const blocking = result.state.blocking.includes(match);
+          matches.push(ReportFormatter.describe(match, blocking, core.templateResolver, lineOffset));
+        });
+    }
+
+    return { file, blocked, matches };
+  }
+
+  /**
+   * Read a trigger map from a file or URL
+   * Relative paths (including "$include"/"$extends" references) are read from the current directory.
+   * @param {string} source - Path or http(s) URL
+   * @returns {Promise<Object>} Parsed map
+   */
+  async readMap(source) {
+    if (/^https?:\/\//i.test(source)) {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`cannot load trigger map ${source}: HTTP ${response.status}`);
+      }
+      return response.json();
+    }
+
+    const path = source.startsWith('file:') ? new URL(source) : source;
+    let json;
+    try {
+      json = await readFile(path, 'utf8');
+    } catch (error) {
+      throw new Error(`cannot read trigger map ${source}: ${error.message}`);
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new Error(`trigger map ${source} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read all of stdin
+   * @returns {Promise<string>} Text
+   */
+  async readStdin() {
+    const chunks = [];
+    for await (const chunk of this.stdin) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Read the package version
+   * @returns {Promise<string>} Version
+   */
+  async readVersion() {
+    try {
+      const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+      return pkg.version;
+    } catch (error) {
+      return '0.0.0';
+    }
+  }
+
+  /**
+   * Print trigger map diagnostics to stderr
+   * @param {Array<Object>} diagnostics - { severity, code, message, path }
+   */
+  printDiagnostics(diagnostics) {
+    diagnostics.forEach(d => {
+      this.stderr.write(`${d.severity} ${d.code}${d.path ? ` at ${d.path}` : ''}: ${d.message}\n`);
+    });
+  }
+
+  /**
+   * Report a usage error
+   * @param {string} message - What was wrong
+   * @returns {number} Exit code
+   */
+  usageError(message) {
+    this.stderr.write(`trustquery: ${message}\n\n${TrustQueryCli.USAGE}`);
+    return TrustQueryCli.EXIT_ERROR;
+  }
+}
@@ -0,0 +1,330 @@
+// TrustQueryCore - Headless trigger map enforcement (no DOM), published as @trustquery/browser/core
+// Loads a trigger map, scans text and computes the validation state and resolutions
+// with the same modules the browser uses, so a backend can enforce the rules the
+// user was shown. TrustQuery prepares its maps with the same pipeline.
+
+import CommandScanner from './CommandScanner.js';
+import ValidationStateManager from './ValidationStateManager.js';
+import MessageStateRegistry from './MessageStateRegistry.js';
+import TemplateResolver from './TemplateResolver.js';
+import ResolutionManager from './ResolutionManager.js';
+import TriggerMapLoader from './TriggerMapLoader.js';
+import TriggerMapValidator from './TriggerMapValidator.js';
+import TriggerMapComposer from './TriggerMapComposer.js';
+import TriggerMapMigrator from './TriggerMapMigrator.js';
+import TriggerMapTester from './TriggerMapTester.js';
+import TriggerPresets from './TriggerPresets.js';
+import RegexSafety from './RegexSafety.js';
+
+export default class TrustQueryCore {
+  /**
+   * Validate a trigger map
+   * Maps are composed first ("$extends"/"$include" of registered maps; URLs are not fetched).
+   * @param {Object|Array<Object>} triggerMap - Trigger map, or maps layered lowest precedence first
+   * @param {Object} options - Validation options
+   * @param {boolean} options.safeRegex - Report patterns outside the safe-regex subset as errors
+   * @returns {Object} { valid: boolean, diagnostics: Array<{severity, code, message, path}> }
+   */
+  static validateTriggerMap(triggerMap, options = {}) {
+    const composed = new TriggerMapComposer().compose(triggerMap);
+    if (!composed.map) {
+      return { valid: !composed.diagnostics.some(d => d.severity === 'error'), diagnostics: composed.diagnostics };
+    }
+
+    const { diagnostics } = new TriggerMapValidator({ safeRegex: options.safeRegex }).validate(composed.map);
+    const all = [...composed.diagnostics, ...diagnostics];
+    return { valid: !all.some(d => d.severity === 'error'), diagnostics: all };
+  }
+
+  /**
+   * Run the "$tests" cases embedded in a trigger map (and in the maps it layers)
+   * Maps with errors are not run: the result fails with their diagnostics. Diagnostics
+   * also list triggers disabled while running (see regexBudget).
+   * @param {string|Object|Array<Object>} triggerMap - URL of a map, a map, or maps to layer
+   * @param {Object} options - TrustQueryCore options (e.g. fetchMap, context)
+   * @returns {Promise<Object>} { passed, total, failed, cases: [{ name, text, passed, failures }], diagnostics }
+   */
+  static async testTriggerMap(triggerMap, options = {}) {
+    const core = new TrustQueryCore(options);
+    const diagnostics = await core.loadTriggerMap(triggerMap);
+
+    if (diagnostics.some(d => d.severity === 'error')) {
+      return { passed: false, total: 0, failed: 0, cases: [], diagnostics };
+    }
+
+    const result = await new TriggerMapTester().run(core, TriggerMapTester.getCases(core.composedMap));
+    return { ...result, diagnostics: core.getTriggerMapDiagnostics() };
+  }
+
+  /**
+   * Turn a composed map into the map the scanner runs
+   * Validates it, declares its "$states" and expands "$use" preset packs. In
+   * safe-regex mode, triggers with patterns outside the subset are skipped.
+   * @param {Object} composed - Result of TriggerMapComposer.compose ({ map, diagnostics })
+   * @param {MessageStateRegistry} messageStates - Registry to declare the map's states in
+   * @param {Object} options - Preparation options
+   * @param {boolean} options.safeRegex - Only run patterns in the safe-regex subset
+   * @returns {Object} { map, diagnostics } where map is ready for CommandScanner.setCommandMap
+   */
+  static prepareTriggerMap(composed, messageStates, options = {}) {
+    const { diagnostics } = new TriggerMapValidator({ safeRegex: options.safeRegex }).validate(composed.map);
+
+    // Custom message states (colours, header, blocking)
+    messageStates.define(composed.map && composed.map.$states);
+
+    const expanded = TriggerPresets.expand(composed.map);
+
+    return {
+      map: options.safeRegex ? RegexSafety.restrict(expanded).map : expanded,
+      diagnostics: [...composed.diagnostics, ...diagnostics]
+    };
+  }
+
+  /**
+   * Describe triggers the scanner disabled for going over the regex budget
+   * @param {Array<Object>} disabled - From CommandScanner.getDisabledTriggers ({ id, pattern, elapsed, budget })
+   * @returns {Array<Object>} "regex-timeout" diagnostics
+   */
+  static getTimeoutDiagnostics(disabled) {
+    return disabled.map(trigger => ({
+      severity: 'error',
+      code: 'regex-timeout',
+      message: `Trigger "${trigger.id}" was disabled: its regex /${trigger.pattern}/ ran ${trigger.elapsed}ms in one scan (budget ${trigger.budget}ms). Simplify the pattern or raise the regex budget`,
+      path: '',
+      trigger: trigger.id
+    }));
+  }
+
+  /**
+   * Create a headless instance
+   * @param {Object} options - Configuration
+   * @param {Object|Array<Object>} options.triggerMap - Map (or maps to layer) to apply right away
+   * @param {string} options.resolution - How resolutions show in the text: 'suffix' (default) or 'none'
+   * @param {Object} options.context - Template variables (as in TrustQuery)
+   * @param {Function} options.fetchMap - async (url) => map, for URLs in "$include"/"$extends" and loadTriggerMap
+   * @param {number} options.regexBudget - Milliseconds a trigger's regexes may run per scan before it is disabled (0 = no limit);
+   *   checked between executions, so it can't stop a single catastrophic backtrack
+   * @param {boolean} options.safeRegex - Only run patterns in the safe-regex subset; use it for maps you don't control
+   */
+  constructor(options = {}) {
+    this.options = {
+      triggerMap: options.triggerMap || null,
+      resolution: options.resolution || 'suffix',
+      context: options.context || {},
+      fetchMap: options.fetchMap || null,
+      regexBudget: options.regexBudget,
+      safeRegex: options.safeRegex || false,
+      debug: options.debug || false,
+      ...options
+    };
+
+    this.triggerMap = null;   // map as given
+    this.composedMap = null;  // after "$extends"/"$include" layering
+    this.diagnostics = [];
+    this.allowlist = [];
+
+    this.messageStates = new MessageStateRegistry();
+    this.templateResolver = new TemplateResolver({
+      context: this.options.context,
+      debug: this.options.debug
+    });
+    this.scanner = new CommandScanner({
+      regexBudget: this.options.regexBudget,
+      debug: this.options.debug
+    });
+
+    const loader = new TriggerMapLoader({ source: 'url', debug: this.options.debug });
+    this.fetchMap = this.options.fetchMap || (url => loader.loadFromUrl(url));
+    this.triggerMapComposer = new TriggerMapComposer({
+      fetchMap: this.fetchMap,
+      debug: this.options.debug
+    });
+
+    if (this.options.triggerMap) {
+      this.setTriggerMap(this.options.triggerMap);
+    }
+  }
+
+  /**
+   * Apply a trigger map whose includes are all registered (no URLs to fetch)
+   * @param {Object|Array<Object>} triggerMap - Map, or maps layered lowest precedence first
+   * @returns {Array} Diagnostics for the map
+   */
+  setTriggerMap(triggerMap) {
+    const composed = this.triggerMapComposer.compose(triggerMap);
+    if (composed.missing.length > 0) {
+      throw new Error(`Trigger map includes URLs that need fetching (${composed.missing.join(', ')}); use loadTriggerMap()`);
+    }
+
+    return this.applyComposedMap(triggerMap, composed);
+  }
+
+  /**
+   * Load and apply a trigger map, fetching URLs it includes
+   * @param {string|Object|Array<Object>} source - URL of a map, a map, or maps to layer
+   * @returns {Promise<Array>} Diagnostics for the map
+   */
+  async loadTriggerMap(source) {
+    const triggerMap = typeof source === 'string' ? await this.fetchMap(source) : source;
+    const composed = await this.triggerMapComposer.composeAsync(triggerMap);
+    return this.applyComposedMap(triggerMap, composed);
+  }
+
+  /**
+   * Hand a composed map to the scanner
+   * @param {Object|Array<Object>} triggerMap - Map as given
+   * @param {Object} composed - { map, diagnostics }
+   * @returns {Array} Diagnostics for the map
+   */
+  applyComposedMap(triggerMap, composed) {
+    const prepared = TrustQueryCore.prepareTriggerMap(composed, this.messageStates, { safeRegex: this.options.safeRegex });
+
+    this.triggerMap = triggerMap;
+    this.composedMap = composed.map;
+    this.diagnostics = prepared.diagnostics;
+    this.scanner.setCommandMap(prepared.map);
+
+    return this.diagnostics;
+  }
+
+  /**
+   * Get diagnostics for the current trigger map
+   * @returns {Array} Diagnostics
+   */
+  getTriggerMapDiagnostics() {
+    return this.diagnostics;
+  }
+
+  /**
+   * Allow a pattern across all triggers (see TrustQuery.allow)
+   * @param {string|RegExp} pattern - Allowed text or pattern
+   */
+  allow(pattern) {
+    if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+      throw new TypeError('allow() expects a string or a RegExp');
+    }
+
+    this.allowlist.push(pattern);
+    this.scanner.setAllowlist(this.allowlist);
+  }
+
+  /**
+   * Merge template variables into the context
+   * @param {Object} context - { name: value | (matchData) => value }
+   */
+  setContext(context) {
+    this.templateResolver.setContext(context);
+  }
+
+  /**
+   * Scan text and work out each match's resolution
+   * Every call stands alone: with the "suffix" representation resolutions come from
+   * the text; otherwise pass the ones the browser reported (TrustQuery.getResolutions).
+   * Reported resolutions are not trusted to clear a trigger that blocks submit, and a
+   * reported option must be one of the trigger's own options.
+   * @param {string} text - Text to scan
+   * @param {Object} options - Scan options
+   * @param {Array<Object>} options.resolutions - Reported resolutions ({ start, text, status, option, value })
+   * @returns {Array} Matches, each with a "resolution"
+   */
+  scan(text, options = {}) {
+    const matches = this.scanner.scan(text);
+    this.reportDisabledTriggers();
+    const resolutionManager = new ResolutionManager({
+      representation: this.options.resolution,
+      templateResolver: this.templateResolver,
+      debug: this.options.debug
+    });
+
+    (options.resolutions || []).forEach(reported => {
+      // Only accept resolutions for matches that are really there
+      const match = matches.find(candidate => candidate.start === reported.start && candidate.text === reported.text && !candidate.allowed);
+      if (!match || !ResolutionManager.STATUSES.includes(reported.status)) {
+        return;
+      }
+
+      if (reported.status === 'resolved') {
+        // The client can't vouch for a blocking trigger; a "/value" suffix in the text still can
+        const option = ResolutionManager.findOption(match, reported.option);
+        if (option === null || ValidationStateManager.blocksSubmit(match, this.messageStates)) {
+          return;
+        }
+        resolutionManager.set(match, 'resolved', { option, value: reported.value });
+        return;
+      }
+
+      resolutionManager.set(match, reported.status);
+    });
+
+    return resolutionManager.apply(text, matches);
+  }
+
+  /**
+   * Add a "regex-timeout" diagnostic for each trigger newly disabled by the scanner
+   */
+  reportDisabledTriggers() {
+    const reported = new Set(this.diagnostics.filter(d => d.code === 'regex-timeout').map(d => d.trigger));
+    const fresh = this.scanner.getDisabledTriggers().filter(trigger => !reported.has(trigger.id));
+
+    if (fresh.length > 0) {
+      this.diagnostics = [...this.diagnostics, ...TrustQueryCore.getTimeoutDiagnostics(fresh)];
+    }
+  }
+
+  /**
+   * Check text against the trigger map
+   * Async "function" triggers may still be running (state.pending); until they answer the
+   * text counts as blocked. Use checkSettled to wait for them.
+   * @param {string} text - Text to check
+   * @param {Object} options - See scan
+   * @returns {Object} { blocked, state, resolutions, matches } where state is the validation state
+   */
+  check(text, options = {}) {
+    const matches = this.scan(text, options);
+    const validationStateManager = new ValidationStateManager({
+      messageStates: this.messageStates,
+      debug: this.options.debug
+    });
+    validationStateManager.update(matches, { pending: this.scanner.getPendingMatchers().length > 0 });
+
+    const state = validationStateManager.getState();
+    return {
+      // A pending matcher may still turn out to block
+      blocked: state.hasBlockingError || state.pending,
+      state,
+      resolutions: new ResolutionManager().list(matches),
+      matches
+    };
+  }
+
+  /**
+   * Check text once async "function" triggers have settled
+   * @param {string} text - Text to check
+   * @param {Object} options - See scan
+   * @returns {Promise<Object>} { blocked, state, resolutions, matches }
+   */
+  async checkSettled(text, options = {}) {
+    let result = this.check(text, options);
+
+    while (result.state.pending) {
+      await Promise.allSettled(this.scanner.getPendingMatchers());
+      result = this.check(text, options);
+    }
+
+    return result;
+  }
+}
+
+export {
+  CommandScanner,
+  ValidationStateManager,
+  MessageStateRegistry,
+  TemplateResolver,
+  ResolutionManager,
+  TriggerMapValidator,
+  TriggerMapComposer,
+  TriggerMapMigrator,
+  TriggerMapTester,
+  TriggerPresets,
+  RegexSafety
+};
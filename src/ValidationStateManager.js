@@ -1,5 +1,7 @@
 // ValidationStateManager - Tracks validation state and triggers callbacks
 
+import MessageStateRegistry from './MessageStateRegistry.js';
+
 export default class ValidationStateManager {
   /**
    * Create validation state manager
@@ -11,21 +13,36 @@ export default class ValidationStateManager {
       ...options
     };
 
+    // Which states block submit (states declared in "$states" may)
+    this.messageStates = options.messageStates || new MessageStateRegistry();
+
     this.state = {
       hasBlockingError: false,
+      pending: false,  // async matchers still running
       errors: [],      // matches with message-state: 'error'
       warnings: [],    // matches with message-state: 'warning'
-      info: []         // matches with message-state: 'info'
+      info: [],        // matches with message-state: 'info'
+      allowed: [],     // allowlisted matches (not counted, kept for auditing)
+      resolved: [],    // matches the user clarified by choosing an option (not counted unless they block)
+      dismissed: [],   // matches the user dismissed (not counted unless they block)
+      blocking: [],    // matches that block submit
+      states: {}       // matches per message state, including custom ones
     };
 
-    console.log('[ValidationStateManager] Initialized');
+    this.settleWaiters = []; // resolvers waiting for pending to clear
+
+    if (this.options.debug) {
+      console.log('[ValidationStateManager] Initialized');
+    }
   }
 
   /**
    * Update validation state based on current matches
    * @param {Array} matches - Current matches from scanner
+   * @param {Object} options - Update options
+   * @param {boolean} options.pending - Async matchers are still running for this text
    */
-  update(matches) {
+  update(matches, options = {}) {
     if (this.options.debug) {
       console.log('[ValidationStateManager] update() called with matches:', matches.length);
       console.log('[ValidationStateManager] Match details:', JSON.stringify(matches, null, 2));
@@ -34,27 +51,63 @@ export default class ValidationStateManager {
     // Reset state
     const newState = {
       hasBlockingError: false,
+      pending: options.pending === true,
       errors: [],
       warnings: [],
-      info: []
+      info: [],
+      allowed: [],
+      resolved: [],
+      dismissed: [],
+      blocking: [],
+      states: {}
     };
 
+    // Every known state gets a bucket, even when empty
+    this.messageStates.names().forEach(name => {
+      newState.states[name] = [];
+    });
+
     // Categorize current matches
     matches.forEach(match => {
+      if (match.allowed) {
+        newState.allowed.push(match);
+        return;
+      }
+
       const messageState = match.command?.messageState;
-      const blockSubmit = match.command?.handler?.['block-submit'] === true;
+      const blockSubmit = this.blocksSubmit(match);
+      const status = match.resolution ? match.resolution.status : 'unresolved';
 
       if (this.options.debug) {
         console.log('[ValidationStateManager] Processing match:', {
           text: match.text,
           messageState,
           blockSubmit,
+          status,
           hasCommand: !!match.command
         });
       }
 
+      // A chosen option settles the match, but only clears a blocking trigger that sets
+      // "resolve-unblocks"; dismissing only waves off what doesn't block
+      const settled = status === 'resolved'
+        ? !blockSubmit || match.command?.handler?.['resolve-unblocks'] === true
+        : status === 'dismissed' && !blockSubmit;
+      if (settled) {
+        newState[status].push(match);
+        return;
+      }
+
       if (blockSubmit) {
         newState.hasBlockingError = true;
+        newState.blocking.push(match);
+      }
+
+      if (messageState) {
+        if (!newState.states[messageState]) {
+          newState.states[messageState] = [];
+        }
+        newState.states[messageState].push(match);
       }
 
       switch (messageState) {
@@ -75,6 +128,9 @@ export default class ValidationStateManager {
         errors: newState.errors.length,
         warnings: newState.warnings.length,
         info: newState.info.length,
+        allowed: newState.allowed.length,
+        resolved: newState.resolved.length,
+        dismissed: newState.dismissed.length,
         hasBlockingError: newState.hasBlockingError
       });
     }
@@ -82,9 +138,14 @@ export default class ValidationStateManager {
     // Check if state changed
     const stateChanged =
       this.state.hasBlockingError !== newState.hasBlockingError ||
+      this.state.pending !== newState.pending ||
       this.state.errors.length !== newState.errors.length ||
       this.state.warnings.length !== newState.warnings.length ||
-      this.state.info.length !== newState.info.length;
+      this.state.info.length !== newState.info.length ||
+      this.state.allowed.length !== newState.allowed.length ||
+      this.state.resolved.length !== newState.resolved.length ||
+      this.state.dismissed.length !== newState.dismissed.length ||
+      this.countsByState(this.state) !== this.countsByState(newState);
 
     if (stateChanged) {
       this.state = newState;
@@ -94,13 +155,74 @@ export default class ValidationStateManager {
         this.options.onValidationChange(this.state);
       }
 
-      console.log('[ValidationStateManager] State changed:', {
-        hasBlockingError: newState.hasBlockingError,
-        errors: newState.errors.length,
-        warnings: newState.warnings.length,
-        info: newState.info.length
-      });
+      if (this.options.debug) {
+        console.log('[ValidationStateManager] State changed:', {
+          hasBlockingError: newState.hasBlockingError,
+          pending: newState.pending,
+          errors: newState.errors.length,
+          warnings: newState.warnings.length,
+          info: newState.info.length,
+          allowed: newState.allowed.length,
+          resolved: newState.resolved.length,
+          dismissed: newState.dismissed.length
+        });
+      }
+    }
+
+    // Release anyone waiting for async matchers (e.g. a submit handler)
+    if (!this.state.pending && this.settleWaiters.length > 0) {
+      const waiters = this.settleWaiters;
+      this.settleWaiters = [];
+      waiters.forEach(resolve => resolve(this.getState()));
+    }
+  }
+
+  /**
+   * Check whether a match's trigger blocks submit (before resolutions are considered)
+   * The handler decides; without "block-submit" the state's default applies.
+   * @param {Object} match - Match from the scanner
+   * @param {MessageStateRegistry} messageStates - States and their "blockSubmit" defaults
+   * @returns {boolean} True if it blocks
+   */
+  static blocksSubmit(match, messageStates) {
+    const messageState = match.command?.messageState;
+    const handlerBlocks = match.command?.handler?.['block-submit'];
+
+    return handlerBlocks === undefined
+      ? messageStates.has(messageState) && messageStates.get(messageState).blockSubmit
+      : handlerBlocks === true;
+  }
+
+  /**
+   * Check whether a match's trigger blocks submit with this manager's states
+   * @param {Object} match - Match from the scanner
+   * @returns {boolean} True if it blocks
+   */
+  blocksSubmit(match) {
+    return ValidationStateManager.blocksSubmit(match, this.messageStates);
+  }
+
+  /**
+   * Summarize per-state bucket sizes (to detect changes in custom states)
+   * @param {Object} state - Validation state
+   * @returns {string} e.g. "error:1,policy:2"
+   */
+  countsByState(state) {
+    return Object.keys(state.states)
+      .map(name => `${name}:${state.states[name].length}`)
+      .join(',');
+  }
+
+  /**
+   * Wait until no async matchers are pending
+   * @returns {Promise<Object>} Settled validation state
+   */
+  whenSettled() {
+    if (!this.state.pending) {
+      return Promise.resolve(this.getState());
     }
+
+    return new Promise(resolve => this.settleWaiters.push(resolve));
   }
 
   /**
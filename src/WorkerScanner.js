@@ -0,0 +1,207 @@
+// WorkerScanner - Runs CommandScanner in a dedicated Web Worker
+// The worker is created from an inline blob built from the scanner's own source
+
+import CommandScanner from './CommandScanner.js';
+import AhoCorasickMatcher from './command-scanner-helpers/AhoCorasickMatcher.js';
+
+/**
+ * Worker entry point (serialized into the blob, runs inside the worker)
+ * Keeps the last scan so edits are rescanned incrementally.
+ * @param {Function} Scanner - CommandScanner class
+ * @param {Object} options - Scanner options (JSON)
+ */
+function workerMain(Scanner, options) {
+  const scanner = new Scanner(options);
+  let last = null;
+
+  self.onmessage = (e) => {
+    const message = e.data;
+
+    if (message.type === 'setCommandMap') {
+      scanner.setCommandMap(message.commandMap);
+      last = null;
+      return;
+    }
+
+    if (message.type === 'setAllowlist') {
+      scanner.setAllowlist(message.patterns);
+      last = null;
+      return;
+    }
+
+    if (message.type === 'scan') {
+      let matches = null;
+      if (last) {
+        const result = scanner.scanIncremental(last.text, last.matches, message.text);
+        matches = result ? result.matches : null;
+      }
+      if (!matches) {
+        matches = scanner.scan(message.text);
+      }
+
+      last = { text: message.text, matches };
+      self.postMessage({ type: 'result', id: message.id, matches, disabled: scanner.getDisabledTriggers() });
+    }
+  };
+}
+
+export default class WorkerScanner {
+  /**
+   * Create worker scanner
+   * @param {Object} options - Configuration
+   * @param {number} options.regexBudget - See CommandScanner
+   * @param {Function} options.onError - (error) when the worker fails; pending and later scans reject
+   */
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      regexBudget: options.regexBudget,
+      onError: options.onError || null,
+      ...options
+    };
+
+    this.commandMap = null;
+    this.disabledTriggers = []; // as reported with the latest result
+    this.requestId = 0;
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.error = null;        // set once the worker fails; later scans reject with it
+    this.worker = this.createWorker();
+
+    if (this.options.debug) {
+      console.log('[WorkerScanner] Initialized');
+    }
+  }
+
+  /**
+   * Create the worker from an inline blob
+   * @returns {Worker} Worker
+   */
+  createWorker() {
+    const source = [
+      `const ${AhoCorasickMatcher.name} = ${AhoCorasickMatcher.toString()};`,
+      `const ${CommandScanner.name} = ${CommandScanner.toString()};`,
+      `(${workerMain.toString()})(${CommandScanner.name}, ${JSON.stringify({ regexBudget: this.options.regexBudget })});`
+    ].join('\n');
+
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+
+    worker.onmessage = (e) => this.handleMessage(e.data);
+    worker.onerror = (e) => {
+      this.handleError(new Error(`Scanner worker failed: ${e.message || 'unknown error'}`));
+    };
+
+    return worker;
+  }
+
+  /**
+   * Set command map (parsed and compiled inside the worker)
+   * @param {Object} commandMap - Command map object
+   */
+  setCommandMap(commandMap) {
+    this.commandMap = commandMap;
+    this.disabledTriggers = [];
+    this.worker.postMessage({ type: 'setCommandMap', commandMap });
+  }
+
+  /**
+   * Set the host allowlist (compiled inside the worker)
+   * @param {Array<string|RegExp>} patterns - Allowed literals and regexes
+   */
+  setAllowlist(patterns) {
+    this.worker.postMessage({ type: 'setAllowlist', patterns });
+  }
+
+  /**
+   * Scan text in the worker
+   * Only the latest request resolves with matches; superseded requests resolve
+   * with null so callers can drop them. Once the worker has failed, scans reject.
+   * @param {string} text - Text to scan
+   * @returns {Promise<Array|null>} Matches, or null if a newer scan was requested
+   */
+  scan(text) {
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+
+    const id = ++this.requestId;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'scan', id, text });
+    });
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} message - { type, id, matches, disabled }
+   */
+  handleMessage(message) {
+    if (message.type !== 'result') {
+      return;
+    }
+
+    this.disabledTriggers = message.disabled || [];
+
+    const request = this.pending.get(message.id);
+    this.pending.delete(message.id);
+
+    if (!request) {
+      return;
+    }
+
+    // Drop stale results
+    if (message.id !== this.requestId) {
+      if (this.options.debug) {
+        console.log('[WorkerScanner] Dropping stale result', message.id, '(latest', this.requestId + ')');
+      }
+      request.resolve(null);
+      return;
+    }
+
+    request.resolve(message.matches);
+  }
+
+  /**
+   * Fail every pending scan after the worker errored (e.g. a CSP that blocks
+   * blob: workers, or an exception inside the worker)
+   * @param {Error} error - What went wrong
+   */
+  handleError(error) {
+    this.error = error;
+
+    const pending = [...this.pending.values()];
+    this.pending.clear();
+    pending.forEach(request => request.reject(error));
+
+    if (this.options.debug) {
+      console.log('[WorkerScanner]', error.message);
+    }
+
+    if (this.options.onError) {
+      this.options.onError(error);
+    }
+  }
+
+  /**
+   * Get the triggers the worker disabled for going over the regex budget
+   * @returns {Array<Object>} [{ id, pattern, elapsed, budget }]
+   */
+  getDisabledTriggers() {
+    return this.disabledTriggers;
+  }
+
+  /**
+   * Terminate the worker
+   */
+  destroy() {
+    this.worker.terminate();
+    this.pending.forEach(request => request.resolve(null));
+    this.pending.clear();
+
+    if (this.options.debug) {
+      console.log('[WorkerScanner] Destroyed');
+    }
+  }
+}
@@ -0,0 +1,139 @@
+// AhoCorasickMatcher - Finds every occurrence of many literal strings in one pass
+// Built once per trigger map; scanning cost depends on text length, not dictionary size
+
+export default class AhoCorasickMatcher {
+  // Edge keys pack (node, UTF-16 code unit) into one number: node * 2^16 + code
+  // Kept on the class so the source stays self-contained for the scanner worker
+  static CODE_UNITS = 0x10000;
+
+  /**
+   * Create an empty matcher
+   */
+  constructor() {
+    this.edges = new Map();     // edge key -> child node
+    this.children = [[]];       // node -> code units of outgoing edges (for BFS)
+    this.fail = [0];            // node -> failure link
+    this.outputs = [null];      // node -> values of terms ending exactly here
+    this.lengths = [0];         // node -> depth (term length when terminal)
+    this.dictLink = [0];        // node -> nearest terminal node on the failure chain
+    this.built = false;
+    this.size = 0;
+  }
+
+  /**
+   * Add a term
+   * @param {string} term - Literal to find
+   * @param {*} value - Value reported with each occurrence
+   */
+  add(term, value) {
+    if (!term) {
+      return;
+    }
+
+    const CODE_UNITS = AhoCorasickMatcher.CODE_UNITS;
+    let node = 0;
+    for (let i = 0; i < term.length; i++) {
+      const code = term.charCodeAt(i);
+      const key = node * CODE_UNITS + code;
+      let next = this.edges.get(key);
+
+      if (next === undefined) {
+        next = this.fail.length;
+        this.edges.set(key, next);
+        this.children[node].push(code);
+        this.children.push([]);
+        this.fail.push(0);
+        this.outputs.push(null);
+        this.lengths.push(this.lengths[node] + 1);
+        this.dictLink.push(0);
+      }
+
+      node = next;
+    }
+
+    if (!this.outputs[node]) {
+      this.outputs[node] = [];
+    }
+    this.outputs[node].push(value);
+    this.size++;
+    this.built = false;
+  }
+
+  /**
+   * Compute failure and dictionary links (breadth-first)
+   */
+  build() {
+    const CODE_UNITS = AhoCorasickMatcher.CODE_UNITS;
+    const queue = [];
+
+    // Depth-1 nodes fail to the root
+    for (const code of this.children[0]) {
+      const child = this.edges.get(code);
+      this.fail[child] = 0;
+      this.dictLink[child] = 0;
+      queue.push(child);
+    }
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+
+      for (const code of this.children[node]) {
+        const child = this.edges.get(node * CODE_UNITS + code);
+
+        // Longest proper suffix of child's path that is also in the trie
+        let state = this.fail[node];
+        let target = this.edges.get(state * CODE_UNITS + code);
+        while (target === undefined && state !== 0) {
+          state = this.fail[state];
+          target = this.edges.get(state * CODE_UNITS + code);
+        }
+        const failNode = target !== undefined ? target : 0;
+
+        this.fail[child] = failNode;
+        this.dictLink[child] = this.outputs[failNode] ? failNode : this.dictLink[failNode];
+        queue.push(child);
+      }
+    }
+
+    this.built = true;
+  }
+
+  /**
+   * Find all (possibly overlapping) occurrences in text
+   * @param {string} text - Text to search
+   * @param {Function} onMatch - Called as onMatch(start, end, value) for every occurrence
+   */
+  search(text, onMatch) {
+    if (this.size === 0) {
+      return;
+    }
+    if (!this.built) {
+      throw new Error('AhoCorasickMatcher.build() must be called before search()');
+    }
+
+    const CODE_UNITS = AhoCorasickMatcher.CODE_UNITS;
+    let state = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+
+      let next = this.edges.get(state * CODE_UNITS + code);
+      while (next === undefined && state !== 0) {
+        state = this.fail[state];
+        next = this.edges.get(state * CODE_UNITS + code);
+      }
+      state = next === undefined ? 0 : next;
+
+      // Report terms ending here: the state itself, then the dictionary chain
+      let node = this.outputs[state] ? state : this.dictLink[state];
+      while (node !== 0) {
+        const end = i + 1;
+        const start = end - this.lengths[node];
+        for (const value of this.outputs[node]) {
+          onMatch(start, end, value);
+        }
+        node = this.dictLink[node];
+      }
+    }
+  }
+}
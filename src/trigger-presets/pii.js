@@ -0,0 +1,180 @@
+// PII preset pack - Detectors for personal data, used as "$use": ["pii"]
+// Each detector has a stable id (to disable it or change its severity) and a
+// corpus of samples it must flag and false-positive traps it must not.
+
+/**
+ * Check a number with the Luhn checksum (credit cards)
+ * @param {string} input - Candidate number (spaces and dashes allowed)
+ * @returns {boolean} True if 13-19 digits with a valid checksum
+ */
+function luhn(input) {
+  const digits = input.replace(/[\s-]/g, '');
+  if (!/^\d{13,19}$/.test(digits)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN with the ISO 13616 mod-97 checksum
+ * @param {string} input - Candidate IBAN (spaces allowed)
+ * @returns {boolean} True if the checksum is valid
+ */
+function iban(input) {
+  const compact = input.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact)) {
+    return false;
+  }
+
+  // Move the country code and check digits to the end, letters become 10..35
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = char >= 'A' ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+
+  return remainder === 1;
+}
+
+const HEX = '[0-9a-fA-F]{1,4}';
+const MONTH = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\\.?';
+const DATE = [
+  '\\d{1,2}[/.-]\\d{1,2}[/.-](?:19|20)\\d{2}',
+  '(?:19|20)\\d{2}-\\d{2}-\\d{2}',
+  `\\d{1,2}\\s+${MONTH}\\s+(?:19|20)\\d{2}`,
+  `${MONTH}\\s+\\d{1,2},?\\s+(?:19|20)\\d{2}`
+].join('|');
+
+export default {
+  name: 'pii',
+  description: 'Personal data: emails, phone numbers, SSNs, payment cards, IBANs, IP addresses, dates of birth',
+
+  matchers: {
+    'pii.luhn': luhn,
+    'pii.iban': iban
+  },
+
+  triggers: [
+    {
+      id: 'pii.email',
+      state: 'error',
+      type: 'regex',
+      category: 'pii-email',
+      regex: ['(?<![\\w.%+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}\\b'],
+      handler: { message: 'Email addresses are personal data' },
+      corpus: {
+        positives: ['reach me at jane.doe@example.com', 'CC: ops+alerts@mail.acme.co.uk'],
+        traps: ['ask @client for access', 'ssh admin@localhost', 'pinned to lib@2.1']
+      }
+    },
+    {
+      id: 'pii.phone',
+      state: 'error',
+      type: 'regex',
+      category: 'pii-phone',
+      regex: [
+        '(?<![\\w+])\\+\\d{1,3}[\\s.-]?\\(?\\d{1,4}\\)?(?:[\\s.-]?\\d{2,4}){2,4}\\b',
+        '(?:\\(\\d{3}\\)\\s?|\\b\\d{3}[\\s.-])\\d{3}[\\s.-]\\d{4}\\b'
+      ],
+      handler: { message: 'Phone numbers are personal data' },
+      corpus: {
+        positives: ['call +44 20 7946 0958', 'mobile: +1 (415) 555-2671', 'office (212) 555-0187', 'cell 415.555.2671'],
+        traps: ['released on 2023-10-15', 'version 1.20.3', 'order 1234567890', 'ISBN 978-3-16-148410-0']
+      }
+    },
+    {
+      id: 'pii.ssn',
+      state: 'error',
+      type: 'regex',
+      category: 'pii-ssn',
+      regex: ['\\b(?!000|666|9\\d\\d)\\d{3}-(?!00)\\d{2}-(?!0000)\\d{4}\\b'],
+      handler: { message: 'US Social Security numbers are personal data' },
+      corpus: {
+        positives: ['SSN 123-45-6789', 'my number is 078-05-1120.'],
+        traps: ['000-12-3456', 'call 555-123-4567', 'part 123-45-67890']
+      }
+    },
+    {
+      id: 'pii.credit-card',
+      state: 'error',
+      type: 'function',
+      validator: 'pii.luhn',
+      category: 'pii-credit-card',
+      regex: ['\\b\\d(?:[ -]?\\d){12,18}\\b'],
+      handler: { message: 'Payment card numbers are personal data' },
+      corpus: {
+        positives: ['card 4111 1111 1111 1111', 'use 5500-0000-0000-0004 please', '378282246310005'],
+        traps: ['card 4111 1111 1111 1112', 'order 1234 5678 9012 3456', 'tracking 9400111899223100012']
+      }
+    },
+    {
+      id: 'pii.iban',
+      state: 'error',
+      type: 'function',
+      validator: 'pii.iban',
+      category: 'pii-iban',
+      regex: ['\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\\b'],
+      caseSensitive: true,
+      handler: { message: 'Bank account numbers (IBAN) are personal data' },
+      corpus: {
+        positives: ['wire to GB82 WEST 1234 5698 7654 32', 'IBAN DE89370400440532013000'],
+        traps: ['GB82 WEST 1234 5698 7654 33', 'ticket AB12 CDEF GHIJ KLMN']
+      }
+    },
+    {
+      id: 'pii.ipv4',
+      state: 'warning',
+      type: 'regex',
+      category: 'pii-ip-address',
+      regex: ['(?<![\\d.])(?:(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)\\.){3}(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)(?!\\.?\\d)'],
+      handler: { message: 'IP addresses can identify a person' },
+      corpus: {
+        positives: ['login from 203.0.113.42', 'host 10.0.0.1.'],
+        traps: ['version 1.2.3.4.5', 'address 999.1.1.1', 'build 2024.1.15']
+      }
+    },
+    {
+      id: 'pii.ipv6',
+      state: 'warning',
+      type: 'regex',
+      category: 'pii-ip-address',
+      regex: [
+        `(?<![\\w:])(?:(?:${HEX}:){7}${HEX}|(?:${HEX}:){1,7}:|(?:${HEX}:){1,6}:${HEX}|(?:${HEX}:){1,5}(?::${HEX}){1,2}|(?:${HEX}:){1,4}(?::${HEX}){1,3}|(?:${HEX}:){1,3}(?::${HEX}){1,4}|(?:${HEX}:){1,2}(?::${HEX}){1,5}|${HEX}:(?::${HEX}){1,6}|::(?:${HEX}:){0,5}${HEX})(?![\\w:])`
+      ],
+      handler: { message: 'IP addresses can identify a person' },
+      corpus: {
+        positives: ['client 2001:0db8:85a3:0000:0000:8a2e:0370:7334', 'from 2001:db8::ff00:42:8329', 'loopback ::1'],
+        traps: ['at 12:30:45', 'use std::vector', 'ratio 3:2']
+      }
+    },
+    {
+      id: 'pii.dob',
+      state: 'error',
+      type: 'regex',
+      category: 'pii-date-of-birth',
+      flags: 'i',
+      regex: [`\\b(?:DOB|D\\.O\\.B\\.|date of birth|birth ?date|born(?: on)?)\\s*[:-]?\\s*(?:${DATE})\\b`],
+      handler: { message: 'Dates of birth are personal data' },
+      corpus: {
+        positives: ['DOB: 04/12/1986', 'born on 1990-02-01', 'Date of birth 2 March 1985', 'birthdate Jan 5, 2001'],
+        traps: ['meeting on 04/12/2024', 'born in 1990', 'invoice date 2020-01-01']
+      }
+    }
+  ]
+};
@@ -0,0 +1,230 @@
+// ReportFormatter - Prints CLI scan results as a table, JSON or SARIF, and test results
+// Input is the list of per-file results built by TrustQueryCli; match texts of
+// redacted triggers are masked in every format.
+
+import TemplateResolver from '../TemplateResolver.js';
+
+export default class ReportFormatter {
+  // Output formats
+  static FORMATS = ['table', 'json', 'sarif'];
+
+  // Output formats for "$tests" results
+  static TEST_FORMATS = ['table', 'json'];
+
+  // SARIF result level per message state (other states are notes)
+  static SARIF_LEVELS = {
+    error: 'error',
+    warning: 'warning',
+    info: 'note'
+  };
+
+  /**
+   * Create formatter
+   * @param {Object} options - Configuration
+   * @param {string} options.version - Tool version reported in SARIF
+   */
+  constructor(options = {}) {
+    this.options = {
+      version: options.version || '0.0.0',
+      ...options
+    };
+  }
+
+  /**
+   * Format results
+   * @param {string} format - 'table', 'json' or 'sarif'
+   * @param {Array<Object>} results - [{ file, blocked, matches: [reported match] }]
+   * @param {Array<Object>} diagnostics - Trigger map diagnostics
+   * @returns {string} Report text
+   */
+  format(format, results, diagnostics = []) {
+    if (format === 'json') {
+      return this.formatJson(results, diagnostics);
+    }
+    if (format === 'sarif') {
+      return this.formatSarif(results);
+    }
+    return this.formatTable(results);
+  }
+
+  /**
+   * Describe a match for reports
+   * Lines and columns are 1-based, as editors show them.
+   * @param {Object} match - Match from TrustQueryCore (with resolution)
+   * @param {boolean} blocking - Whether the match blocks
+   * @param {TemplateResolver} templateResolver - Resolves {{variables}} in the message
+   * @param {number} lineOffset - Lines before the checked text (when files are checked line by line)
+   * @returns {Object} Reported match
+   */
+  static describe(match, blocking, templateResolver, lineOffset = 0) {
+    const command = match.command || {};
+    const handler = command.handler || {};
+    const matchData = { ...match, intent: command.intent };
+    const message = handler.message || handler['message-content'] || command.intent?.description || '';
+
+    return {
+      line: match.line + lineOffset + 1,
+      column: match.col + 1,
+      endLine: (match.endLine !== undefined ? match.endLine : match.line) + lineOffset + 1,
+      endColumn: (match.endCol !== undefined ? match.endCol : match.col + match.length) + 1,
+      text: handler.redact ? TemplateResolver.redact(match.text) : match.text,
+      commandId: command.id || null,
+      category: command.category || null,
+      messageState: command.messageState || null,
+      blocking,
+      status: match.resolution ? match.resolution.status : 'unresolved',
+      message: message ? templateResolver.resolve(message, matchData) : ''
+    };
+  }
+
+  /**
+   * Human-readable table, one row per match, plus a summary line
+   * @param {Array<Object>} results - Per-file results
+   * @returns {string} Table
+   */
+  formatTable(results) {
+    const rows = [];
+    results.forEach(result => {
+      result.matches.forEach(match => {
+        rows.push([
+          `${result.file}:${match.line}:${match.column}`,
+          match.blocking ? `${match.messageState} (blocking)` : match.messageState,
+          match.commandId,
+          match.status === 'unresolved' ? '' : match.status,
+          this.truncate(match.text, 40),
+          match.message
+        ]);
+      });
+    });
+
+    const count = rows.length;
+    const blocking = results.reduce((sum, result) => sum + result.matches.filter(match => match.blocking).length, 0);
+    const files = results.filter(result => result.matches.length > 0).length;
+    const summary = `${count} match${count === 1 ? '' : 'es'}, ${blocking} blocking, in ${files} of ${results.length} file${results.length === 1 ? '' : 's'}`;
+
+    if (count === 0) {
+      return `${summary}\n`;
+    }
+
+    const header = ['LOCATION', 'STATE', 'TRIGGER', 'RESOLUTION', 'TEXT', 'MESSAGE'];
+    const table = [header, ...rows];
+    const widths = header.map((_, column) => Math.max(...table.map(row => String(row[column] ?? '').length)));
+    const lines = table.map(row => row
+      .map((cell, column) => column === row.length - 1 ? String(cell ?? '') : String(cell ?? '').padEnd(widths[column]))
+      .join('  ')
+      .trimEnd());
+
+    return `${lines.join('\n')}\n\n${summary}\n`;
+  }
+
+  /**
+   * JSON report
+   * @param {Array<Object>} results - Per-file results
+   * @param {Array<Object>} diagnostics - Trigger map diagnostics
+   * @returns {string} JSON text
+   */
+  formatJson(results, diagnostics) {
+    return `${JSON.stringify({
+      blocked: results.some(result => result.blocked),
+      files: results,
+      diagnostics
+    }, null, 2)}\n`;
+  }
+
+  /**
+   * SARIF 2.1.0 report (for code scanning dashboards)
+   * @param {Array<Object>} results - Per-file results
+   * @returns {string} SARIF JSON text
+   */
+  formatSarif(results) {
+    const rules = new Map();
+    const sarifResults = [];
+
+    results.forEach(result => {
+      result.matches.forEach(match => {
+        const ruleId = match.commandId || 'trustquery';
+        const level = ReportFormatter.SARIF_LEVELS[match.messageState] || 'note';
+
+        if (!rules.has(ruleId)) {
+          rules.set(ruleId, {
+            id: ruleId,
+            shortDescription: { text: match.category ? `${match.category} (${match.messageState})` : ruleId },
+            defaultConfiguration: { level },
+            properties: { category: match.category, messageState: match.messageState }
+          });
+        }
+
+        sarifResults.push({
+          ruleId,
+          level: match.blocking ? 'error' : level,
+          message: { text: match.message || `${match.category || 'Trigger'} matched "${match.text}"` },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: result.file },
+              region: {
+                startLine: match.line,
+                startColumn: match.column,
+                endLine: match.endLine,
+                endColumn: match.endColumn
+              }
+            }
+          }],
+          properties: { blocking: match.blocking, resolution: match.status }
+        });
+      });
+    });
+
+    return `${JSON.stringify({
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'trustquery',
+            version: this.options.version,
+            informationUri: 'https://github.com/RonItelman/trustquery-browser',
+            rules: Array.from(rules.values())
+          }
+        },
+        results: sarifResults
+      }]
+    }, null, 2)}\n`;
+  }
+
+  /**
+   * Format "$tests" results: one PASS/FAIL line per case with its failures, or JSON
+   * @param {string} format - 'table' or 'json'
+   * @param {Object} result - TrustQueryCore.testTriggerMap result
+   * @returns {string} Report text
+   */
+  formatTests(format, result) {
+    if (format === 'json') {
+      return `${JSON.stringify(result, null, 2)}\n`;
+    }
+
+    const lines = [];
+    result.cases.forEach(testCase => {
+      lines.push(`${testCase.passed ? 'PASS' : 'FAIL'}  ${testCase.name}  ${this.truncate(testCase.text, 60)}`);
+      testCase.failures.forEach(failure => {
+        lines.push(`      ${failure.message}`);
+      });
+    });
+
+    const summary = result.total === 0
+      ? 'No "$tests" in the trigger map'
+      : `${result.total - result.failed} of ${result.total} test case${result.total === 1 ? '' : 's'} passed`;
+
+    return lines.length > 0 ? `${lines.join('\n')}\n\n${summary}\n` : `${summary}\n`;
+  }
+
+  /**
+   * Shorten long cells
+   * @param {string} text - Cell text
+   * @param {number} max - Maximum length
+   * @returns {string} Text, cut with "…" if longer
+   */
+  truncate(text, max) {
+    const oneLine = String(text).replace(/\s+/g, ' ');
+    return oneLine.length > max ? `${oneLine.slice(0, max - 1)}…` : oneLine;
+  }
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AhoCorasickMatcher from '../src/command-scanner-helpers/AhoCorasickMatcher.js';
+import CommandScanner from '../src/CommandScanner.js';
+
+/**
+ * Collect every occurrence of the given terms
+ * @param {Array<string>} terms - Terms (each reported with itself as value)
+ * @param {string} text - Text to search
+ * @returns {Array<string>} "start-end:value" per occurrence
+ */
+function find(terms, text) {
+  const matcher = new AhoCorasickMatcher();
+  terms.forEach(term => matcher.add(term, term));
+  matcher.build();
+
+  const found = [];
+  matcher.search(text, (start, end, value) => found.push(`${start}-${end}:${value}`));
+  return found;
+}
+
+test('overlapping and nested terms are all reported', () => {
+  assert.deepEqual(find(['he', 'she', 'his', 'hers'], 'ushers'), ['1-4:she', '2-4:he', '2-6:hers']);
+  assert.deepEqual(find(['aa'], 'aaaa'), ['0-2:aa', '1-3:aa', '2-4:aa']);
+});
+
+test('empty terms are ignored and an empty matcher finds nothing', () => {
+  const matcher = new AhoCorasickMatcher();
+  matcher.add('', 'empty');
+  assert.equal(matcher.size, 0);
+
+  const found = [];
+  matcher.search('anything', () => found.push(true));
+  assert.deepEqual(found, []);
+});
+
+test('searching before build() throws', () => {
+  const matcher = new AhoCorasickMatcher();
+  matcher.add('term', 'term');
+  assert.throws(() => matcher.search('term', () => {}), /build\(\)/);
+});
+
+test('a large literal dictionary is scanned in one pass', () => {
+  const terms = Array.from({ length: 5000 }, (_, i) => `project${i}x`);
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({ 'tql-triggers': { warning: [{ id: 'projects', type: 'match', match: terms }] } });
+
+  const matches = scanner.scan('ship project42x and Project4999X, not project5000x');
+  assert.deepEqual(matches.map(match => match.text), ['project42x', 'Project4999X']);
+  assert.ok(matches.every(match => match.command.id === 'projects'));
+});
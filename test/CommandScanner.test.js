@@ -0,0 +1,432 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CommandScanner from '../src/CommandScanner.js';
+import TrustQueryCore from '../src/TrustQueryCore.js';
+
+// "(x+x+)+y" backtracks exponentially on a run of x's with no y
+const triggerMap = {
+  'tql-triggers': {
+    error: [
+      { id: 'evil', type: 'regex', regex: ['(x+x+)+y'] },
+      { id: 'fine', type: 'regex', regex: ['x{3}'] }
+    ]
+  }
+};
+const slowText = `xxx ${'x'.repeat(24)}\nxxx`;
+
+/**
+ * Scan text with a map of warning triggers
+ * @param {Array<Object>} triggers - Triggers (listed under "warning")
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} Matched texts
+ */
+function scanTexts(triggers, text) {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({ 'tql-triggers': { warning: triggers } });
+  return scanner.scan(text).map(match => match.text);
+}
+
+/**
+ * Scan text with a full map of triggers
+ * @param {Object} triggers - "tql-triggers" of the map
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} "id:text" per match
+ */
+function scanIds(triggers, text) {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({ 'tql-triggers': triggers });
+  return scanner.scan(text).map(match => `${match.command.id}:${match.text}`);
+}
+
+test('a trigger over the regex budget is disabled and reported once', () => {
+  const core = new TrustQueryCore({ triggerMap, regexBudget: 5 });
+
+  const { matches } = core.check(slowText);
+  assert.ok(matches.every(match => match.command.id === 'fine'));
+  assert.ok(matches.length > 0);
+
+  core.check(slowText);
+  const timeouts = core.getTriggerMapDiagnostics().filter(d => d.code === 'regex-timeout');
+  assert.equal(timeouts.length, 1);
+  assert.equal(timeouts[0].trigger, 'evil');
+  assert.equal(timeouts[0].severity, 'error');
+});
+
+test('a new command map re-enables disabled triggers', () => {
+  const scanner = new CommandScanner({ regexBudget: 5 });
+  scanner.setCommandMap(triggerMap);
+  scanner.scan(slowText);
+  assert.deepEqual(scanner.getDisabledTriggers().map(trigger => trigger.id), ['evil']);
+
+  scanner.setCommandMap(triggerMap);
+  assert.deepEqual(scanner.getDisabledTriggers(), []);
+});
+
+test('an incremental scan that disables a trigger asks for a full scan', () => {
+  const scanner = new CommandScanner({ regexBudget: 5 });
+  scanner.setCommandMap(triggerMap);
+  const previous = scanner.scan('xxx');
+
+  assert.equal(scanner.scanIncremental('xxx', previous, slowText), null);
+});
+
+test('safe-regex mode skips unsafe triggers and reports them as errors', () => {
+  const core = new TrustQueryCore({ triggerMap, safeRegex: true });
+  assert.deepEqual(core.scanner.commands.map(command => command.id), ['fine']);
+  assert.ok(core.getTriggerMapDiagnostics().some(d => d.code === 'unsafe-regex' && d.severity === 'error'));
+
+  assert.equal(TrustQueryCore.validateTriggerMap(triggerMap).valid, true);
+  assert.equal(TrustQueryCore.validateTriggerMap(triggerMap, { safeRegex: true }).valid, false);
+});
+
+test('an incremental scan finds the same matches as a full scan after each edit', () => {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({
+    'tql-triggers': {
+      warning: [
+        { id: 'word', type: 'match', match: ['acme', 'red flag'] },
+        { id: 'ticket', type: 'regex', regex: ['TQ-\\d+'] }
+      ]
+    }
+  });
+
+  // Deterministic pseudo-random edits (no flaky failures)
+  let seed = 7;
+  const random = (n) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % n;
+  };
+  const pieces = ['acme', 'red', ' flag', 'TQ-', '42', ' ', '\n', 'x', 'a'];
+  const summary = matches => matches.map(match => `${match.start}:${match.end}:${match.text}:${match.command.id}`);
+
+  let text = 'acme red flag\nTQ-1 and acme\n';
+  let matches = scanner.scan(text);
+
+  for (let i = 0; i < 300; i++) {
+    const at = random(text.length + 1);
+    const next = random(3) === 0
+      ? text.slice(0, at) + text.slice(at + 1 + random(4))
+      : text.slice(0, at) + pieces[random(pieces.length)] + text.slice(at);
+
+    const result = scanner.scanIncremental(text, matches, next);
+    assert.ok(result, 'incremental scan should not fall back for this map');
+    assert.deepEqual(summary(result.matches), summary(scanner.scan(next)), `edit ${i}: ${JSON.stringify(next)}`);
+
+    text = next;
+    matches = result.matches;
+  }
+});
+
+test('"/" after a match only ends the word for triggers with options', () => {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({
+    'tql-triggers': {
+      warning: [
+        { id: 'plain', type: 'match', match: ['acme'] },
+        { id: 'dated', type: 'match', match: ['yesterday'], handler: { options: [{ label: 'UTC', 'on-select': { display: 'UTC' } }] } }
+      ]
+    }
+  });
+
+  const ids = text => scanner.scan(text).map(match => match.command.id);
+  assert.deepEqual(ids('see acme/foo and https://acme/x'), []);
+  assert.deepEqual(ids('see acme today'), ['plain']);
+  assert.deepEqual(ids('yesterday/UTC'), ['dated']);
+});
+
+test('the sticky flag is ignored by the scanner and rejected by validation', () => {
+  const map = { 'tql-triggers': { warning: [{ id: 'ab', type: 'regex', flags: 'y', regex: ['ab'] }] } };
+  const scanner = new CommandScanner();
+  scanner.setCommandMap(map);
+
+  assert.deepEqual(scanner.scan('ab ab abab').map(match => match.start), [0, 3, 6, 8]);
+  assert.ok(TrustQueryCore.validateTriggerMap(map).diagnostics.some(d => d.code === 'invalid-flags' && d.severity === 'error'));
+});
+
+test('a failing matcher is only reported once', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  CommandScanner.registerMatcher('always-throws', () => {
+    throw new Error('broken');
+  });
+
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({ 'tql-triggers': { warning: [{ id: 'broken', type: 'function', validator: 'always-throws' }] } });
+  scanner.scan('one');
+  scanner.scan('two');
+  scanner.scan('three');
+
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('document-scoped regexes match across lines and every match has absolute offsets', () => {
+  const scanner = new CommandScanner();
+  const map = scope => ({
+    'tql-triggers': {
+      warning: [
+        { id: 'last-week', type: 'regex', scope, regex: ['last\\s+week'] },
+        { id: 'today', type: 'match', match: ['today'] }
+      ]
+    }
+  });
+  const text = 'ok today\nsee last\nweek';
+
+  scanner.setCommandMap(map('line'));
+  assert.deepEqual(scanner.scan(text).map(match => match.command.id), ['today']);
+
+  scanner.setCommandMap(map('document'));
+  const [today, lastWeek] = scanner.scan(text);
+  assert.deepEqual(
+    { start: today.start, end: today.end, line: today.line, col: today.col },
+    { start: 3, end: 8, line: 0, col: 3 }
+  );
+  assert.deepEqual(
+    { text: lastWeek.text, start: lastWeek.start, end: lastWeek.end, line: lastWeek.line, col: lastWeek.col, endLine: lastWeek.endLine, endCol: lastWeek.endCol },
+    { text: 'last\nweek', start: 13, end: 22, line: 1, col: 4, endLine: 2, endCol: 4 }
+  );
+  assert.equal(text.slice(lastWeek.start, lastWeek.end), lastWeek.text);
+});
+
+test('regex triggers honour flags and caseSensitive', () => {
+  assert.deepEqual(scanTexts([{ type: 'regex', regex: ['@acme\\.com'] }], 'a@ACME.com b@acme.com'), ['@acme.com']);
+  assert.deepEqual(scanTexts([{ type: 'regex', flags: 'i', regex: ['@acme\\.com'] }], 'a@ACME.com b@acme.com'), ['@ACME.com', '@acme.com']);
+  assert.deepEqual(scanTexts([{ type: 'regex', flags: 'i', caseSensitive: true, regex: ['AAPL'] }], 'aapl AAPL'), ['AAPL']);
+  assert.deepEqual(scanTexts([{ type: 'regex', flags: 's', scope: 'document', regex: ['begin.end'] }], 'begin\nend'), ['begin\nend']);
+});
+
+test('match triggers are case insensitive unless told otherwise', () => {
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['today'] }], 'Today TODAY'), ['Today', 'TODAY']);
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['IT'], caseSensitive: true }], 'it IT'), ['IT']);
+});
+
+test('wholeWord defaults to on for match triggers and off for regex triggers', () => {
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['cat'] }], 'cat concatenate'), ['cat']);
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['cat'], wholeWord: false }], 'concatenate'), ['cat']);
+  assert.deepEqual(scanTexts([{ type: 'regex', regex: ['cat'] }], 'concatenate'), ['cat']);
+  assert.deepEqual(scanTexts([{ type: 'regex', regex: ['cat'], wholeWord: true }], 'concatenate cat'), ['cat']);
+});
+
+test('minLength and maxLength guard the matched text', () => {
+  const ticket = { type: 'regex', regex: ['\\d+'], minLength: 3, maxLength: 5 };
+  assert.deepEqual(scanTexts([ticket], '12 123 12345 123456'), ['123', '12345']);
+});
+
+test('word boundaries treat letters and marks of any script as word characters', () => {
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['café'] }], 'cafés café, café.'), ['café', 'café']);
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['Москва'] }], 'Москвы Москва'), ['Москва']);
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['Αθήνα'] }], 'Αθήναι Αθήνα'), ['Αθήνα']);
+  assert.deepEqual(scanTexts([{ type: 'regex', regex: ['\\w+'], wholeWord: true }], 'naïve'), []);
+});
+
+test('diacriticSensitive: false folds accents on both sides', () => {
+  const zurich = { type: 'match', match: ['Zurich'], diacriticSensitive: false };
+  assert.deepEqual(scanTexts([zurich], 'Zürich ZURICH Zurichs'), ['Zürich', 'ZURICH']);
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['café'], diacriticSensitive: false }], 'cafe'), ['cafe']);
+  assert.deepEqual(scanTexts([{ type: 'match', match: ['Zurich'] }], 'Zürich'), []);
+});
+
+test('"segmenter" word boundaries find words in text without spaces', () => {
+  const pen = { type: 'match', match: ['ペン'] };
+  assert.deepEqual(scanTexts([pen], 'ペンを買う'), []);
+  assert.deepEqual(scanTexts([{ ...pen, wordBoundary: 'segmenter', locale: 'ja' }], 'ペンを買う'), ['ペン']);
+  assert.deepEqual(scanTexts([{ ...pen, wordBoundary: 'segmenter', locale: 'ja' }], 'ペンギンが好き'), []);
+});
+
+test('fuzzy triggers match misspelled whole words and report how close they came', () => {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({
+    'tql-triggers': {
+      info: [{ id: 'clients', type: 'fuzzy', match: ['Blackrock', { term: 'Goldman Sachs', maxDistance: 2 }, 'IBM'] }]
+    }
+  });
+  const found = text => scanner.scan(text).map(({ text, canonical, distance, confidence }) => ({ text, canonical, distance, confidence }));
+
+  assert.deepEqual(found('ask Blakrock today'), [{ text: 'Blakrock', canonical: 'Blackrock', distance: 1, confidence: 0.89 }]);
+  assert.deepEqual(found('BlackRock'), [{ text: 'BlackRock', canonical: 'Blackrock', distance: 0, confidence: 1 }]);
+  assert.deepEqual(found('Blackrokc'), [{ text: 'Blackrokc', canonical: 'Blackrock', distance: 1, confidence: 0.89 }]);
+  assert.deepEqual(found('Goldmann Sacks deal'), [{ text: 'Goldmann Sacks', canonical: 'Goldman Sachs', distance: 2, confidence: 0.86 }]);
+  assert.deepEqual(found('Blkrck Blackrockish'), []);
+});
+
+test('fuzzy triggers skip short terms and lose to an exact match trigger', () => {
+  assert.deepEqual(scanTexts([{ type: 'fuzzy', match: ['IBM'] }], 'IBM IBN'), []);
+  assert.deepEqual(scanTexts([{ type: 'fuzzy', match: ['IBM'], minTermLength: 3 }], 'IBM IBN'), ['IBM', 'IBN']);
+
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({
+    'tql-triggers': {
+      info: [
+        { id: 'typo', type: 'fuzzy', match: ['Vanguard'] },
+        { id: 'exact', type: 'match', match: ['Vanguard'] }
+      ]
+    }
+  });
+  assert.deepEqual(scanner.scan('Vanguard Vangard').map(match => match.command.id), ['exact', 'typo']);
+});
+
+test('overlapping matches go to the higher priority, then the more severe state, then the longer match', () => {
+  const phrase = { id: 'phrase', type: 'regex', regex: ['reply to \\S+'] };
+  const email = { id: 'email', type: 'regex', regex: ['\\S+@\\S+'] };
+
+  assert.deepEqual(scanIds({ info: [phrase], error: [email] }, 'reply to bob@acme.com'), ['email:bob@acme.com']);
+  assert.deepEqual(scanIds({ info: [{ ...phrase, priority: 5 }], error: [email] }, 'reply to bob@acme.com'), ['phrase:reply to bob@acme.com']);
+  assert.deepEqual(scanIds({ warning: [{ id: 'x', type: 'match', match: ['acme'] }], error: [{ id: 'y', type: 'match', match: ['acme'] }] }, 'acme'), ['y:acme']);
+  assert.deepEqual(scanIds({ warning: [{ id: 'city', type: 'match', match: ['new york'] }, { id: 'nyc', type: 'match', match: ['new york city'] }] }, 'new york city'), ['nyc:new york city']);
+});
+
+test('overlap policies keep nested or partially overlapping matches', () => {
+  const phrase = { id: 'phrase', type: 'regex', overlap: 'nest', regex: ['reply to \\S+'] };
+  const email = { id: 'email', type: 'regex', regex: ['\\S+@\\S+'] };
+  const city = { id: 'city', type: 'regex', regex: ['new york'] };
+  const borough = { id: 'borough', type: 'regex', regex: ['york city'] };
+
+  assert.ok(CommandScanner.OVERLAP_POLICIES.includes('exclusive'));
+  assert.deepEqual(scanIds({ info: [phrase], error: [email] }, 'reply to bob@acme.com'), ['phrase:reply to bob@acme.com', 'email:bob@acme.com']);
+  assert.deepEqual(scanIds({ warning: [{ ...city, overlap: 'nest' }, borough] }, 'new york city'), ['borough:york city']);
+  assert.deepEqual(scanIds({ warning: [city, { ...borough, overlap: 'allow' }] }, 'new york city'), ['city:new york', 'borough:york city']);
+});
+
+test('function triggers flag what a registered matcher reports', () => {
+  const calls = [];
+  CommandScanner.registerMatcher('luhn', (input, info) => {
+    calls.push({ input, offset: info.offset, lineIndex: info.lineIndex });
+    const digits = input.replace(/\D/g, '').split('').reverse().map(Number);
+    const sum = digits.reduce((total, digit, i) => total + (i % 2 ? (digit * 2) % 9 || digit : digit), 0);
+    return sum % 10 === 0 ? { data: { digits: digits.length } } : false;
+  });
+  CommandScanner.registerMatcher('shouting', input => Array.from(input.matchAll(/\b[A-Z]{4,}\b/g), match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    data: { word: match[0] }
+  })));
+
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({
+    'tql-triggers': {
+      error: [{ id: 'card', type: 'function', validator: 'luhn', regex: ['\\b\\d[\\d -]{11,17}\\d\\b'] }],
+      warning: [{ id: 'caps', type: 'function', validator: 'shouting' }]
+    }
+  });
+
+  const matches = scanner.scan('ok\npay 4111 1111 1111 1111 not 4111 1111 1111 1112 NOW PLEASE');
+  assert.deepEqual(matches.map(match => [match.command.id, match.text, match.data]), [
+    ['card', '4111 1111 1111 1111', { digits: 16 }],
+    ['caps', 'PLEASE', { word: 'PLEASE' }]
+  ]);
+  assert.equal(matches[0].start, 7);
+  assert.deepEqual(calls[0], { input: '4111 1111 1111 1111', offset: 7, lineIndex: 1 });
+});
+
+test('async matchers report nothing until they settle, then serve the cached result', async () => {
+  let calls = 0;
+  CommandScanner.registerMatcher('future-date', async input => {
+    calls++;
+    return input.includes('2099') ? { data: { future: true } } : false;
+  });
+
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({ 'tql-triggers': { warning: [{ id: 'date', type: 'function', validator: 'future-date', regex: ['\\d{4}-\\d{2}-\\d{2}'] }] } });
+
+  assert.deepEqual(scanner.scan('due 2099-01-01'), []);
+  assert.equal(scanner.getPendingMatchers().length, 1);
+
+  await Promise.all(scanner.getPendingMatchers());
+  const matches = scanner.scan('due 2099-01-01');
+  assert.deepEqual(matches.map(match => [match.text, match.data]), [['2099-01-01', { future: true }]]);
+  assert.equal(scanner.getPendingMatchers().length, 0);
+  assert.equal(calls, 1);
+});
+
+test('document-scoped matchers receive the whole text', () => {
+  const inputs = [];
+  CommandScanner.registerMatcher('whole-text', input => {
+    inputs.push(input);
+    const start = input.indexOf('begin');
+    return start === -1 ? false : [{ start, end: input.indexOf('end') + 3 }];
+  });
+
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({ 'tql-triggers': { info: [{ id: 'block', type: 'function', validator: 'whole-text', scope: 'document' }] } });
+
+  const matches = scanner.scan('x begin\nmiddle\nend y');
+  assert.deepEqual(inputs, ['x begin\nmiddle\nend y']);
+  assert.deepEqual(matches.map(({ text, line, endLine }) => ({ text, line, endLine })), [{ text: 'begin\nmiddle\nend', line: 0, endLine: 2 }]);
+});
+
+test('before and after conditions check the words or text next to the match', () => {
+  const today = { id: 'today', type: 'match', match: ['today'], context: { before: ['by', 'due', 'as of'], notAfter: ['show'] } };
+  assert.deepEqual(scanIds({ warning: [today] }, 'by today. Today. due today show. As  of today'), ['today:today', 'today:today']);
+  assert.deepEqual(scanIds({ warning: [{ id: 'noon', type: 'match', match: ['today'], context: { after: ['at noon'] } }] }, 'today at noon, today'), ['noon:today']);
+
+  const client = {
+    id: 'client',
+    type: 'match',
+    match: ['@client'],
+    wholeWord: false,
+    context: { notBefore: [{ regex: '[\\w.%+-]' }], notAfter: [{ regex: '\\.[A-Za-z]{2,}' }] }
+  };
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({ 'tql-triggers': { info: [client] } });
+  assert.deepEqual(scanner.scan('ask @client or bob@client.com').map(match => match.start), [4]);
+});
+
+test('near, notNear and requiresCategory look at the other matches', () => {
+  const ref = { id: 'ref', type: 'regex', regex: ['\\d{6}'], context: { near: { words: ['invoice'], within: 2 } } };
+  assert.deepEqual(scanIds({ warning: [ref] }, 'invoice number 123456 and then some other words 654321'), ['ref:123456']);
+
+  const sandbox = { id: 'sandbox', type: 'match', match: ['sandbox'] };
+  const account = { id: 'account', type: 'regex', regex: ['\\d{6}'], context: { notNear: { ids: ['sandbox'], within: 3 } } };
+  assert.deepEqual(scanIds({ info: [sandbox], warning: [account] }, 'sandbox 123456 is fine but later on the real 654321'), ['sandbox:sandbox', 'account:654321']);
+
+  const acme = { id: 'acme', type: 'match', match: ['acme'], category: 'clients' };
+  const amount = { id: 'amount', type: 'regex', regex: ['\\$\\d+'], context: { requiresCategory: ['clients'] } };
+  assert.deepEqual(scanIds({ info: [acme], warning: [amount] }, 'send $500'), []);
+  assert.deepEqual(scanIds({ info: [acme], warning: [amount] }, 'send acme $500'), ['acme:acme', 'amount:$500']);
+});
+
+test('a match that fails its context never hides another trigger', () => {
+  const strict = { id: 'strict', type: 'match', match: ['today'], context: { before: ['by'] } };
+  const loose = { id: 'loose', type: 'match', match: ['today'] };
+  assert.deepEqual(scanIds({ error: [strict], warning: [loose] }, 'by today, today'), ['strict:today', 'loose:today']);
+});
+
+test('"except" lists and the host allowlist keep matches as allowed', () => {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({
+    'tql-triggers': {
+      error: [{ id: 'email', type: 'regex', regex: ['\\S+@\\S+'], except: ['Support@Example.com', { regex: '@ourcompany\\.com$', flags: 'i' }] }],
+      warning: [{ id: 'company', type: 'match', match: ['ourcompany'], wholeWord: false }]
+    }
+  });
+  const allowance = text => scanner.scan(text).map(match => [match.text, match.allowedBy || null]);
+
+  assert.deepEqual(allowance('a@b.com support@example.com x@OurCompany.com'), [
+    ['a@b.com', null],
+    ['support@example.com', 'except'],
+    ['x@OurCompany.com', 'except']
+  ]);
+
+  scanner.setAllowlist(['a@b.com', /^q@/g, { regex: '^z@', flags: 'i' }]);
+  assert.deepEqual(allowance('a@b.com q@q.io Z@z.io y@y.io'), [
+    ['a@b.com', 'allowlist'],
+    ['q@q.io', 'allowlist'],
+    ['Z@z.io', 'allowlist'],
+    ['y@y.io', null]
+  ]);
+  assert.ok(scanner.scan('a@b.com')[0].allowed);
+});
+
+test('regex matches carry numbered and named capture groups', () => {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({
+    'tql-triggers': { warning: [{ id: 'ticker', type: 'regex', regex: ['\\$(?<ticker>[A-Z]{1,5})(?:\\.(?<exchange>[A-Z]+))?\\b'] }] }
+  });
+
+  assert.deepEqual(scanner.scan('buy $AAPL and $VOD.L').map(({ text, groups, start, end }) => ({ text, groups, start, end })), [
+    { text: '$AAPL', groups: { 1: 'AAPL', 2: null, ticker: 'AAPL', exchange: null }, start: 4, end: 9 },
+    { text: '$VOD.L', groups: { 1: 'VOD', 2: 'L', ticker: 'VOD', exchange: 'L' }, start: 14, end: 20 }
+  ]);
+
+  scanner.setCommandMap({ 'tql-triggers': { warning: [{ id: 'acme', type: 'match', match: ['acme'] }] } });
+  assert.equal(scanner.scan('acme')[0].groups, undefined);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import MessageStateRegistry from '../src/MessageStateRegistry.js';
+import TrustQueryCore from '../src/TrustQueryCore.js';
+
+const injection = {
+  policy: {
+    label: 'Policy',
+    color: 'red" onmouseover="alert(1)',
+    highlight: 'url(https://example.com/x.png)',
+    border: 'red; position: fixed',
+    cursor: 'pointer; background: red',
+    icon: 'javascript:alert(1)'
+  }
+};
+
+test('declared states override built-in looks and custom states start from the fallback', () => {
+  const registry = new MessageStateRegistry({
+    error: { label: 'Stop', blockSubmit: true },
+    policy: { color: '#123456', severity: 2 }
+  });
+
+  assert.equal(registry.get('error').label, 'Stop');
+  assert.equal(registry.get('error').blockSubmit, true);
+  assert.equal(registry.get('error').border, MessageStateRegistry.BUILT_IN.error.border);
+  assert.equal(registry.get('policy').color, '#123456');
+  assert.equal(registry.get('policy').severity, 2);
+  assert.equal(registry.get('policy').cursor, MessageStateRegistry.FALLBACK.cursor);
+  assert.deepEqual(registry.names(), ['error', 'warning', 'info', 'policy']);
+  assert.equal(registry.has('unknown'), false);
+});
+
+test('unsafe style and icon values are left out of the registry', () => {
+  const state = new MessageStateRegistry(injection).get('policy');
+
+  assert.equal(state.label, 'Policy');
+  assert.equal(state.color, MessageStateRegistry.FALLBACK.color);
+  assert.equal(state.highlight, MessageStateRegistry.FALLBACK.highlight);
+  assert.equal(state.border, MessageStateRegistry.FALLBACK.border);
+  assert.equal(state.cursor, MessageStateRegistry.FALLBACK.cursor);
+  assert.equal(state.icon, './assets/trustquery-policy.svg');
+});
+
+test('safe colours, cursors and icons are kept', () => {
+  const state = new MessageStateRegistry({
+    policy: { color: 'rgb(1, 2, 3)', border: '#abc', cursor: 'not-allowed', icon: 'https://example.com/policy.svg' }
+  }).get('policy');
+
+  assert.equal(state.color, 'rgb(1, 2, 3)');
+  assert.equal(state.border, '#abc');
+  assert.equal(state.cursor, 'not-allowed');
+  assert.equal(state.icon, 'https://example.com/policy.svg');
+});
+
+test('icons with script or data schemes are rejected, even with whitespace inside', () => {
+  assert.notEqual(MessageStateRegistry.checkValue('icon', 'java\tscript:alert(1)'), null);
+  assert.notEqual(MessageStateRegistry.checkValue('icon', 'data:image/svg+xml,<svg/>'), null);
+  assert.equal(MessageStateRegistry.checkValue('icon', './assets/policy.svg'), null);
+});
+
+test('validation reports unsafe state values as errors', () => {
+  const { valid, diagnostics } = TrustQueryCore.validateTriggerMap({ 'tql-triggers': {}, $states: injection });
+
+  assert.equal(valid, false);
+  assert.deepEqual(
+    diagnostics.filter(d => d.severity === 'error').map(d => d.path).sort(),
+    ['$states.policy.border', '$states.policy.color', '$states.policy.cursor', '$states.policy.highlight', '$states.policy.icon']
+  );
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import OverlayRenderer from '../src/OverlayRenderer.js';
+import CommandScanner from '../src/CommandScanner.js';
+import MessageStateRegistry from '../src/MessageStateRegistry.js';
+import { CommandHandlerRegistry } from '../src/CommandHandlers.js';
+
+const triggerMap = {
+  'tql-triggers': {
+    policy: [{ id: 'acme', type: 'match', match: ['acme'], handler: { 'message-state': 'policy' } }]
+  },
+  $states: { policy: { color: 'red" onmouseover="alert(1)' } }
+};
+
+/**
+ * Render one line with a registry built from the map's states
+ * @param {Object} options - CommandHandlerRegistry options
+ * @param {Object} resolution - Resolution to give the match
+ * @returns {string} Line HTML
+ */
+function renderAcme(options = {}, resolution = null) {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap(triggerMap);
+  const matches = scanner.scan('call acme');
+  if (resolution) {
+    matches[0].resolution = resolution;
+  }
+
+  const commandHandlers = new CommandHandlerRegistry({ messageStates: new MessageStateRegistry(triggerMap.$states), ...options });
+  const renderer = new OverlayRenderer(null, { commandHandlers });
+
+  return renderer.renderLine('call acme', 0, matches, 0);
+}
+
+test('trigger map states cannot add attributes to match spans', () => {
+  const html = renderAcme();
+
+  assert.match(html, /class="tq-match/);
+  assert.doesNotMatch(html, /onmouseover/);
+});
+
+test('inline styles are escaped as an attribute value', () => {
+  const html = renderAcme(
+    { resolutionStyles: { resolved: { color: 'red" onclick="alert(1)' } } },
+    { status: 'resolved', option: null, value: null }
+  );
+
+  assert.doesNotMatch(html, /" onclick="/);
+  assert.match(html, /&quot; onclick=&quot;/);
+});
+
+test('spans carry the command type and the category separately', () => {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({
+    'tql-triggers': { error: [{ id: 'ban', type: 'match', match: ['acme'], category: 'clients', commandType: 'not-allowed' }] }
+  });
+  const html = new OverlayRenderer(null).renderLine('call acme', 0, scanner.scan('call acme'), 0);
+
+  assert.match(html, /data-command-type="not-allowed"/);
+  assert.match(html, /data-category="clients"/);
+});
+
+test('a match across lines renders as linked segments sharing one key', () => {
+  const scanner = new CommandScanner();
+  scanner.setCommandMap({ 'tql-triggers': { warning: [{ id: 'last-week', type: 'regex', scope: 'document', regex: ['last\\s+week'] }] } });
+  const text = 'see last\nweek ago';
+  const overlay = { innerHTML: '' };
+
+  new OverlayRenderer(overlay).render(text, scanner.scan(text));
+
+  const segments = overlay.innerHTML.match(/<span [^>]*>/g);
+  assert.equal(segments.length, 2);
+  segments.forEach((span, index) => {
+    assert.match(span, /data-match-key="4:13"/);
+    assert.match(span, new RegExp(`data-segment-index="${index}" data-segment-count="2"`));
+  });
+  assert.equal(overlay.innerHTML.split('<div class="tq-line">').length - 1, 2);
+});
+
+test('nested matches render inside each other and crossing matches split into fragments', () => {
+  const scanner = new CommandScanner();
+  const renderer = new OverlayRenderer(null);
+
+  scanner.setCommandMap({
+    'tql-triggers': {
+      info: [{ id: 'phrase', type: 'regex', overlap: 'nest', regex: ['reply to \\S+'] }],
+      error: [{ id: 'email', type: 'regex', regex: ['\\S+@\\S+'] }]
+    }
+  });
+  const nested = renderer.renderLine('reply to bob@acme.com', 0, scanner.scan('reply to bob@acme.com'), 0);
+  assert.equal(nested.match(/<span /g).length, 2);
+  assert.match(nested, /^<div class="tq-line"><span class="[^"]*"[^>]*>reply to <span class="[^"]*tq-match-nested[^"]*"[^>]*>bob@acme\.com<\/span><\/span><\/div>$/);
+
+  scanner.setCommandMap({
+    'tql-triggers': { warning: [{ id: 'city', type: 'regex', overlap: 'allow', regex: ['new york'] }, { id: 'borough', type: 'regex', regex: ['york city'] }] }
+  });
+  const crossing = renderer.renderLine('new york city', 0, scanner.scan('new york city'), 0);
+  const keys = crossing.match(/data-match-key="[^"]*"/g);
+  assert.equal(keys.length, 3);
+  assert.equal(new Set(keys).size, 2);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import RegexSafety from '../src/RegexSafety.js';
+import TriggerPresets from '../src/TriggerPresets.js';
+
+const UNSAFE = [
+  '(a+)+$', '(a*)*b', '(\\w+\\s?)*$', '(a|aa)+$', '(\\w|\\d)+x', '(.|\\s)*x', '\\d+\\d+x',
+  '(.*,)*x', '((ab)+)+c', '^(([a-z])+.)+[A-Z]([a-z])+$', '(x+x+)+y', '(a{1,200})+', '(?:a+){2,1000}'
+];
+
+const SAFE = [
+  '(\\.\\w+)*', '(x+y)*', '(x+y+)*', '(foo|far)+', '(a|ab)*',
+  '\\b[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}', '(?:\\d{1,3}\\.){3}\\d{1,3}', '[^\\]]+',
+  'a{2}', '\\w+@\\w+', '(?:[\\s.-]?\\d{2,4}){2,4}', '[\\d-x]+'
+];
+
+test('patterns that backtrack catastrophically are flagged', () => {
+  UNSAFE.forEach(pattern => {
+    assert.equal(RegexSafety.analyze(pattern, 'g').safe, false, pattern);
+  });
+});
+
+test('linear patterns are not flagged', () => {
+  SAFE.forEach(pattern => {
+    assert.deepEqual(RegexSafety.analyze(pattern, 'g').problems, [], pattern);
+  });
+  assert.equal(RegexSafety.analyze('\\u{1F600}+', 'gu').safe, true);
+});
+
+test('case-insensitive flags widen character classes', () => {
+  assert.equal(RegexSafety.analyze('[a-z]+[A-Z]+x', 'g').safe, true);
+  assert.equal(RegexSafety.analyze('[a-z]+[A-Z]+x', 'gi').safe, false);
+});
+
+test('backreferences are only rejected in safe mode', () => {
+  assert.equal(RegexSafety.analyze('(a)\\1', 'g').safe, true);
+  assert.deepEqual(RegexSafety.analyze('(a)\\1', 'g', { safe: true }).problems.map(problem => problem.kind), ['backreference']);
+});
+
+test('built-in presets are inside the safe subset', () => {
+  TriggerPresets.packs.forEach(pack => {
+    pack.triggers.forEach(trigger => {
+      RegexSafety.getPatterns(trigger).forEach(({ pattern, flags }) => {
+        assert.equal(RegexSafety.analyze(pattern, flags, { safe: true }).safe, true, `${trigger.id}: ${pattern}`);
+      });
+    });
+  });
+});
+
+test('restrict drops triggers with any pattern outside the subset', () => {
+  const { map, skipped } = RegexSafety.restrict({
+    'tql-triggers': {
+      error: [
+        { id: 'evil', type: 'regex', regex: ['(x+x+)+y'] },
+        { id: 'evil-except', type: 'regex', regex: ['x{3}'], except: [{ regex: '(a|aa)*b' }] },
+        { id: 'fine', type: 'regex', regex: ['x{3}'] },
+        { id: 'words', type: 'match', match: ['xxx'] }
+      ]
+    }
+  });
+
+  assert.deepEqual(map['tql-triggers'].error.map(trigger => trigger.id), ['fine', 'words']);
+  assert.deepEqual(skipped, ['tql-triggers.error[0]', 'tql-triggers.error[1]']);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ResolutionManager from '../src/ResolutionManager.js';
+
+const option = { label: 'Acme Corp (client)', 'on-select': { display: 'Acme Corp' } };
+const match = (start = 0) => ({
+  start,
+  end: start + 4,
+  text: 'acme',
+  command: { id: 'acme', handler: { options: [option] } }
+});
+
+test('a suffix equal to an option resolves the match', () => {
+  const manager = new ResolutionManager();
+  assert.deepEqual(manager.getResolution('acme/Acme Corp today', match()), { status: 'resolved', option, value: 'Acme Corp' });
+  assert.equal(manager.getResolution('acme/Acme Corp.', match()).status, 'resolved');
+});
+
+test('any other suffix leaves the match unresolved', () => {
+  const manager = new ResolutionManager();
+  assert.equal(manager.getResolution('acme/zzz', match()).status, 'unresolved');
+  assert.equal(manager.getResolution('acme/Acme Corpx', match()).status, 'unresolved');
+});
+
+test('the "none" representation ignores suffixes', () => {
+  const manager = new ResolutionManager({ representation: 'none' });
+  assert.equal(manager.getResolution('acme/Acme Corp', match()).status, 'unresolved');
+});
+
+test('a written suffix stops resolving once it is deleted or edited', () => {
+  const manager = new ResolutionManager();
+  manager.apply('acme/Acme Corp', [match()]);
+  manager.set(match(), 'resolved', { option, value: 'Acme Corp', written: true });
+
+  assert.equal(manager.apply('acme/Acme Corp', [match()])[0].resolution.status, 'resolved');
+  assert.equal(manager.apply('acme/Acme', [match()])[0].resolution.status, 'unresolved');
+  assert.equal(manager.apply('acme', [match()])[0].resolution.status, 'unresolved');
+});
+
+test('resolutions follow edits before the match and drop when it is edited', () => {
+  const manager = new ResolutionManager({ representation: 'none' });
+  manager.apply('acme', [match()]);
+  manager.set(match(), 'dismissed');
+
+  assert.equal(manager.apply('hi acme', [match(3)])[0].resolution.status, 'dismissed');
+  assert.equal(manager.apply('hi acmx', []).length, 0);
+  assert.equal(manager.apply('hi acme', [match(3)])[0].resolution.status, 'unresolved');
+});
+
+test('a custom value written from the dropdown does not resolve the match', () => {
+  const manager = new ResolutionManager();
+  const custom = { label: 'Initech', custom: true, 'on-select': { display: 'Initech' } };
+  manager.apply('acme/Initech', [match()]);
+  manager.set(match(), 'resolved', { option: custom, value: 'Initech', written: true });
+
+  assert.equal(manager.apply('acme/Initech', [match()])[0].resolution.status, 'unresolved');
+});
+
+test('a recorded choice only resolves the match if it is one of the trigger\'s options', () => {
+  const manager = new ResolutionManager({ representation: 'none' });
+  manager.apply('acme', [match()]);
+
+  manager.set(match(), 'resolved', { option: { label: 'Initech', custom: true }, value: 'Initech' });
+  assert.equal(manager.apply('acme', [match()])[0].resolution.status, 'unresolved');
+
+  manager.set(match(), 'resolved', { option: JSON.parse(JSON.stringify(option)), value: 'Acme Corp' });
+  assert.equal(manager.apply('acme', [match()])[0].resolution.status, 'resolved');
+});
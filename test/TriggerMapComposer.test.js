@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TriggerMapComposer from '../src/TriggerMapComposer.js';
+import TrustQueryCore from '../src/TrustQueryCore.js';
+
+const trigger = (id, word) => ({ ...(id ? { id } : {}), type: 'match', match: [word] });
+
+TriggerMapComposer.register('compose-base', {
+  'tql-triggers': { warning: [trigger('a', 'a'), trigger('b', 'b'), trigger('legacy', 'old')] }
+});
+TriggerMapComposer.register('compose-finance', {
+  'tql-triggers': { warning: [trigger('b', 'b2')], info: [trigger('c', 'c')] }
+});
+
+test('own triggers win over includes, which win over the extended map', () => {
+  const { map, diagnostics } = new TriggerMapComposer().compose({
+    $extends: 'compose-base',
+    $include: ['compose-finance'],
+    $disable: ['legacy'],
+    'tql-triggers': { error: [trigger('a', 'A!'), trigger(null, 'anon')] }
+  });
+
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(map['tql-triggers'], {
+    error: [trigger('a', 'A!'), trigger(null, 'anon')],
+    warning: [trigger('b', 'b2')],
+    info: [trigger('c', 'c')]
+  });
+});
+
+test('later maps in a list take precedence', () => {
+  const { map } = new TriggerMapComposer().compose([
+    { 'tql-triggers': { info: [trigger('q', 'first')] } },
+    { 'tql-triggers': { info: [trigger('q', 'second')] } }
+  ]);
+  assert.deepEqual(map['tql-triggers'].info, [trigger('q', 'second')]);
+});
+
+test('"$disable" also removes preset detectors', () => {
+  TriggerMapComposer.register('compose-pii', { $use: [{ pack: 'pii' }], 'tql-triggers': {} });
+  const core = new TrustQueryCore({ triggerMap: { $extends: 'compose-pii', $disable: ['pii.ipv4'] } });
+
+  assert.deepEqual(core.check('10.0.0.1 a@b.com').matches.map(match => match.command.id), ['pii.email']);
+});
+
+test('include cycles are reported and skipped', () => {
+  TriggerMapComposer.register('compose-x', { $include: ['compose-y'], 'tql-triggers': { info: [trigger('x', 'x')] } });
+  TriggerMapComposer.register('compose-y', { $include: ['compose-x'], 'tql-triggers': { info: [trigger('y', 'y')] } });
+
+  const { map, diagnostics } = new TriggerMapComposer().compose({ $extends: 'compose-x' });
+  assert.deepEqual(diagnostics.map(d => d.code), ['include-cycle']);
+  assert.match(diagnostics[0].message, /compose-x -> compose-y -> compose-x/);
+  assert.deepEqual(map['tql-triggers'].info, [trigger('y', 'y'), trigger('x', 'x')]);
+});
+
+test('unknown names are reported and URLs are fetched before composing', async () => {
+  const composer = new TriggerMapComposer();
+  const first = composer.compose({ $include: ['compose-missing', '/policies/finance.json'] });
+  assert.equal(first.map, null);
+  assert.deepEqual(first.missing, ['/policies/finance.json']);
+  assert.deepEqual(first.diagnostics.map(d => d.code), ['unknown-include']);
+
+  const fetching = new TriggerMapComposer({ fetchMap: async url => ({ 'tql-triggers': { info: [trigger('fetched', url)] } }) });
+  const { map, diagnostics } = await fetching.composeAsync({ $include: ['/policies/finance.json'] });
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(map['tql-triggers'].info, [trigger('fetched', '/policies/finance.json')]);
+
+  const failing = await composer.composeAsync({ $include: ['/policies/finance.json'] });
+  assert.deepEqual(failing.diagnostics.map(d => d.code), ['include-failed']);
+});
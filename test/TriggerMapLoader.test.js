@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TriggerMapLoader from '../src/TriggerMapLoader.js';
+
+const map = { 'tql-triggers': { warning: [{ type: 'match', match: ['today'] }] } };
+
+/**
+ * Replace fetch for one test, recording each request
+ * @param {Object} t - Test context
+ * @param {Object} reply - { ok, status, statusText, body }
+ * @returns {Array<Object>} Requests made ({ url, init })
+ */
+function mockFetch(t, reply = {}) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push({ url, init });
+    return {
+      ok: reply.ok !== false,
+      status: reply.status || 200,
+      statusText: reply.statusText || 'OK',
+      json: async () => (reply.body !== undefined ? reply.body : map)
+    };
+  });
+  return requests;
+}
+
+test('an api provider function returns the map', async () => {
+  const loader = new TriggerMapLoader({ source: 'api', api: async () => map });
+  assert.deepEqual(await loader.load(), map);
+});
+
+test('an endpoint descriptor sends its method, headers, params and JSON body', async (t) => {
+  const requests = mockFetch(t);
+  const loader = new TriggerMapLoader({
+    source: 'api',
+    api: {
+      url: 'https://example.com/maps?team=a',
+      method: 'post',
+      headers: { Authorization: 'Bearer x' },
+      params: { user: 'jo smith', skip: null },
+      body: { scope: 'all' }
+    }
+  });
+
+  assert.deepEqual(await loader.load(), map);
+  assert.equal(requests[0].url, 'https://example.com/maps?team=a&user=jo%20smith');
+  assert.equal(requests[0].init.method, 'POST');
+  assert.deepEqual(requests[0].init.headers, { Authorization: 'Bearer x', 'Content-Type': 'application/json' });
+  assert.equal(requests[0].init.body, '{"scope":"all"}');
+});
+
+test('GET requests never send a body', async (t) => {
+  const requests = mockFetch(t);
+  await new TriggerMapLoader({ source: 'api', api: { url: '/maps', body: { ignored: true } } }).load();
+
+  assert.equal(requests[0].init.method, 'GET');
+  assert.equal(requests[0].init.body, undefined);
+});
+
+test('the url source fetches the configured file, or the default path', async (t) => {
+  const requests = mockFetch(t);
+  await new TriggerMapLoader({ url: '/maps/team.json' }).load();
+  await new TriggerMapLoader().load();
+
+  assert.deepEqual(requests.map(request => request.url), ['/maps/team.json', '/trustquery/tql-triggers.json']);
+});
+
+test('failed requests and bad providers reject with a clear error', async (t) => {
+  mockFetch(t, { ok: false, status: 503, statusText: 'Service Unavailable' });
+
+  await assert.rejects(new TriggerMapLoader({ source: 'api', api: { url: '/maps' } }).load(), /HTTP 503: Service Unavailable/);
+  await assert.rejects(new TriggerMapLoader({ source: 'api' }).load(), /no triggerMap.api provider/);
+  await assert.rejects(new TriggerMapLoader({ source: 'api', api: { method: 'GET' } }).load(), /function or an object with a url/);
+  await assert.rejects(new TriggerMapLoader({ source: 'api', api: async () => 'nope' }).load(), /did not return an object/);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import TriggerMapMigrator from '../src/TriggerMapMigrator.js';
+import TrustQueryCore from '../src/TrustQueryCore.js';
+
+const v1 = JSON.parse(readFileSync(new URL('./fixtures/v1-commands.json', import.meta.url), 'utf8'));
+
+test('version 1 command maps are detected and upgraded to the current version', () => {
+  assert.equal(TriggerMapMigrator.detectVersion(v1), 1);
+  assert.equal(TriggerMapMigrator.needsMigration(v1), true);
+
+  const { map, migrated, diagnostics } = TriggerMapMigrator.migrate(v1);
+  assert.equal(map.$version, TriggerMapMigrator.CURRENT_VERSION);
+  assert.equal(map.commands, undefined);
+  assert.equal(migrated.length, 4);
+  assert.deepEqual(diagnostics.map(d => d.code), ['migrated']);
+  assert.equal(v1.$version, undefined, 'the host map is left alone');
+});
+
+test('commands keep their type, path and handler fields', () => {
+  const triggers = TriggerMapMigrator.migrate(v1).map['tql-triggers'];
+
+  assert.deepEqual(triggers.error, [{
+    id: 'pii/email',
+    type: 'regex',
+    commandType: 'not-allowed',
+    category: 'pii',
+    regex: ['\\S+@\\S+'],
+    description: 'Email address',
+    handler: { message: 'Remove email addresses before sending', 'block-submit': true }
+  }]);
+
+  assert.equal(triggers.info[0].commandType, 'user-select-oneOf');
+  assert.deepEqual(triggers.info[0].match, ['yesterday']);
+  assert.equal(triggers.info[0].handler.options[0].label, 'Yesterday (UTC)');
+
+  assert.equal(triggers.warning[0].category, 'tone');
+  assert.equal(triggers.warning[0].handler.message, 'Give a date instead');
+});
+
+test('an upgraded map scans like a current one and keeps the command type on matches', () => {
+  const core = new TrustQueryCore({ triggerMap: v1 });
+  const { blocked, matches } = core.check('mail me@example.com yesterday');
+
+  assert.equal(blocked, true);
+  assert.deepEqual(matches.map(match => [match.command.id, match.command.commandType, match.command.category]), [
+    ['pii/email', 'not-allowed', 'pii'],
+    ['dates/yesterday', 'user-select-oneOf', 'dates']
+  ]);
+  assert.ok(core.getTriggerMapDiagnostics().some(d => d.code === 'migrated'));
+});
+
+test('current and too-new versions are not migrated', () => {
+  const current = { 'tql-triggers': {} };
+  assert.equal(TriggerMapMigrator.migrate(current).map, current);
+
+  const { diagnostics } = TriggerMapMigrator.migrate({ $version: 99, 'tql-triggers': {} });
+  assert.equal(diagnostics[0].code, 'unsupported-version');
+});
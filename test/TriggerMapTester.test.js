@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TrustQuery from '../src/TrustQuery.js';
+import TrustQueryCore from '../src/TrustQueryCore.js';
+
+const email = {
+  id: 'pii-email',
+  type: 'regex',
+  regex: ['[\\w.+-]+@[\\w-]+\\.[\\w.]+'],
+  handler: { 'message-state': 'error', 'block-submit': true }
+};
+
+const withTests = (tests, triggers = [email]) => ({ $tests: tests, 'tql-triggers': { error: triggers } });
+
+test('passing cases', async () => {
+  const result = await TrustQueryCore.testTriggerMap(withTests([
+    { name: 'flags emails', text: 'mail a@b.com', expect: [{ trigger: 'pii-email', text: 'a@b.com' }], blocked: true },
+    { text: 'ping @alice', expectNone: [{ trigger: 'pii-email' }], blocked: false }
+  ]));
+
+  assert.equal(result.passed, true);
+  assert.equal(result.total, 2);
+  assert.equal(result.cases[1].name, '$tests[1]');
+});
+
+test('failures name what went wrong', async () => {
+  const result = await TrustQueryCore.testTriggerMap(withTests([
+    { text: 'no address here', expect: [{ trigger: 'pii-email' }] },
+    { text: 'mail a@b.com', expectNone: [{ trigger: 'pii-email' }] },
+    { text: 'mail a@b.com', blocked: false }
+  ]));
+
+  assert.equal(result.passed, false);
+  assert.equal(result.failed, 3);
+  assert.deepEqual(result.cases.map(testCase => testCase.failures[0].kind), ['missing', 'unexpected', 'blocked']);
+});
+
+test('maps with errors are not run', async () => {
+  const result = await TrustQueryCore.testTriggerMap(withTests([{ text: 'x' }], [{ type: 'regex', regex: ['('] }]));
+
+  assert.equal(result.passed, false);
+  assert.equal(result.total, 0);
+  assert.ok(result.diagnostics.some(d => d.code === 'invalid-regex'));
+});
+
+test('tests from every layer run against the composed map', async () => {
+  const base = withTests([{ text: 'mail a@b.com', expect: [{ trigger: 'pii-email' }] }]);
+  const team = { $disable: ['pii-email'], $tests: [{ text: 'mail a@b.com', expectNone: [{ trigger: 'pii-email' }] }] };
+
+  const result = await TrustQueryCore.testTriggerMap([base, team]);
+  assert.equal(result.total, 2);
+  assert.deepEqual(result.cases.map(testCase => testCase.passed), [false, true]);
+});
+
+test('TrustQuery.testTriggerMap passes options through to the core', async () => {
+  const map = withTests(
+    [{ text: 'xxx', expect: [{ trigger: 'slow' }] }],
+    [{ id: 'slow', type: 'regex', regex: ['(x+x+)+y|xxx'] }]
+  );
+
+  assert.equal((await TrustQuery.testTriggerMap(map)).passed, true);
+
+  const safe = await TrustQuery.testTriggerMap(map, { safeRegex: true });
+  assert.equal(safe.passed, false);
+  assert.ok(safe.diagnostics.some(d => d.code === 'unsafe-regex' && d.severity === 'error'));
+});
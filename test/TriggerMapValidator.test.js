@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TriggerMapValidator from '../src/TriggerMapValidator.js';
+import TrustQueryCore from '../src/TrustQueryCore.js';
+
+const validate = map => new TriggerMapValidator().validate(map);
+const codes = map => validate(map).diagnostics.map(d => `${d.severity} ${d.code} ${d.path}`);
+
+test('a well-formed map is valid with no diagnostics', () => {
+  assert.deepEqual(validate({
+    'tql-triggers': {
+      error: [{ id: 'email', type: 'regex', regex: ['\\S+@\\S+'], handler: { message: 'Email', 'block-submit': true } }],
+      warning: [{ type: 'match', match: ['today'], handler: { options: [{ label: 'Today (UTC)' }, 'Yesterday'] } }]
+    }
+  }), { valid: true, diagnostics: [] });
+});
+
+test('structural problems are errors at the path they occur', () => {
+  assert.deepEqual(codes([]), ['error invalid-structure ']);
+  assert.deepEqual(codes({ 'tql-triggers': [] }), ['error invalid-structure tql-triggers']);
+  assert.deepEqual(codes({ 'tql-triggers': { error: {} } }), ['error invalid-state tql-triggers.error']);
+  assert.deepEqual(codes({ 'tql-triggers': { error: ['x'] } }), ['error invalid-trigger tql-triggers.error[0]']);
+});
+
+test('triggers are checked for type, patterns, scope and handler', () => {
+  assert.deepEqual(codes({
+    'tql-triggers': {
+      error: [
+        { type: 'word', match: ['a'] },
+        { type: 'match' },
+        { type: 'match', match: [''] },
+        { type: 'regex', regex: [] },
+        { type: 'regex', regex: ['(unclosed'] },
+        { type: 'match', match: ['b'], scope: 'page' },
+        { type: 'match', match: ['c'], handler: 'warn' }
+      ]
+    }
+  }), [
+    'error unknown-type tql-triggers.error[0].type',
+    'error missing-match tql-triggers.error[1].match',
+    'error invalid-match tql-triggers.error[2].match[0]',
+    'error missing-regex tql-triggers.error[3].regex',
+    'error invalid-regex tql-triggers.error[4].regex[0]',
+    'error invalid-scope tql-triggers.error[5].scope',
+    'error invalid-handler tql-triggers.error[6].handler'
+  ]);
+});
+
+test('likely mistakes are warnings and keep the map valid', () => {
+  const result = validate({
+    'tql-triggers': {
+      error: [{ type: 'match', match: ['Acme'], handler: { mesage: 'typo', options: [{ 'on-select': { display: 'x' } }] } }],
+      warning: [{ type: 'match', match: ['acme'] }],
+      notice: [{ type: 'match', match: ['fyi'] }]
+    }
+  });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.diagnostics.map(d => `${d.code} ${d.path}`), [
+    'unknown-handler-key tql-triggers.error[0].handler.mesage',
+    'option-missing-label tql-triggers.error[0].handler.options[0]',
+    'duplicate-match tql-triggers.warning[0].match[0]',
+    'undeclared-state tql-triggers.notice'
+  ]);
+});
+
+test('maps without the "tql-triggers" wrapper use unprefixed paths', () => {
+  assert.deepEqual(codes({ warning: [{ type: 'match' }] }), ['error missing-match warning[0].match']);
+});
+
+test('the core validates its map on load and keeps valid triggers working', () => {
+  const core = new TrustQueryCore({
+    triggerMap: { 'tql-triggers': { warning: [{ type: 'regex', regex: ['('] }, { type: 'match', match: ['today'] }] } }
+  });
+
+  assert.deepEqual(core.getTriggerMapDiagnostics().map(d => d.code), ['invalid-regex']);
+  assert.equal(core.check('today').matches.length, 1);
+});
+
+test('group references in messages and options must exist in a pattern', () => {
+  assert.deepEqual(codes({
+    'tql-triggers': {
+      warning: [{
+        type: 'regex',
+        regex: ['\\$(?<ticker>[A-Z]+)'],
+        handler: {
+          message: '{{groups.ticker}} {{groups.1}} {{groups.tick}} {{groups.2}}',
+          options: [{ label: 'Quote', 'on-select': { display: '{{groups.exchange}}' } }]
+        }
+      }]
+    }
+  }), [
+    'warning unknown-group tql-triggers.warning[0].handler.message',
+    'warning unknown-group tql-triggers.warning[0].handler.message',
+    'warning unknown-group tql-triggers.warning[0].handler.options[0].on-select.display'
+  ]);
+});
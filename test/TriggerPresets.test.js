@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TriggerPresets from '../src/TriggerPresets.js';
+
+TriggerPresets.packs.forEach((pack, name) => {
+  test(`${name} preset flags its positives and none of its traps`, () => {
+    const { passed, failures } = TriggerPresets.checkCorpus(name);
+    assert.deepEqual(failures, []);
+    assert.equal(passed, true);
+  });
+
+  test(`${name} preset gives every detector a corpus`, () => {
+    pack.triggers.forEach(({ id, corpus }) => {
+      assert.ok(corpus && corpus.positives?.length > 0, `${id} has no positives`);
+      assert.ok(corpus.traps?.length > 0, `${id} has no traps`);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+import TrustQueryCli from '../src/TrustQueryCli.js';
+
+const triggers = fileURLToPath(new URL('../examples/tql-triggers.json', import.meta.url));
+
+// Collects what a command writes
+const sink = () => {
+  const chunks = [];
+  return { write: chunk => chunks.push(String(chunk)), text: () => chunks.join('') };
+};
+
+const run = async (argv, input = '') => {
+  const stdout = sink();
+  const stderr = sink();
+  const stdin = (async function* () { yield Buffer.from(input); })();
+  const code = await new TrustQueryCli({ stdout, stderr, stdin }).run(argv);
+  return { code, stdout: stdout.text(), stderr: stderr.text() };
+};
+
+test('scan exits 1 on blocking matches and prints a parseable report', async () => {
+  const { code, stdout } = await run(['scan', '-t', triggers, '-f', 'json', '-'], 'send it to jane.doe@example.com');
+  assert.equal(code, TrustQueryCli.EXIT_BLOCKED);
+  assert.ok(JSON.parse(stdout));
+});
+
+test('scan exits 0 when nothing blocks', async () => {
+  const { code } = await run(['scan', '-t', triggers, '-'], 'revenue for last week');
+  assert.equal(code, TrustQueryCli.EXIT_OK);
+});
+
+test('run leaves the global console alone', async () => {
+  const saved = { log: console.log, warn: console.warn };
+  let logged = false;
+  console.log = () => { logged = true; };
+
+  try {
+    await run(['scan', '-t', triggers, '-'], 'jane.doe@example.com');
+    assert.equal(logged, false);
+  } finally {
+    console.log = saved.log;
+  }
+  assert.equal(console.warn, saved.warn);
+});
+
+test('usage errors exit 2', async () => {
+  const { code, stderr } = await run(['scan', '-']);
+  assert.equal(code, TrustQueryCli.EXIT_ERROR);
+  assert.match(stderr, /--triggers/);
+});
+
+test('test runs the map\'s $tests cases', async () => {
+  const { code, stdout } = await run(['test', '-t', triggers, '-f', 'json']);
+  assert.equal(code, TrustQueryCli.EXIT_OK);
+  assert.equal(JSON.parse(stdout).passed, true);
+});
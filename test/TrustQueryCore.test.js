@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TrustQueryCore, { CommandScanner } from '../src/TrustQueryCore.js';
+
+const option = { label: 'Acme Corp (client)', 'on-select': { display: 'client-4411' } };
+const triggerMap = {
+  'tql-triggers': {
+    error: [{
+      id: 'acme',
+      type: 'match',
+      match: ['acme'],
+      handler: { 'message-state': 'error', 'block-submit': true, 'resolve-unblocks': true, options: [option] }
+    }],
+    warning: [{
+      id: 'today',
+      type: 'match',
+      match: ['today'],
+      handler: { 'message-state': 'warning', options: [{ label: 'Today (UTC)', 'on-select': { display: 'UTC' } }] }
+    }]
+  }
+};
+
+const report = (start, text, resolution) => [{ start, text, ...resolution }];
+
+test('check blocks text with a blocking trigger', () => {
+  const core = new TrustQueryCore({ triggerMap });
+  const { blocked, resolutions } = core.check('email acme');
+  assert.equal(blocked, true);
+  assert.equal(resolutions[0].commandId, 'acme');
+  assert.equal(resolutions[0].status, 'unresolved');
+});
+
+test('a reported resolution never clears a blocking trigger', () => {
+  const core = new TrustQueryCore({ triggerMap, resolution: 'none' });
+
+  [
+    { status: 'resolved', option: null },
+    { status: 'resolved', option: { label: 'Anything' } },
+    { status: 'resolved', option, value: 'client-4411' },
+    { status: 'dismissed' }
+  ].forEach(resolution => {
+    assert.equal(core.check('acme', { resolutions: report(0, 'acme', resolution) }).blocked, true);
+  });
+});
+
+test('a suffix in the text still resolves a blocking trigger that allows it', () => {
+  const core = new TrustQueryCore({ triggerMap });
+  assert.equal(core.check('acme/client-4411').blocked, false);
+  assert.equal(core.check('acme/zzz').blocked, true);
+});
+
+test('a reported option must be one of the trigger\'s options', () => {
+  const core = new TrustQueryCore({ triggerMap, resolution: 'none' });
+  const today = triggerMap['tql-triggers'].warning[0].handler.options[0];
+
+  const forged = core.check('today', { resolutions: report(0, 'today', { status: 'resolved', option: { label: 'Forged' } }) });
+  assert.equal(forged.resolutions[0].status, 'unresolved');
+
+  const missing = core.check('today', { resolutions: report(0, 'today', { status: 'resolved', option: null }) });
+  assert.equal(missing.resolutions[0].status, 'unresolved');
+
+  const chosen = core.check('today', { resolutions: report(0, 'today', { status: 'resolved', option: JSON.parse(JSON.stringify(today)), value: 'UTC' }) });
+  assert.equal(chosen.resolutions[0].status, 'resolved');
+  assert.deepEqual(chosen.resolutions[0].option, today);
+});
+
+test('reported resolutions only count for matches in the text', () => {
+  const core = new TrustQueryCore({ triggerMap, resolution: 'none' });
+  const { resolutions } = core.check('today', { resolutions: report(3, 'today', { status: 'dismissed' }) });
+  assert.equal(resolutions[0].status, 'unresolved');
+});
+
+test('a resolved blocking trigger keeps blocking without "resolve-unblocks"', () => {
+  const acme = { ...triggerMap['tql-triggers'].error[0] };
+  acme.handler = { ...acme.handler, 'resolve-unblocks': undefined };
+  const core = new TrustQueryCore({ triggerMap: { 'tql-triggers': { error: [acme] } } });
+
+  const { blocked, state } = core.check('ask acme/client-4411');
+  assert.equal(blocked, true);
+  assert.equal(state.resolved.length, 0);
+});
+
+test('resolving a non-blocking trigger takes it out of the counts', () => {
+  const core = new TrustQueryCore({ triggerMap });
+  assert.equal(core.check('today').state.warnings.length, 1);
+
+  const { state } = core.check('today/UTC');
+  assert.equal(state.warnings.length, 0);
+  assert.equal(state.resolved.length, 1);
+});
+
+test('validateTriggerMap reports problems without loading the map', () => {
+  const { valid, diagnostics } = TrustQueryCore.validateTriggerMap({ 'tql-triggers': { error: [{ type: 'regex', regex: ['('] }] } });
+  assert.equal(valid, false);
+  assert.ok(diagnostics.some(d => d.code === 'invalid-regex'));
+});
+
+test('check reports text as blocked while an async blocking matcher is pending', async () => {
+  let answer;
+  CommandScanner.registerMatcher('slow-card', () => new Promise(resolve => {
+    answer = resolve;
+  }));
+  const core = new TrustQueryCore({
+    triggerMap: {
+      'tql-triggers': {
+        error: [{ id: 'card', type: 'function', validator: 'slow-card', handler: { 'message-state': 'error', 'block-submit': true } }]
+      }
+    }
+  });
+
+  const pending = core.check('4111 1111 1111 1111');
+  assert.equal(pending.state.pending, true);
+  assert.equal(pending.state.hasBlockingError, false);
+  assert.equal(pending.blocked, true);
+
+  const settled = core.checkSettled('4111 1111 1111 1111');
+  answer(false);
+  assert.equal((await settled).blocked, false);
+});
+
+test('allowed matches never block and are listed in the validation state', () => {
+  const core = new TrustQueryCore({
+    triggerMap: { 'tql-triggers': { error: [{ id: 'email', type: 'regex', regex: ['\\S+@\\S+'], handler: { 'message-state': 'error', 'block-submit': true } }] } }
+  });
+  assert.equal(core.check('mail data-team@ourcompany.com').blocked, true);
+
+  core.allow('data-team@ourcompany.com');
+  const { blocked, state } = core.check('mail data-team@ourcompany.com');
+  assert.equal(blocked, false);
+  assert.equal(state.errors.length, 0);
+  assert.deepEqual(state.allowed.map(match => match.allowedBy), ['allowlist']);
+
+  assert.throws(() => core.allow(42), TypeError);
+});
+
+test('preset detectors take exceptions through "$use"', () => {
+  const core = new TrustQueryCore({
+    triggerMap: { $use: [{ pack: 'pii', except: { 'pii.email': [{ regex: '@ourcompany\\.com$', flags: 'i' }] } }], 'tql-triggers': {} }
+  });
+  const { matches } = core.check('a@ourcompany.com b@gmail.com');
+  assert.deepEqual(matches.map(match => [match.text, match.allowedBy || null]), [['a@ourcompany.com', 'except'], ['b@gmail.com', null]]);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ValidationStateManager from '../src/ValidationStateManager.js';
+import MessageStateRegistry from '../src/MessageStateRegistry.js';
+
+/**
+ * Build a match as the scanner reports it
+ * @param {string} messageState - State the trigger is listed under
+ * @param {Object} handler - Extra handler keys
+ * @param {Object} extra - Extra match fields (resolution, allowed)
+ * @returns {Object} Match
+ */
+const match = (messageState, handler = {}, extra = {}) => ({
+  text: messageState,
+  command: { messageState, handler: { 'message-state': messageState, ...handler } },
+  ...extra
+});
+
+const resolved = { resolution: { status: 'resolved', option: null, value: null } };
+const dismissed = { resolution: { status: 'dismissed', option: null, value: null } };
+
+test('matches are counted per message state, including custom ones', () => {
+  const manager = new ValidationStateManager({ messageStates: new MessageStateRegistry({ policy: {} }) });
+  manager.update([match('error'), match('warning'), match('warning'), match('info'), match('policy')]);
+
+  const state = manager.getState();
+  assert.equal(state.errors.length, 1);
+  assert.equal(state.warnings.length, 2);
+  assert.equal(state.info.length, 1);
+  assert.equal(state.states.policy.length, 1);
+  assert.equal(state.hasBlockingError, false);
+});
+
+test('"block-submit" decides over the state default', () => {
+  const messageStates = new MessageStateRegistry({ policy: { blockSubmit: true } });
+  const manager = new ValidationStateManager({ messageStates });
+
+  manager.update([match('warning', { 'block-submit': true })]);
+  assert.equal(manager.hasBlockingErrors(), true);
+
+  manager.update([match('policy')]);
+  assert.equal(manager.hasBlockingErrors(), true);
+
+  manager.update([match('policy', { 'block-submit': false })]);
+  assert.equal(manager.hasBlockingErrors(), false);
+
+  assert.equal(ValidationStateManager.blocksSubmit(match('policy'), messageStates), true);
+  assert.equal(ValidationStateManager.blocksSubmit(match('error'), messageStates), false);
+});
+
+test('allowlisted matches are kept aside and never block', () => {
+  const manager = new ValidationStateManager();
+  manager.update([match('error', { 'block-submit': true }, { allowed: true })]);
+
+  const state = manager.getState();
+  assert.equal(state.allowed.length, 1);
+  assert.equal(state.errors.length, 0);
+  assert.equal(state.hasBlockingError, false);
+});
+
+test('resolving or dismissing settles only matches that don\'t block', () => {
+  const manager = new ValidationStateManager();
+  manager.update([match('warning', {}, resolved), match('info', {}, dismissed)]);
+  let state = manager.getState();
+  assert.equal(state.resolved.length, 1);
+  assert.equal(state.dismissed.length, 1);
+  assert.equal(state.warnings.length + state.info.length, 0);
+
+  manager.update([match('error', { 'block-submit': true }, resolved), match('error', { 'block-submit': true }, dismissed)]);
+  state = manager.getState();
+  assert.equal(state.blocking.length, 2);
+  assert.equal(state.resolved.length + state.dismissed.length, 0);
+});
+
+test('"resolve-unblocks" lets a resolution clear a blocking match, but not a dismissal', () => {
+  const manager = new ValidationStateManager();
+  const handler = { 'block-submit': true, 'resolve-unblocks': true };
+
+  manager.update([match('error', handler, resolved)]);
+  assert.equal(manager.hasBlockingErrors(), false);
+
+  manager.update([match('error', handler, dismissed)]);
+  assert.equal(manager.hasBlockingErrors(), true);
+});
+
+test('onValidationChange fires only when the state changes', () => {
+  const changes = [];
+  const manager = new ValidationStateManager({ onValidationChange: state => changes.push(state) });
+
+  manager.update([match('warning')]);
+  manager.update([match('warning')]);
+  manager.update([]);
+
+  assert.deepEqual(changes.map(state => state.warnings.length), [1, 0]);
+});
+
+test('whenSettled waits until async matchers are no longer pending', async () => {
+  const manager = new ValidationStateManager();
+  manager.update([], { pending: true });
+
+  let settled = null;
+  const waiting = manager.whenSettled().then(state => {
+    settled = state;
+  });
+
+  await Promise.resolve();
+  assert.equal(settled, null);
+
+  manager.update([match('error', { 'block-submit': true })]);
+  await waiting;
+  assert.equal(settled.pending, false);
+  assert.equal(settled.hasBlockingError, true);
+});
@@ -0,0 +1,65 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import WorkerScanner from '../src/WorkerScanner.js';
+
+// Stands in for the browser's Worker; tests drive its onmessage/onerror
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    FakeWorker.last = this;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+let originalWorker;
+
+beforeEach(() => {
+  originalWorker = globalThis.Worker;
+  globalThis.Worker = FakeWorker;
+});
+
+afterEach(() => {
+  globalThis.Worker = originalWorker;
+});
+
+test('only the latest scan resolves with matches', async () => {
+  const scanner = new WorkerScanner();
+  const first = scanner.scan('a');
+  const second = scanner.scan('ab');
+
+  FakeWorker.last.onmessage({ data: { type: 'result', id: 1, matches: [] } });
+  FakeWorker.last.onmessage({ data: { type: 'result', id: 2, matches: [{ text: 'ab' }] } });
+
+  assert.equal(await first, null);
+  assert.deepEqual(await second, [{ text: 'ab' }]);
+});
+
+test('a worker error rejects pending and later scans and reports it', async () => {
+  const errors = [];
+  const scanner = new WorkerScanner({ onError: error => errors.push(error) });
+  const pending = scanner.scan('a');
+
+  FakeWorker.last.onerror({ message: 'blocked by CSP' });
+
+  await assert.rejects(pending, /blocked by CSP/);
+  await assert.rejects(scanner.scan('b'), /blocked by CSP/);
+  assert.equal(errors.length, 1);
+});
+
+test('destroy settles pending scans', async () => {
+  const scanner = new WorkerScanner();
+  const pending = scanner.scan('a');
+
+  scanner.destroy();
+
+  assert.equal(await pending, null);
+  assert.equal(FakeWorker.last.terminated, true);
+});